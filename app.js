@@ -5,10 +5,13 @@
  * management, project management, editor plugin management, and publishing.
  *
  * Add new routes to the var routes as a constant and use the convenience
- * functions for get, post, put, and del for the http verbs.
+ * functions for get, post, put, and del for the http verbs. Routes may contain
+ * path parameters like /projects/:name which are added to req.param. Use
+ * routes.use to add middleware that runs before the route handlers. HEAD and
+ * OPTIONS requests are handled automatically.
  *
- * NOTES: Asset importing is currently disabled. Windows does not have tar or
- * zip support out of the box. Currently investigating solutions.
+ * Model archives (.zip, .tar.gz) are imported with a pure JavaScript extractor
+ * so that no OS tar or zip support is needed.
  *
  * Requirements:
  *      node.exe (Windows native)
@@ -16,7 +19,9 @@
  */
 var qs = require('querystring'),
 	http = require('http'),
+	zlib = require('zlib'),
 	fs = require('fs'),
+	os = require('os'),
 	path = require('path'),
 	JSONt = 'application/json',
 	HTMLt = 'text/html',
@@ -31,78 +36,280 @@ var qs = require('querystring'),
 		SAMPLES: '/samples',
 		PROJECTS: '/projects',
 		PROJECT: '/project',
+		PROJECTVERSIONS: '/project/versions',
+		PROJECTVERSION: '/project/version',
+		PROJECTRESTORE: '/project/restore',
+		PROJECTREVISIONS: '/projects/:name/versions',
+		PROJECTREVISION: '/projects/:name/versions/:rev',
+		PROJECTCITIZENS: '/projects/:name/citizens',
+		PROJECTCITIZEN: '/projects/:name/citizens/:id',
 		MODELS: '/models',
+		MODEL: '/model',
 		PLUGINS: '/plugins',
 		PUBLISH: '/publish',
 		WSEXAMPLE: 'websocket-example',
+		WSCOLLAB: 'kuda-collab',
+		WSREMOTE: 'kuda-remote',
 		rootPath: 'public',
 		samplesPath: 'public/samples',
 		pluginsPath: 'public/js/editor/plugins',
 		projectsPath: 'public/projects',
+		versionsPath: 'public/projects/.versions',
 		assetsPath: 'public/assets',
-		//uploadPath: 'public/tmp',
+		// Size limits in bytes for model archive uploads and their extracted contents
+		uploadLimits: {
+			maxUploadSize: 100 * 1024 * 1024,
+			maxExtractSize: 500 * 1024 * 1024,
+			maxEntries: 5000
+		},
+		// Revisions older than maxAge (in milliseconds) or beyond the newest maxCount are pruned
+		// on every save. The newest revision of a project is always kept.
+		versionRetention: {
+			maxCount: 50,
+			maxAge: 30 * 24 * 60 * 60 * 1000
+		},
 		ws: function(protocol, handler) {
 			log('...adding WebSocket handler for protocol ' + protocol);
 			this.wss[protocol] = handler;
 		},
 		wss: {},
 		wsConnections: [],
+		// Collaborative editing sessions by project name, with no inherited properties to collide
+		// with names like "constructor"
+		collabSessions: Object.create(null),
+		// Remote control channels by name, kept free of inherited properties the same way
+		remoteChannels: Object.create(null),
 		get: function(route, handler) {
-			log('...adding GET handler for route ' + route);
-			this.gets[route] = handler;
+			this.addRoute('GET', route, handler);
 		},
 		gets: {},
 		post: function(route, handler) {
-			log('...adding POST handler for route ' + route);
-			this.posts[route] = handler;
+			this.addRoute('POST', route, handler);
 		},
 		posts: {},
 		put: function(route, handler) {
-			log('...adding PUT handler for route ' + route);
-			this.puts[route] = handler;
+			this.addRoute('PUT', route, handler);
 		},
 		puts: {},
 		del: function(route, handler) {
-			log('...adding DELETE handler for route ' + route);
-			this.dels[route] = handler;
+			this.addRoute('DELETE', route, handler);
 		},
 		dels: {},
+		// Routes with path parameters like /projects/:name, in the order they were added
+		patterns: [],
+		/*
+		 * Add a middleware function to run before every route handler, in the order added. Normal
+		 * middleware is called as fn(req, res, next) and must call next() to continue or next(err)
+		 * to fail the request. Error middleware is called as fn(err, req, res, next) when a
+		 * middleware or route handler fails.
+		 */
+		use: function(middleware) {
+			log('...adding middleware ' + (middleware.name || 'function'));
+
+			if (middleware.length === 4) {
+				this.errorHandlers.push(middleware);
+			} else {
+				this.middleware.push(middleware);
+			}
+		},
+		middleware: [],
+		errorHandlers: [],
+		// Optional function(req) that returns false if the request is not allowed
+		authorize: null,
+		addRoute: function(method, route, handler) {
+			log('...adding ' + method + ' handler for route ' + route);
+			this.getHandlers(method)[route] = handler;
+
+			if (route.indexOf('/:') !== -1) {
+				this.patterns.push(compileRoute(method, route, handler));
+			}
+		},
 		dispatch: function(req, res) {
-			var url = req.reqPath;
+			var that = this,
+				mwNdx = 0,
+				errNdx = 0,
+				next = function(err) {
+					try {
+						if (err) {
+							var errHandler = that.errorHandlers[errNdx++];
+
+							if (errHandler) {
+								errHandler(err, req, res, next);
+							} else {
+								log(err.stack || err);
+							}
+						} else {
+							var mw = that.middleware[mwNdx++];
+
+							if (mw) {
+								mw(req, res, next);
+							} else {
+								that.route(req, res, next);
+							}
+						}
+					} catch (e) {
+						next(e);
+					}
+				};
 
-			switch (req.method) {
-			case "GET":
-				if (this.gets[url]) {
-					this.gets[url](req, res);
-				} else {
-					this.gets['/*'](req, res);
+			next();
+		},
+		route: function(req, res, next) {
+			var url = req.reqPath,
+				method = req.method,
+				route;
+
+			if (method === 'OPTIONS') {
+				var allowed = url === '*' ? ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS'] :
+					this.getAllowed(url, true);
+				res.send('', 204, PLAINt, { 'Allow': allowed.join(', ') });
+				return;
+			} else if (method === 'HEAD') {
+				route = this.match('GET', url);
+				sendHeadersOnly(res);
+			} else {
+				route = this.match(method, url);
+			}
+
+			if (route) {
+				for (var key in route.params) {
+					req.param[key] = route.params[key];
 				}
-				break;
-			case "POST":
-				if (this.posts[url]) {
-					this.posts[url](req, res);
-				} else {
-					log('unknown POST route ' + url);
-				}break;
-			case "PUT":
-				if (this.puts[url]) {
-					this.puts[url](req, res);
+
+				req.params = route.params;
+				route.handler(req, res, next);
+			} else if (method === 'GET' || method === 'HEAD') {
+				this.gets[this.ROOTANY](req, res, next);
+			} else {
+				var allowed = this.getAllowed(url, false);
+
+				if (allowed.length > 0) {
+					log('unsupported ' + method + ' for route ' + url);
+					sendError(res, 405, 'methodNotAllowed', method + ' is not supported for ' + url,
+						null, { 'Allow': allowed.join(', ') });
 				} else {
-					log('unknown PUT route ' + url);
+					log('unknown ' + method + ' route ' + url);
+					sendError(res, this.getHandlers(method) ? 404 : 405, 'unknownRoute',
+						'No route for ' + method + ' ' + url);
 				}
-				break;
-			case "DELETE":
-				if (this.dels[url]) {
-					this.dels[url](req, res);
-				} else {
-					log('unknown DELETE route ' + url);
+			}
+		},
+		match: function(method, url) {
+			var handlers = this.getHandlers(method);
+
+			if (!handlers) {
+				return null;
+			} else if (handlers[url] && url !== this.ROOTANY) {
+				return {
+					handler: handlers[url],
+					params: {}
+				};
+			}
+
+			for (var i = 0, il = this.patterns.length; i < il; i++) {
+				var pattern = this.patterns[i],
+					values = pattern.method === method ? pattern.regex.exec(url) : null;
+
+				if (values) {
+					var params = {};
+
+					for (var j = 0, jl = pattern.keys.length; j < jl; j++) {
+						params[pattern.keys[j]] = values[j + 1];
+					}
+
+					return {
+						handler: pattern.handler,
+						params: params
+					};
 				}
-				break;
+			}
+
+			return null;
+		},
+		/*
+		 * Get the methods that have a handler for the given url. If includeAny is true, GET, HEAD
+		 * and OPTIONS are always allowed since GET falls back to serving static files.
+		 */
+		getAllowed: function(url, includeAny) {
+			var methods = ['GET', 'POST', 'PUT', 'DELETE'],
+				allowed = [];
+
+			for (var i = 0, il = methods.length; i < il; i++) {
+				var method = methods[i];
+
+				if ((includeAny && method === 'GET') || this.match(method, url)) {
+					allowed.push(method);
+
+					if (method === 'GET') {
+						allowed.push('HEAD');
+					}
+				}
+			}
+
+			if (allowed.length > 0) {
+				allowed.push('OPTIONS');
+			}
+
+			return allowed;
+		},
+		getHandlers: function(method) {
+			switch (method) {
+			case 'GET':
+				return this.gets;
+			case 'POST':
+				return this.posts;
+			case 'PUT':
+				return this.puts;
+			case 'DELETE':
+				return this.dels;
 			default:
-				log('unknown request method ' + req.method);
+				return null;
+			}
+		}
+	},
+	OCTANE_OBJECT_SCHEMA = {
+		type: 'object',
+		props: {
+			type: { type: 'string' },
+			id: { type: 'number', optional: true },
+			props: {
+				type: 'array',
+				items: {
+					type: 'object',
+					props: {
+						name: { type: 'string' },
+						val: { type: 'any', optional: true },
+						id: { type: ['number', 'array'], optional: true },
+						// Nested Octane is checked when it is added below
+						oct: { type: ['object', 'array'], optional: true },
+						arg: { type: 'array', optional: true }
+					}
+				}
+			}
+		}
+	},
+	OCTANE_WORLD_SCHEMA = {
+		type: 'object',
+		props: {
+			version: { type: 'string', optional: true },
+			octaneVersion: { type: 'number', optional: true },
+			nextId: { type: 'number' },
+			citizens: { type: 'array', items: OCTANE_OBJECT_SCHEMA },
+			dispatch: {
+				type: 'object',
+				props: {
+					nextId: { type: 'number' },
+					ents: { type: 'array', items: OCTANE_OBJECT_SCHEMA }
+				}
 			}
 		}
 	},
+	ASSET_EXT = /\.(dae|utf8|png|jpe?g|gif|bmp|tga|dds|mp3|wav|ogg|oga|ogv|mp4|m4v|webm)$/i,
+	// Colors used to tell collaborating editors apart
+	COLLAB_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6'],
+	// Largest citizen id whose next id can still be told apart from it (2^53 - 2)
+	MAX_CITIZEN_ID = 9007199254740990,
+	TEXTURE_EXT = /\.(png|jpe?g|gif|bmp|tga|dds)$/i,
 	log = function(msg) {
 		if (!opt_quiet) {
 			console.log(msg);
@@ -137,6 +344,11 @@ if (process.argv.length > 2) {
 	}
 }
 
+routes.use(logRequest);
+routes.use(parseBody);
+routes.use(checkAuthorization);
+routes.use(handleError);
+
 routes.get(routes.ROOT, function(req, res) {
 	log('...handling route GET ' + routes.ROOT);
 	var data = fs.readFileSync(routes.rootPath + '/index.html');
@@ -152,15 +364,16 @@ routes.get(routes.SAMPLES, function(req, res) {
 routes.get(routes.ROOTANY, function(req, res) {
 	log('...handling route GET ' + routes.ROOTANY + ' for ' + req.reqPath);
 
-	var status = 404,
-		data = 'The requested URL ' + req.reqPath + ' was not found on this server';
+	var filePath = getSafePath(routes.rootPath, req.reqPath);
 
-	if (path.existsSync(routes.rootPath + req.reqPath)) {
-		status = 200;
-		data = fs.readFileSync(routes.rootPath + req.reqPath);
+	if (filePath === null) {
+		res.send('You do not have permission to access ' + req.reqPath + ' on this server', 403,
+			PLAINt);
+	} else if (path.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+		sendFile(req, res, filePath);
+	} else {
+		res.send('The requested URL ' + req.reqPath + ' was not found on this server', 404, PLAINt);
 	}
-
-	res.send(data, status, req.contentType);
 });
 
 routes.get(routes.PROJECTS, function(req, res) {
@@ -183,9 +396,11 @@ routes.get(routes.PROJECTS, function(req, res) {
 					file = file.split('.')[0];
 					
 					var published = routes.projectsPath + '/' + file + '.html',
+						packaged = routes.projectsPath + '/' + file + '.zip',
 						pData = {
 							name: file,
-							published: path.existsSync(published)
+							published: path.existsSync(published),
+							packaged: path.existsSync(packaged)
 						};
 					
 					data.projects.push(pData);  
@@ -203,8 +418,13 @@ routes.get(routes.PROJECT, function(req, res) {
 	log('...handling route GET ' + routes.PROJECT);
 
 	if (req.xhr) {
-		var name = req.param['name'] + '.json',
-			filePath = routes.projectsPath + '/' + name;
+		var name = getSafeName(req, res, 'name');
+
+		if (name === null) {
+			return;
+		}
+
+		var filePath = routes.projectsPath + '/' + name + '.json';
 
 		if (path.existsSync(filePath)) {
 			var data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -227,7 +447,20 @@ routes.post(routes.PROJECT, function(req, res) {
 
 		var defName = 'project',
 			param = req.param,
-			name = (param['name'] || defName) + '.json',
+			baseName = getSafeName(req, res, 'name', defName);
+
+		if (baseName === null) {
+			return;
+		}
+
+		var octErr = checkOctane(param['octane']);
+
+		if (octErr !== null) {
+			sendError(res, 400, 'invalidOctane', octErr, baseName);
+			return;
+		}
+
+		var name = baseName + '.json',
 			replace = param['replace'] == 'true',
 			filePath = routes.projectsPath + '/' + name;
 
@@ -246,6 +479,7 @@ routes.post(routes.PROJECT, function(req, res) {
 			var input = param['octane'];
 
 			fs.writeFileSync(filePath, input);
+			saveVersion(baseName, input);
 			res.send(JSON.stringify({
 				name: name
 			}), 200, JSONt);
@@ -259,11 +493,17 @@ routes.del(routes.PROJECT, function(req, res) {
 	log('...handling route DELETE ' + routes.PROJECT);
 
 	if (req.xhr) {
-		var name = req.param['name'],
-			filePath = routes.projectsPath + '/' + name + '.json';
+		var name = getSafeName(req, res, 'name');
+
+		if (name === null) {
+			return;
+		}
+
+		var filePath = routes.projectsPath + '/' + name + '.json';
 
 		if (path.existsSync(filePath)) {
 			fs.unlinkSync(filePath);
+			removeVersions(name);
 			res.send(JSON.stringify({
 				name: name,
 				msg: 'Successfully removed ' + name
@@ -276,6 +516,197 @@ routes.del(routes.PROJECT, function(req, res) {
 	}
 });
 
+routes.get(routes.PROJECTVERSIONS, function(req, res) {
+	log('...handling route GET ' + routes.PROJECTVERSIONS);
+
+	if (req.xhr) {
+		var name = getSafeName(req, res, 'name');
+
+		if (name === null) {
+			return;
+		}
+
+		if (path.existsSync(routes.projectsPath + '/' + name + '.json')) {
+			res.send(JSON.stringify({
+				name: name,
+				versions: getVersions(name)
+			}), 200, JSONt);
+		} else {
+			res.send('', 404, JSONt);
+		}
+	} else {
+		res.send('{}\n', 200, JSONt);
+	}
+});
+
+routes.get(routes.PROJECTVERSION, function(req, res) {
+	log('...handling route GET ' + routes.PROJECTVERSION);
+
+	if (req.xhr) {
+		var name = getSafeName(req, res, 'name'),
+			rev = name === null ? null : getSafeRev(req, res);
+
+		if (rev === null) {
+			return;
+		}
+
+		var filePath = getVersionPath(name, rev);
+
+		if (path.existsSync(filePath)) {
+			var data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+			res.send(JSON.stringify(data), 200, JSONt);
+		} else {
+			res.send('', 404, PLAINt);
+		}
+	} else {
+		res.send('{}\n', 200, JSONt);
+	}
+});
+
+routes.post(routes.PROJECTRESTORE, function(req, res) {
+	log('...handling route POST ' + routes.PROJECTRESTORE);
+
+	if (req.xhr) {
+		var name = getSafeName(req, res, 'name'),
+			rev = name === null ? null : getSafeRev(req, res);
+
+		if (rev === null) {
+			return;
+		}
+
+		var filePath = getVersionPath(name, rev);
+
+		if (path.existsSync(filePath)) {
+			var data = fs.readFileSync(filePath, 'utf8');
+
+			// Restoring is itself a save, so the project state being replaced remains in the
+			// history as the previous revision.
+			fs.writeFileSync(routes.projectsPath + '/' + name + '.json', data);
+			res.send(JSON.stringify({
+				name: name,
+				rev: saveVersion(name, data),
+				restored: rev
+			}), 200, JSONt);
+		} else {
+			res.send('', 404, JSONt);
+		}
+	} else {
+		res.send('{}\n', 200, JSONt);
+	}
+});
+
+routes.get(routes.PROJECTREVISIONS, routes.gets[routes.PROJECTVERSIONS]);
+routes.get(routes.PROJECTREVISION, routes.gets[routes.PROJECTVERSION]);
+routes.post(routes.PROJECTREVISION, routes.posts[routes.PROJECTRESTORE]);
+
+// The citizen routes are meant for scripts and external tools, so they do not require XHR.
+routes.get(routes.PROJECTCITIZENS, function(req, res) {
+	log('...handling route GET ' + routes.PROJECTCITIZENS);
+	var name = getSafeName(req, res, 'name'),
+		octane = name === null ? null : loadWorldOctane(name, res);
+
+	if (octane !== null) {
+		var type = req.param['type'],
+			citizens = octane.citizens.filter(function(citizen) {
+				return !type || citizen.type === type;
+			});
+
+		res.send(JSON.stringify({
+			name: name,
+			citizens: citizens
+		}), 200, JSONt);
+	}
+});
+
+routes.post(routes.PROJECTCITIZENS, function(req, res) {
+	log('...handling route POST ' + routes.PROJECTCITIZENS);
+	var name = getSafeName(req, res, 'name'),
+		octane = name === null ? null : loadWorldOctane(name, res),
+		citizen = octane === null ? null : getCitizenParam(req, res);
+
+	if (citizen !== null) {
+		var nextId = getNextCitizenId(octane);
+
+		if (citizen.id === undefined && nextId > MAX_CITIZEN_ID) {
+			sendError(res, 409, 'noMoreIds', 'No more citizen ids are available in ' + name);
+			return;
+		} else if (citizen.id === undefined) {
+			citizen.id = nextId;
+		} else if (getCitizenIndex(octane, citizen.id) !== -1) {
+			sendError(res, 409, 'citizenExists', 'Citizen ' + citizen.id + ' already exists in ' +
+				name, citizen.id);
+			return;
+		}
+
+		octane.citizens.push(citizen);
+		octane.nextId = Math.max(nextId, citizen.id + 1);
+		res.send(JSON.stringify({
+			name: name,
+			rev: saveWorldOctane(name, octane),
+			citizen: citizen
+		}), 201, JSONt);
+	}
+});
+
+routes.get(routes.PROJECTCITIZEN, function(req, res) {
+	log('...handling route GET ' + routes.PROJECTCITIZEN);
+	var name = getSafeName(req, res, 'name'),
+		octane = name === null ? null : loadWorldOctane(name, res),
+		ndx = octane === null ? -1 : getCitizenParamIndex(req, res, octane);
+
+	if (ndx !== -1) {
+		res.send(JSON.stringify(octane.citizens[ndx]), 200, JSONt);
+	}
+});
+
+routes.put(routes.PROJECTCITIZEN, function(req, res) {
+	log('...handling route PUT ' + routes.PROJECTCITIZEN);
+	var name = getSafeName(req, res, 'name'),
+		octane = name === null ? null : loadWorldOctane(name, res),
+		ndx = octane === null ? -1 : getCitizenParamIndex(req, res, octane),
+		citizen = ndx === -1 ? null : getCitizenParam(req, res);
+
+	if (citizen !== null) {
+		// The id in the route always wins so a citizen cannot be moved to another id
+		citizen.id = octane.citizens[ndx].id;
+		octane.citizens[ndx] = citizen;
+		res.send(JSON.stringify({
+			name: name,
+			rev: saveWorldOctane(name, octane),
+			citizen: citizen
+		}), 200, JSONt);
+	}
+});
+
+routes.del(routes.PROJECTCITIZEN, function(req, res) {
+	log('...handling route DELETE ' + routes.PROJECTCITIZEN);
+	var name = getSafeName(req, res, 'name'),
+		octane = name === null ? null : loadWorldOctane(name, res),
+		ndx = octane === null ? -1 : getCitizenParamIndex(req, res, octane);
+
+	if (ndx !== -1) {
+		var id = octane.citizens[ndx].id,
+			references = getCitizenReferences(octane, id);
+
+		// Other citizens would be left pointing at nothing, so they have to be changed first
+		if (references.length > 0) {
+			sendError(res, 409, 'citizenReferenced', 'Citizen ' + id + ' is referenced by other ' +
+				'citizens in ' + name, references);
+			return;
+		}
+
+		var citizen = octane.citizens.splice(ndx, 1)[0],
+			removedTargets = removeCitizenTargets(octane, id);
+
+		res.send(JSON.stringify({
+			name: name,
+			rev: saveWorldOctane(name, octane),
+			citizen: citizen,
+			removedTargets: removedTargets
+		}), 200, JSONt);
+	}
+});
+
 routes.get(routes.MODELS, function(req, res) {
 	log('...handling route GET ' + routes.MODELS);
 
@@ -292,75 +723,102 @@ routes.get(routes.MODELS, function(req, res) {
 	res.send(JSON.stringify(data), 200, JSONt);
 });
 
-// TODO: Support model import without using tar, use zip and unzip?
-routes.post('/model', function(req, res) {
-	log('...handling route post /model');
-
-	if (req.xhr && req.headers['content-type'] == 'application/octet-stream') {
-		// if (!path.existsSync(uploadPath)) {
-		//  fs.mkdirSync(uploadPath, 0755);
-		// }
-
-		// var fName = req.header('x-file-name'), 
-		//  fSize = req.header('x-file-size'), 
-		//  fType = req.header('x-file-type'), 
-		//  tmpFile = uploadPath + '/' + fName,
-		//  toDir = assetsPath + '/' + fName.split('.').shift(),
-		//  origDir = toDir,
-		//  ws = fs.createWriteStream(tmpFile),
-		//  ext = fName.split('.').pop(),
-		//  counter = 0;
-			
-		// req.on('data', function(data){
-		//  ws.write(data);
-		// });
-		
-		// if (ext === 'o3dtgz' || ext === 'tgz' || ext === 'zip') {
-			
-		//  while (path.existsSync(toDir)) {
-		//      toDir = origDir + counter++;
-		//  }
-		//  fs.mkdirSync(toDir, 0755);
-			
-		//  var tarChild = child.spawn('tar', ['-C', toDir, '-xzf', tmpFile], {
-		//      customFds: procFds
-		//  });
-			
-		//  tarChild.on('exit', function(code){
-		//      if (code === 0) {
-		//          // Clean up the temp file
-		//          fs.unlinkSync(tmpFile);
-					
-		//          var mFiles = fs.readdirSync(toDir), 
-		//              found = false, 
-		//              retVal = {}, 
-		//              urlDir = toDir.split('/');
-					
-		//          urlDir.shift();
-					
-		//          for (var j = 0, jl = mFiles.length; j < jl && !found; j++) {
-		//              var mFile = mFiles[j];
-						
-		//              if (mFile.match('.json')) {
-		//                  retVal.name = urlDir[urlDir.length - 1];
-		//                  retVal.url = urlDir.join('/') + '/' + mFile;
-		//                  found = true;
-		//              }
-		//          }
-					
-		//          res.send(retVal, 200);
-		//      }
-		//      else {
-		//          res.send('Failed to upload file', 300);
-		//          fs.unlinkSync(tmpFile);
-		//      }
-		//  });
-		// } else {         
-		//  res.send('File must be an archive file', 300);
-		//  fs.unlinkSync(tmpFile);
-		// }
+routes.post(routes.MODEL, function(req, res) {
+	log('...handling route POST ' + routes.MODEL);
+
+	if (req.xhr && isUpload(req.httpReq)) {
+		readUpload(req, routes.uploadLimits.maxUploadSize, function(err, upload) {
+			if (err) {
+				res.send(JSON.stringify({
+					errType: err.writeFailed ? 'serverError' : 'uploadTooLarge',
+					errMsg: err.message
+				}), err.writeFailed ? 500 : 413, JSONt);
+				return;
+			}
 
-		res.send('{}\n', 200, JSONt);
+			var part = null,
+				toDir = null,
+				fileName = '';
+
+			// The spooled upload and any partly extracted archive never outlive the request
+			var sendError = function(status, errType, errMsg) {
+				fs.unlinkSync(upload.file);
+
+				if (toDir !== null && path.existsSync(toDir)) {
+					removeDir(toDir);
+				}
+
+				res.send(JSON.stringify({
+					errType: errType,
+					errData: fileName,
+					errMsg: errMsg
+				}), status, JSONt);
+			};
+
+			try {
+				part = parseUpload(req, upload);
+			} catch (e) {
+				sendError(500, 'serverError', e.message);
+				return;
+			}
+
+			fileName = part ? part.fileName : '';
+			var extract = getArchiveReader(fileName);
+
+			if (extract === null) {
+				sendError(415, 'unsupportedArchive', 'File must be a .zip or .tar.gz archive');
+				return;
+			}
+
+			if (!path.existsSync(routes.assetsPath)) {
+				fs.mkdirSync(routes.assetsPath, 0755);
+			}
+
+			var dirName = getArchiveName(fileName),
+				counter = 0;
+
+			toDir = routes.assetsPath + '/' + dirName;
+
+			while (path.existsSync(toDir)) {
+				toDir = routes.assetsPath + '/' + dirName + counter++;
+			}
+
+			try {
+				fs.mkdirSync(toDir, 0755);
+			} catch (e) {
+				sendError(500, 'serverError', e.message);
+				return;
+			}
+
+			extract(part, toDir, routes.uploadLimits, function(err) {
+				if (err) {
+					if (err.writeFailed) {
+						sendError(500, 'serverError', err.message);
+					} else {
+						sendError(400, 'invalidArchive', err.message);
+					}
+					return;
+				}
+
+				var data = {
+					models: []
+				};
+
+				fs.unlinkSync(upload.file);
+				getModelFiles(toDir, 'assets/' + path.basename(toDir), data);
+
+				if (data.models.length === 0) {
+					removeDir(toDir);
+					res.send(JSON.stringify({
+						errType: 'noModels',
+						errData: fileName,
+						errMsg: 'Archive does not contain any model files'
+					}), 400, JSONt);
+				} else {
+					res.send(JSON.stringify(data), 200, JSONt);
+				}
+			});
+		});
 	} else {
 		res.send('{}\n', 200, JSONt);
 	}
@@ -431,8 +889,16 @@ routes.post(routes.PUBLISH, function(req, res) {
 	log('...handling route POST ' + routes.PUBLISH);
 
 	if (req.xhr) {
-		var name = req.param['name'],
-			models = req.param['models'],
+		var name = getSafeName(req, res, 'name');
+
+		if (name === null) {
+			return;
+		} else if (!path.existsSync(routes.projectsPath + '/' + name + '.json')) {
+			sendError(res, 404, 'unknownProject', 'Project ' + name + ' has not been saved', name);
+			return;
+		}
+
+		var zip = req.param['zip'] == 'true',
 			filePath = routes.projectsPath + '/' + name + '.html',
 			content = fs.readFileSync('PublishTemplate.html', 'utf8'),
 			readme = fs.readFileSync('PublishReadMe', 'utf8'),
@@ -443,21 +909,51 @@ routes.post(routes.PUBLISH, function(req, res) {
 			content.replace(/%PROJECT%/g, 'projects/' + name)
 				.replace(/%LOAD%/g, '..').replace(/%SCRIPT%/g, '../js'));
 		
-		// Create the published package directory
-		var toDir = routes.projectsPath + '/' + name;
-		var stat = fs.statSync(routes.projectsPath);
+		// Create the published package directory, replacing any previous package
+		var toDir = routes.projectsPath + '/' + name,
+			zipFile = toDir + '.zip',
+			stat = fs.statSync(routes.projectsPath),
+			octane = JSON.parse(fs.readFileSync(routes.projectsPath + '/' + name + '.json', 'utf8')),
+			assets = packageAssets(octane);
+
+		if (path.existsSync(toDir)) {
+			removeDir(toDir);
+		}
+		if (path.existsSync(zipFile)) {
+			fs.unlinkSync(zipFile);
+		}
+
 		fs.mkdirSync(toDir, stat.mode);
 		fs.mkdirSync(toDir + '/assets', stat.mode);
 		copyFile('./public/js/hemi.min.js', toDir);
 		copyFile('./public/js/Three.js', toDir);
-		copyFile(routes.projectsPath + '/' + name + '.json', toDir);
-		fs.writeFileSync(toDir + '/README', readme.concat(models));
+
+		for (var i = 0, il = assets.copied.length; i < il; i++) {
+			var asset = assets.copied[i];
+			makeDirs(toDir, path.dirname(asset.dst));
+			fs.writeFileSync(toDir + '/' + asset.dst, fs.readFileSync(asset.src));
+		}
+
+		fs.writeFileSync(toDir + '/' + name + '.json', JSON.stringify(octane));
+		fs.writeFileSync(toDir + '/README', readme.concat(getAssetReport(assets)));
 		fs.writeFileSync(toDir + '/' + name + '.html',
 			content.replace(/%PROJECT%/g, name).replace(/%LOAD%/g, '.')
 				.replace(/%SCRIPT%/g, '.'));
-		res.send(JSON.stringify({
-			name: name + '.html'
-		}), 200, HTMLt);
+
+		var result = {
+			name: name + '.html',
+			assets: assets.copied.length,
+			missing: assets.missing
+		};
+
+		if (zip) {
+			writeZip(toDir, zipFile);
+			result.zip = 'projects/' + name + '.zip';
+		}
+
+		res.send(JSON.stringify(result), 200, JSONt);
+	} else {
+		res.send('{}\n', 200, JSONt);
 	}
 });
 
@@ -484,49 +980,1853 @@ function getModelFiles(fullPath, url, data) {
 	}
 }
 
-function getPathLessTheQueryString(url) {
-	return url.indexOf('?') === -1 ? url : url.substring(0, url.indexOf('?'));
+function getVersionPath(name, rev) {
+	return routes.versionsPath + '/' + name + '/' + rev + '.json';
 }
 
-function getTheQueryString(url) {
-	return url.indexOf('?') === -1 ? '' : url.slice(url.indexOf('?') + 1);
+function getVersions(name) {
+	var dir = routes.versionsPath + '/' + name,
+		versions = [];
+
+	if (path.existsSync(dir)) {
+		var files = fs.readdirSync(dir);
+
+		for (var i = 0, il = files.length; i < il; i++) {
+			var file = files[i];
+
+			if (file.match(/\.json$/)) {
+				var rev = file.split('.')[0],
+					stat = fs.statSync(dir + '/' + file);
+
+				versions.push({
+					rev: rev,
+					time: parseInt(rev.split('-')[0], 10),
+					size: stat.size
+				});
+			}
+		}
+	}
+
+	// Newest first
+	versions.sort(function(a, b) {
+		return b.time - a.time || (b.rev > a.rev ? 1 : -1);
+	});
+
+	return versions;
 }
 
-function req2ContentType(urlLessQueryString) {
-	var at = urlLessQueryString.lastIndexOf('.'),
-		fileType = at === -1 ? '.txt' : urlLessQueryString.slice(at),
-		contentType = PLAINt;
+function pruneVersions(name) {
+	var versions = getVersions(name),
+		maxCount = routes.versionRetention.maxCount,
+		oldest = new Date().getTime() - routes.versionRetention.maxAge;
 
-	switch (fileType) {
-	case '.css':
-		contentType = 'text/css';
-		break;
-	case '.js':
-		contentType = 'text/javascript';
-		break;
-	case '.htm':
-	case '.html':
-		contentType = HTMLt;
-		break;
-	case '.dae':
-	case '.DAE':
-		contentType = XMLt;
-		break;
-	case '.fx':
-	case '.txt':
-		contentType = PLAINt;
-		break;
-	case '.json':
-		contentType = JSONt;
-		break;
-	case '.png':
-		contentType = 'image/png';
-		break;
-	case '.jpeg':
-	case '.jpg':
-		contentType = 'image/jpeg';
-		break;
-	case '.gif':
+	for (var i = 1, il = versions.length; i < il; i++) {
+		var version = versions[i];
+
+		if (i >= maxCount || version.time < oldest) {
+			fs.unlinkSync(getVersionPath(name, version.rev));
+		}
+	}
+}
+
+function removeVersions(name) {
+	var dir = routes.versionsPath + '/' + name;
+
+	if (path.existsSync(dir)) {
+		var files = fs.readdirSync(dir);
+
+		for (var i = 0, il = files.length; i < il; i++) {
+			fs.unlinkSync(dir + '/' + files[i]);
+		}
+
+		fs.rmdirSync(dir);
+	}
+}
+
+function saveVersion(name, data) {
+	if (!path.existsSync(routes.versionsPath)) {
+		fs.mkdirSync(routes.versionsPath, 0755);
+	}
+
+	var dir = routes.versionsPath + '/' + name,
+		time = new Date().getTime(),
+		rev = '' + time,
+		counter = 1;
+
+	if (!path.existsSync(dir)) {
+		fs.mkdirSync(dir, 0755);
+	}
+
+	// Two saves within the same millisecond still get distinct revisions
+	while (path.existsSync(getVersionPath(name, rev))) {
+		rev = time + '-' + counter++;
+	}
+
+	fs.writeFileSync(getVersionPath(name, rev), data);
+	pruneVersions(name);
+	return rev;
+}
+
+function isUpload(hreq) {
+	var type = hreq.headers['content-type'] || '';
+	return type.indexOf('multipart/form-data') === 0 ||
+		type.indexOf('application/octet-stream') === 0;
+}
+
+var uploadCount = 0;
+
+// Uploads are spooled to a temporary file so that only one chunk at a time is held in memory
+function readUpload(req, maxSize, callback) {
+	var file = path.join(os.tmpdir(), 'kuda-upload-' + process.pid + '-' + uploadCount++),
+		size = 0,
+		done = false,
+		fd;
+
+	try {
+		fd = fs.openSync(file, 'w');
+	} catch (e) {
+		e.writeFailed = true;
+		callback(e);
+		return;
+	}
+
+	var finish = function(err) {
+		if (!done) {
+			done = true;
+			fs.closeSync(fd);
+
+			if (err) {
+				fs.unlinkSync(file);
+				callback(err);
+			} else {
+				callback(null, {
+					file: file,
+					size: size
+				});
+			}
+		}
+	};
+
+	req.httpReq
+		.on('data', function(data) {
+			if (!done) {
+				size += data.length;
+
+				if (size > maxSize) {
+					finish(new Error('Upload exceeds the limit of ' + maxSize + ' bytes'));
+				} else {
+					try {
+						writeData(fd, data);
+					} catch (e) {
+						finish(e);
+					}
+				}
+			}
+		})
+		.on('end', function() {
+			finish(null);
+		})
+		.on('close', function() {
+			finish(new Error('Upload was interrupted'));
+		});
+}
+
+function parseUpload(req, upload) {
+	var type = req.headers['content-type'],
+		match = type.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+
+	if (!match) {
+		// A raw upload names its file in a header
+		return {
+			fileName: req.headers['x-file-name'] || req.param['name'] || '',
+			file: upload.file,
+			start: 0,
+			end: upload.size
+		};
+	}
+
+	var delimiter = new Buffer('--' + (match[1] || match[2])),
+		partEnd = new Buffer('\r\n' + delimiter),
+		headBreak = new Buffer('\r\n\r\n'),
+		fd = fs.openSync(upload.file, 'r');
+
+	try {
+		var start = findInFile(fd, delimiter, 0, upload.size);
+
+		while (start !== -1) {
+			var headStart = start + delimiter.length + 2,
+				headEnd = findInFile(fd, headBreak, headStart, upload.size),
+				end = headEnd === -1 ? -1 : findInFile(fd, partEnd, headEnd, upload.size);
+
+			if (end === -1) {
+				break;
+			}
+
+			// The file name is in the part's first few headers
+			var headers = readRange(fd, headStart, Math.min(headEnd - headStart, 8192))
+					.toString('utf8'),
+				fileName = headers.match(/filename="([^"]*)"/i);
+
+			if (fileName && fileName[1] !== '') {
+				return {
+					fileName: fileName[1],
+					file: upload.file,
+					start: headEnd + 4,
+					end: end
+				};
+			}
+
+			start = end + 2;
+		}
+	} finally {
+		fs.closeSync(fd);
+	}
+
+	return null;
+}
+
+// Older versions of Node cannot search a Buffer, so scan the file a block at a time
+function findInFile(fd, pattern, from, to) {
+	var block = new Buffer(64 * 1024),
+		pos = from;
+
+	while (to - pos >= pattern.length) {
+		var len = fs.readSync(fd, block, 0, Math.min(block.length, to - pos), pos),
+			last = len - pattern.length;
+
+		if (last < 0) {
+			break;
+		}
+
+		for (var i = 0; i <= last; i++) {
+			var j = 0;
+
+			while (j < pattern.length && block[i + j] === pattern[j]) {
+				j++;
+			}
+
+			if (j === pattern.length) {
+				return pos + i;
+			}
+		}
+
+		// Blocks overlap so that a match across their boundary is still found
+		pos += last + 1;
+	}
+
+	return -1;
+}
+
+function readRange(fd, start, length) {
+	var buf = new Buffer(length);
+
+	if (fs.readSync(fd, buf, 0, length, start) !== length) {
+		throw new Error('Archive is truncated or corrupt');
+	}
+
+	return buf;
+}
+
+function getArchiveName(fileName) {
+	var name = path.basename(fileName.replace(/\\/g, '/'))
+		.replace(/\.(zip|tar\.gz|tgz|o3dtgz|tar)$/i, '')
+		.replace(/[^\w\-]/g, '_');
+
+	return name === '' ? 'model' : name;
+}
+
+function getArchiveReader(fileName) {
+	if (fileName.match(/\.zip$/i)) {
+		return extractZip;
+	} else if (fileName.match(/\.(tar\.gz|tgz|o3dtgz)$/i)) {
+		return function(upload, toDir, limits, callback) {
+			extractTar(upload, zlib.createGunzip(), toDir, limits, callback);
+		};
+	} else if (fileName.match(/\.tar$/i)) {
+		return function(upload, toDir, limits, callback) {
+			extractTar(upload, null, toDir, limits, callback);
+		};
+	}
+
+	return null;
+}
+
+function getEntryName(name) {
+	name = name.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+
+	if (name === '' || name.charAt(0) === '/' || name.match(/^[a-zA-Z]:/) ||
+			name.split('/').indexOf('..') !== -1) {
+		throw new Error('Archive entry has an unsafe path: ' + name);
+	}
+
+	// Skip the resource forks that OS X adds to zip files
+	return name.match(/^__MACOSX\//) ? null : name;
+}
+
+function checkEntryLimits(count, size, limits) {
+	if (count > limits.maxEntries) {
+		throw new Error('Archive has more than ' + limits.maxEntries + ' entries');
+	}
+	if (size > limits.maxExtractSize) {
+		throw new Error('Archive contents exceed the limit of ' + limits.maxExtractSize + ' bytes');
+	}
+}
+
+function readCString(buf, start, length) {
+	var end = start,
+		max = Math.min(start + length, buf.length);
+
+	while (end < max && buf[end] !== 0) {
+		end++;
+	}
+
+	return buf.toString('utf8', start, end);
+}
+
+/*
+ * Stream the bytes from start to end of the given file, through the optional inflater, to onData.
+ * Reading stops as soon as more than maxSize bytes come out, so an archive that claims to be small
+ * can never inflate past the limit. The callback gets any error and the number of bytes streamed.
+ */
+function streamRange(file, start, end, inflater, maxSize, sizeMsg, onData, callback) {
+	var count = 0,
+		done = false;
+
+	if (end <= start) {
+		// An empty range cannot be read, and there is nothing to inflate
+		process.nextTick(function() {
+			callback(inflater ? new Error('Archive is truncated or corrupt') : null, 0);
+		});
+		return;
+	}
+
+	var input = fs.createReadStream(file, {
+			start: start,
+			end: end - 1
+		}),
+		output = inflater ? input.pipe(inflater) : input;
+
+	var finish = function(err) {
+		if (!done) {
+			done = true;
+
+			if (err) {
+				input.destroy();
+
+				if (inflater) {
+					input.unpipe(inflater);
+					inflater.close();
+				}
+			}
+
+			callback(err, count);
+		}
+	};
+
+	output.on('data', function(data) {
+		if (!done) {
+			count += data.length;
+
+			if (count > maxSize) {
+				finish(new Error(sizeMsg));
+			} else {
+				try {
+					onData(data);
+				} catch (e) {
+					finish(e);
+				}
+			}
+		}
+	});
+	output.on('end', function() {
+		finish(null);
+	});
+	input.on('error', finish);
+
+	if (inflater) {
+		inflater.on('error', finish);
+	}
+}
+
+function extractTar(upload, inflater, toDir, limits, callback) {
+	var header = new Buffer(512),
+		headerLen = 0,
+		entry = null,
+		longName = null,
+		count = 0,
+		total = 0,
+		ended = false;
+
+	var readHeader = function() {
+		var name = readCString(header, 0, 100),
+			size = parseInt(readCString(header, 124, 12).trim() || '0', 8),
+			type = String.fromCharCode(header[156]);
+
+		if (isNaN(size)) {
+			throw new Error('Tar archive is truncated or corrupt');
+		}
+
+		if (readCString(header, 257, 6) === 'ustar') {
+			var prefix = readCString(header, 345, 155);
+
+			if (prefix !== '') {
+				name = prefix + '/' + name;
+			}
+		}
+
+		entry = {
+			type: type,
+			remaining: size,
+			left: Math.ceil(size / 512) * 512,
+			fd: null,
+			data: null
+		};
+
+		if (type === 'L' || type === 'x') {
+			// Long names and PAX headers are read into memory, so keep them small
+			if (size > 65536) {
+				throw new Error('Tar archive has an oversized header');
+			}
+
+			entry.data = [];
+		} else if (type !== 'g') {
+			name = longName || name;
+			longName = null;
+
+			if (type === '0' || type === '\0' || type === '7') {
+				name = getEntryName(name);
+
+				if (name !== null) {
+					total += size;
+					checkEntryLimits(++count, total, limits);
+					entry.fd = openEntry(toDir, name);
+				}
+			}
+		}
+	};
+
+	var endEntry = function() {
+		if (entry.fd !== null) {
+			fs.closeSync(entry.fd);
+		} else if (entry.type === 'L') {
+			// GNU long name for the next entry
+			var data = Buffer.concat(entry.data);
+			longName = readCString(data, 0, data.length);
+		} else if (entry.type === 'x') {
+			// PAX extended header, only the path is of interest
+			var pax = Buffer.concat(entry.data).toString('utf8').match(/\d+ path=([^\n]*)\n/);
+			longName = pax ? pax[1] : longName;
+		}
+
+		entry = null;
+	};
+
+	streamRange(upload.file, upload.start, upload.end, inflater, limits.maxExtractSize,
+		'Archive contents exceed the limit of ' + limits.maxExtractSize + ' bytes',
+		function(data) {
+			var pos = 0;
+
+			while (pos < data.length && !ended) {
+				if (entry === null) {
+					var len = Math.min(512 - headerLen, data.length - pos);
+
+					data.copy(header, headerLen, pos, pos + len);
+					headerLen += len;
+					pos += len;
+
+					if (headerLen === 512) {
+						headerLen = 0;
+
+						// An empty block marks the end of the archive
+						if (header[0] === 0) {
+							ended = true;
+						} else {
+							readHeader();
+
+							if (entry.left === 0) {
+								endEntry();
+							}
+						}
+					}
+				} else {
+					// Entry data is padded to a whole block
+					var take = Math.min(entry.left, data.length - pos),
+						keep = Math.min(take, entry.remaining),
+						chunk = data.slice(pos, pos + keep);
+
+					if (entry.fd !== null) {
+						writeData(entry.fd, chunk);
+					} else if (entry.data !== null) {
+						entry.data.push(chunk);
+					}
+
+					entry.remaining -= keep;
+					entry.left -= take;
+					pos += take;
+
+					if (entry.left === 0) {
+						endEntry();
+					}
+				}
+			}
+		},
+		function(err) {
+			if (!err && entry !== null) {
+				err = new Error('Tar archive is truncated or corrupt');
+			}
+			if (entry !== null && entry.fd !== null) {
+				fs.closeSync(entry.fd);
+			}
+
+			callback(err);
+		});
+}
+
+function extractZip(upload, toDir, limits, callback) {
+	var entries;
+
+	try {
+		entries = readZipDirectory(upload, limits);
+	} catch (e) {
+		callback(e);
+		return;
+	}
+
+	var next = function(ndx) {
+		if (ndx === entries.length) {
+			callback(null);
+			return;
+		}
+
+		var entry = entries[ndx],
+			sizeMsg = 'Zip entry ' + entry.name + ' did not extract to its expected size',
+			fd;
+
+		try {
+			fd = openEntry(toDir, entry.name);
+		} catch (e) {
+			callback(e);
+			return;
+		}
+
+		// The declared size passed the limits, so never inflate more than that
+		streamRange(upload.file, entry.start, entry.start + entry.compSize,
+			entry.method === 8 ? zlib.createInflateRaw() : null, entry.size, sizeMsg,
+			function(data) {
+				writeData(fd, data);
+			},
+			function(err, count) {
+				fs.closeSync(fd);
+
+				if (!err && count !== entry.size) {
+					err = new Error(sizeMsg);
+				}
+
+				if (err) {
+					callback(err);
+				} else {
+					next(ndx + 1);
+				}
+			});
+	};
+
+	next(0);
+}
+
+/*
+ * Read the central directory of the given zip upload and check its entries against the limits
+ * before anything is inflated. Each entry gets the file offset of its data.
+ */
+function readZipDirectory(upload, limits) {
+	var fd = fs.openSync(upload.file, 'r'),
+		length = upload.end - upload.start,
+		entries = [],
+		total = 0;
+
+	try {
+		// The end of central directory record is followed by a comment of up to 64K
+		var tailLen = Math.min(length, 65557),
+			tail = readRange(fd, upload.end - tailLen, tailLen),
+			eocd = -1;
+
+		for (var i = tail.length - 22; i >= 0; i--) {
+			if (tail.readUInt32LE(i) === 0x06054b50) {
+				eocd = i;
+				break;
+			}
+		}
+
+		if (eocd === -1) {
+			throw new Error('Zip archive is missing its central directory');
+		}
+
+		var count = tail.readUInt16LE(eocd + 10),
+			dirSize = tail.readUInt32LE(eocd + 12),
+			dirOffset = tail.readUInt32LE(eocd + 16);
+
+		if (dirOffset + dirSize > length) {
+			throw new Error('Zip archive is truncated or corrupt');
+		}
+
+		var buf = readRange(fd, upload.start + dirOffset, dirSize),
+			offset = 0;
+
+		for (var n = 0; n < count; n++) {
+			if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== 0x02014b50) {
+				throw new Error('Zip archive is truncated or corrupt');
+			}
+
+			var method = buf.readUInt16LE(offset + 10),
+				compSize = buf.readUInt32LE(offset + 20),
+				size = buf.readUInt32LE(offset + 24),
+				nameLen = buf.readUInt16LE(offset + 28),
+				extraLen = buf.readUInt16LE(offset + 30),
+				commentLen = buf.readUInt16LE(offset + 32),
+				localOffset = buf.readUInt32LE(offset + 42),
+				name = buf.toString('utf8', offset + 46, offset + 46 + nameLen);
+
+			offset += 46 + nameLen + extraLen + commentLen;
+
+			// Directories are created as needed when files are written
+			if (name.charAt(name.length - 1) === '/' || (name = getEntryName(name)) === null) {
+				continue;
+			}
+
+			total += size;
+			checkEntryLimits(entries.length + 1, total, limits);
+
+			if (method !== 0 && method !== 8) {
+				throw new Error('Unsupported zip compression method ' + method + ' for ' + name);
+			}
+
+			if (localOffset + 30 > length) {
+				throw new Error('Zip archive is truncated or corrupt');
+			}
+
+			var local = readRange(fd, upload.start + localOffset, 30),
+				start = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+			if (local.readUInt32LE(0) !== 0x04034b50 || start + compSize > length) {
+				throw new Error('Zip archive is truncated or corrupt');
+			}
+
+			entries.push({
+				name: name,
+				method: method,
+				compSize: compSize,
+				size: size,
+				start: upload.start + start
+			});
+		}
+	} finally {
+		fs.closeSync(fd);
+	}
+
+	return entries;
+}
+
+function removeDir(dir) {
+	var files = fs.readdirSync(dir);
+
+	for (var i = 0, il = files.length; i < il; i++) {
+		var file = dir + '/' + files[i];
+
+		if (fs.statSync(file).isDirectory()) {
+			removeDir(file);
+		} else {
+			fs.unlinkSync(file);
+		}
+	}
+
+	fs.rmdirSync(dir);
+}
+
+function makeDirs(baseDir, relDir) {
+	var dirs = relDir.split('/'),
+		dir = baseDir;
+
+	for (var i = 0, il = dirs.length; i < il; i++) {
+		if (dirs[i] !== '' && dirs[i] !== '.') {
+			dir += '/' + dirs[i];
+
+			if (!path.existsSync(dir)) {
+				fs.mkdirSync(dir, 0755);
+			}
+		}
+	}
+}
+
+// Failed writes are flagged so that they are reported as the server's fault, not the archive's
+function openEntry(toDir, name) {
+	try {
+		makeDirs(toDir, path.dirname(name));
+		return fs.openSync(toDir + '/' + name, 'w');
+	} catch (e) {
+		e.writeFailed = true;
+		throw e;
+	}
+}
+
+function writeData(fd, data) {
+	try {
+		fs.writeSync(fd, data, 0, data.length, null);
+	} catch (e) {
+		e.writeFailed = true;
+		throw e;
+	}
+}
+
+function getAssetReport(assets) {
+	var report = '';
+
+	for (var i = 0, il = assets.copied.length; i < il; i++) {
+		report += '  ' + assets.copied[i].dst + '\n';
+	}
+
+	if (report === '') {
+		report = '  No assets needed!\n';
+	}
+
+	if (assets.missing.length > 0) {
+		report += '\nThe following files are referenced by the project but could not be found.\n' +
+			'You will need to copy them into the package yourself:\n\n';
+
+		for (var i = 0, il = assets.missing.length; i < il; i++) {
+			report += '  ' + assets.missing[i] + '\n';
+		}
+	}
+
+	return report;
+}
+
+/*
+ * Find every file the given project Octane references, rewrite each reference to point into the
+ * package's assets directory and return the files that need to be copied there. URLs are relative
+ * to routes.rootPath. Absolute URLs are left alone.
+ */
+function packageAssets(octane) {
+	var assets = {
+			copied: [],
+			missing: []
+		},
+		found = {},
+		addAsset = function(url, dst) {
+			var src = routes.rootPath + '/' + url;
+
+			if (found[url] === undefined) {
+				if (path.existsSync(src) && fs.statSync(src).isFile()) {
+					found[url] = dst;
+					assets.copied.push({
+						src: src,
+						dst: dst
+					});
+
+					if (url.match(/\.dae$/i)) {
+						addColladaTextures(url, dst);
+					} else if (url.match(/\.js$/i)) {
+						addJsonTextures(url, dst);
+					}
+				} else {
+					found[url] = null;
+					assets.missing.push(url);
+				}
+			}
+
+			return found[url];
+		},
+		addTextures = function(url, dst, refs) {
+			var srcDir = path.dirname(url),
+				dstDir = path.dirname(dst);
+
+			for (var i = 0, il = refs.length; i < il; i++) {
+				var ref = decodeURIComponent(refs[i].replace(/^file:\/\//, '')),
+					srcUrl = path.normalize(srcDir + '/' + ref).replace(/\\/g, '/');
+
+				if (isLocalAsset(ref) && isLocalAsset(srcUrl)) {
+					addAsset(srcUrl, path.normalize(dstDir + '/' + ref).replace(/\\/g, '/'));
+				} else {
+					log('...cannot package texture ' + ref + ' referenced by ' + url);
+				}
+			}
+		},
+		addColladaTextures = function(url, dst) {
+			var dae = fs.readFileSync(routes.rootPath + '/' + url, 'utf8'),
+				regEx = /<init_from>\s*([^<]+?)\s*<\/init_from>/g,
+				refs = [],
+				match;
+
+			while ((match = regEx.exec(dae)) !== null) {
+				// COLLADA 1.4 surfaces also use init_from, but to reference image ids
+				if (match[1].match(TEXTURE_EXT)) {
+					refs.push(match[1]);
+				}
+			}
+
+			addTextures(url, dst, refs);
+		},
+		addJsonTextures = function(url, dst) {
+			var json = fs.readFileSync(routes.rootPath + '/' + url, 'utf8'),
+				regEx = /"map\w*"\s*:\s*"([^"]+)"/g,
+				refs = [],
+				match;
+
+			while ((match = regEx.exec(json)) !== null) {
+				refs.push(match[1]);
+			}
+
+			addTextures(url, dst, refs);
+		},
+		packageUrl = function(url) {
+			if (typeof url !== 'string' || !isLocalAsset(url)) {
+				return url;
+			}
+
+			var dst = url.indexOf('assets/') === 0 ? url : 'assets/' + url;
+			return addAsset(url, dst) || url;
+		},
+		walk = function(node) {
+			if (isArray(node)) {
+				for (var i = 0, il = node.length; i < il; i++) {
+					node[i] = walk(node[i]);
+				}
+			} else if (node !== null && typeof node === 'object') {
+				var skip = null;
+
+				// Properties that always hold a file URL regardless of its extension
+				if (node.arg && (node.name === 'setFileName' || node.name === 'addUrl' ||
+						node.name === 'setUrl')) {
+					node.arg[0] = packageUrl(node.arg[0]);
+					skip = 'arg';
+				} else if (node.name === 'url' && node.val !== undefined) {
+					node.val = packageUrl(node.val);
+					skip = 'val';
+				}
+
+				for (var key in node) {
+					if (key !== skip) {
+						node[key] = walk(node[key]);
+					}
+				}
+			} else if (typeof node === 'string' && node.match(ASSET_EXT)) {
+				// Texture and media references stored anywhere else
+				node = packageUrl(node);
+			}
+
+			return node;
+		};
+
+	walk(octane);
+	return assets;
+}
+
+function isArray(val) {
+	return Object.prototype.toString.call(val) === '[object Array]';
+}
+
+function getOwn(obj, key) {
+	return Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
+}
+
+function isLocalAsset(url) {
+	return url !== '' && !url.match(/^[a-z]+:/i) && url.charAt(0) !== '/' &&
+		path.normalize(url).replace(/\\/g, '/').split('/').indexOf('..') === -1;
+}
+
+function writeZip(dir, zipFile) {
+	var files = [],
+		parts = [],
+		central = [],
+		offset = 0,
+		base = path.basename(dir),
+		now = new Date(),
+		dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1),
+		dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(),
+		listFiles = function(rel) {
+			var names = fs.readdirSync(dir + rel);
+
+			for (var i = 0, il = names.length; i < il; i++) {
+				var name = rel + '/' + names[i];
+
+				if (fs.statSync(dir + name).isDirectory()) {
+					listFiles(name);
+				} else {
+					files.push(name);
+				}
+			}
+		};
+
+	listFiles('');
+
+	for (var i = 0, il = files.length; i < il; i++) {
+		var name = new Buffer(base + files[i], 'utf8'),
+			data = fs.readFileSync(dir + files[i]),
+			deflated = zlib.deflateRawSync(data),
+			stored = deflated.length >= data.length,
+			body = stored ? data : deflated,
+			header = new Buffer(30),
+			entry = new Buffer(46),
+			crc = crc32(data);
+
+		header.writeUInt32LE(0x04034b50, 0);
+		header.writeUInt16LE(20, 4);
+		header.writeUInt16LE(0x0800, 6);
+		header.writeUInt16LE(stored ? 0 : 8, 8);
+		header.writeUInt16LE(dosTime, 10);
+		header.writeUInt16LE(dosDate, 12);
+		header.writeUInt32LE(crc, 14);
+		header.writeUInt32LE(body.length, 18);
+		header.writeUInt32LE(data.length, 22);
+		header.writeUInt16LE(name.length, 26);
+		header.writeUInt16LE(0, 28);
+
+		entry.writeUInt32LE(0x02014b50, 0);
+		entry.writeUInt16LE(20, 4);
+		header.copy(entry, 6, 4, 30);
+		entry.writeUInt16LE(0, 32);
+		entry.writeUInt16LE(0, 34);
+		entry.writeUInt16LE(0, 36);
+		entry.writeUInt32LE(0, 38);
+		entry.writeUInt32LE(offset, 42);
+
+		parts.push(header, name, body);
+		central.push(entry, name);
+		offset += header.length + name.length + body.length;
+	}
+
+	var centralData = Buffer.concat(central),
+		eocd = new Buffer(22);
+
+	eocd.writeUInt32LE(0x06054b50, 0);
+	eocd.writeUInt16LE(0, 4);
+	eocd.writeUInt16LE(0, 6);
+	eocd.writeUInt16LE(files.length, 8);
+	eocd.writeUInt16LE(files.length, 10);
+	eocd.writeUInt32LE(centralData.length, 12);
+	eocd.writeUInt32LE(offset, 16);
+	eocd.writeUInt16LE(0, 20);
+
+	fs.writeFileSync(zipFile, Buffer.concat(parts.concat(centralData, eocd)));
+}
+
+var crcTable = null;
+
+function crc32(buf) {
+	if (crcTable === null) {
+		crcTable = [];
+
+		for (var n = 0; n < 256; n++) {
+			var c = n;
+
+			for (var k = 0; k < 8; k++) {
+				c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			}
+
+			crcTable[n] = c >>> 0;
+		}
+	}
+
+	var crc = 0xffffffff;
+
+	for (var i = 0, il = buf.length; i < il; i++) {
+		crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+	}
+
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+/*
+ * Send the given static file. Requests are checked against the file's ETag and modification
+ * time so unchanged files get a 304, a single byte range is supported for scrubbing audio and
+ * video and text files are gzipped if the client accepts it.
+ */
+function sendFile(req, res, filePath) {
+	var stat = fs.statSync(filePath),
+		headers = req.headers,
+		etag = '"' + stat.size.toString(16) + '-' + stat.mtime.getTime().toString(16) + '"',
+		modified = stat.mtime.toUTCString(),
+		resHeaders = {
+			'Accept-Ranges': 'bytes',
+			'Cache-Control': 'no-cache',
+			'ETag': etag,
+			'Last-Modified': modified
+		},
+		range = headers['range'],
+		ifRange = headers['if-range'];
+
+	if (isNotModified(headers, etag, stat.mtime)) {
+		res.send('', 304, req.contentType, resHeaders);
+		return;
+	}
+
+	// A range for an outdated version of the file gets the entire file
+	if (range && ifRange && ifRange !== etag && ifRange !== modified) {
+		range = null;
+	}
+
+	if (range) {
+		var bounds = parseRange(range, stat.size);
+
+		if (bounds === null) {
+			resHeaders['Content-Range'] = 'bytes */' + stat.size;
+			res.send('', 416, req.contentType, resHeaders);
+		} else if (bounds) {
+			var length = bounds.end - bounds.start + 1,
+				data = new Buffer(length),
+				fd = fs.openSync(filePath, 'r');
+
+			fs.readSync(fd, data, 0, length, bounds.start);
+			fs.closeSync(fd);
+			resHeaders['Content-Range'] = 'bytes ' + bounds.start + '-' + bounds.end + '/' + stat.size;
+			res.send(data, 206, req.contentType, resHeaders);
+		} else {
+			range = null;
+		}
+	}
+
+	if (!range) {
+		var data = fs.readFileSync(filePath);
+
+		if (isCompressible(req.contentType)) {
+			resHeaders['Vary'] = 'Accept-Encoding';
+
+			if (/\bgzip\b/.test(headers['accept-encoding'] || '')) {
+				data = zlib.gzipSync(data);
+				resHeaders['Content-Encoding'] = 'gzip';
+				// The gzipped body is a different representation than the file
+				resHeaders['ETag'] = etag.slice(0, -1) + '-gzip"';
+			}
+		}
+
+		res.send(data, 200, req.contentType, resHeaders);
+	}
+}
+
+function isNotModified(headers, etag, mtime) {
+	var ifNoneMatch = headers['if-none-match'],
+		ifModifiedSince = headers['if-modified-since'];
+
+	if (ifNoneMatch) {
+		var tags = ifNoneMatch.split(/\s*,\s*/);
+
+		for (var i = 0, il = tags.length; i < il; i++) {
+			var tag = tags[i].replace(/^W\//, '').replace(/-gzip"$/, '"');
+
+			if (tag === '*' || tag === etag) {
+				return true;
+			}
+		}
+
+		return false;
+	} else if (ifModifiedSince) {
+		var since = Date.parse(ifModifiedSince);
+		// HTTP dates only have second precision
+		return !isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+	}
+
+	return false;
+}
+
+function isCompressible(contentType) {
+	return /^text\//.test(contentType) || contentType === JSONt;
+}
+
+/*
+ * Parse a Range header for a file of the given size. Returns the start and end bytes (inclusive)
+ * of a single satisfiable range, null if the range cannot be satisfied or false if the header is
+ * invalid or requests multiple ranges and should be ignored.
+ */
+function parseRange(range, size) {
+	var parts = range.match(/^bytes=(\d*)-(\d*)$/);
+
+	if (!parts || (parts[1] === '' && parts[2] === '')) {
+		return false;
+	}
+
+	var start, end;
+
+	if (parts[1] === '') {
+		// Suffix range for the last N bytes
+		start = Math.max(size - parseInt(parts[2], 10), 0);
+		end = size - 1;
+	} else {
+		start = parseInt(parts[1], 10);
+		end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+	}
+
+	if (start > end || start >= size) {
+		return null;
+	}
+
+	return {
+		start: start,
+		end: end
+	};
+}
+
+/*
+ * Load the saved World Octane for the given project. If the project does not exist or is not a
+ * World Octane, an error response is sent and null is returned.
+ */
+function loadWorldOctane(name, res) {
+	var filePath = routes.projectsPath + '/' + name + '.json',
+		octane = null;
+
+	if (!path.existsSync(filePath)) {
+		sendError(res, 404, 'unknownProject', 'Project ' + name + ' has not been saved', name);
+	} else {
+		octane = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+		if (!isArray(octane.citizens)) {
+			sendError(res, 400, 'notWorldOctane', 'Project ' + name + ' does not contain a World',
+				name);
+			octane = null;
+		}
+	}
+
+	return octane;
+}
+
+function saveWorldOctane(name, octane) {
+	var data = JSON.stringify(octane);
+
+	fs.writeFileSync(routes.projectsPath + '/' + name + '.json', data);
+	return saveVersion(name, data);
+}
+
+/*
+ * Get the citizen Octane entry posted as the citizen parameter. If it is missing or invalid, a 400
+ * response is sent and null is returned.
+ */
+function getCitizenParam(req, res) {
+	var input = req.param['citizen'],
+		citizen = null,
+		err = null;
+
+	try {
+		citizen = JSON.parse(input);
+		err = checkSchema(citizen, OCTANE_OBJECT_SCHEMA, 'citizen');
+	} catch (e) {
+		err = 'Citizen is not valid JSON: ' + (input === undefined ? 'missing' : e.message);
+	}
+
+	if (err === null && citizen.id !== undefined && !isCitizenId(citizen.id)) {
+		err = 'citizen.id must be an integer from 0 to ' + MAX_CITIZEN_ID;
+	}
+
+	if (err !== null) {
+		sendError(res, 400, 'invalidCitizen', err);
+		citizen = null;
+	}
+
+	return citizen;
+}
+
+function isCitizenId(id) {
+	return typeof id === 'number' && id % 1 === 0 && id >= 0 && id <= MAX_CITIZEN_ID;
+}
+
+/*
+ * Get the index of the citizen in the given World Octane with the id from the request parameters.
+ * If the id is invalid or not found, an error response is sent and -1 is returned.
+ */
+function getCitizenParamIndex(req, res, octane) {
+	var id = req.param['id'],
+		ndx = -1;
+
+	if (typeof id !== 'string' || !id.match(/^\d+$/) || !isCitizenId(parseInt(id, 10))) {
+		sendError(res, 400, 'invalidId', 'Invalid id: ' + id, id);
+	} else if ((ndx = getCitizenIndex(octane, parseInt(id, 10))) === -1) {
+		sendError(res, 404, 'unknownCitizen', 'No citizen with id ' + id, id);
+	}
+
+	return ndx;
+}
+
+/*
+ * Get the id to give a new citizen in the given World Octane. Octane without a valid nextId uses
+ * the id after the highest citizen id.
+ */
+function getNextCitizenId(octane) {
+	var nextId = 0;
+
+	for (var i = 0, il = octane.citizens.length; i < il; i++) {
+		if (typeof octane.citizens[i].id === 'number') {
+			nextId = Math.max(nextId, octane.citizens[i].id + 1);
+		}
+	}
+
+	return typeof octane.nextId === 'number' && octane.nextId % 1 === 0 ?
+		Math.max(octane.nextId, nextId) : nextId;
+}
+
+/*
+ * Find the properties of the citizens in the given World Octane that refer to the citizen with
+ * the given id. Returns an array of { id, prop } for each citizen id and property name.
+ */
+function getCitizenReferences(octane, id) {
+	var references = [],
+		hasId = function(props) {
+			for (var i = 0, il = props ? props.length : 0; i < il; i++) {
+				var prop = props[i],
+					oct = isArray(prop.oct) ? prop.oct : prop.oct ? [prop.oct] : [];
+
+				if (prop.id === id || (isArray(prop.id) && prop.id.indexOf(id) !== -1)) {
+					return true;
+				}
+
+				for (var j = 0, jl = oct.length; j < jl; j++) {
+					if (oct[j] && hasId(oct[j].props)) {
+						return true;
+					}
+				}
+			}
+
+			return false;
+		};
+
+	for (var i = 0, il = octane.citizens.length; i < il; i++) {
+		var citizen = octane.citizens[i],
+			props = citizen.props || [];
+
+		if (citizen.id === id) {
+			continue;
+		}
+
+		for (var j = 0, jl = props.length; j < jl; j++) {
+			if (hasId([props[j]])) {
+				references.push({
+					id: citizen.id,
+					prop: props[j].name
+				});
+			}
+		}
+	}
+
+	return references;
+}
+
+/*
+ * Remove the MessageTargets in the given World Octane that handle Messages from or are handled by
+ * the citizen with the given id. MessageSpecs left without targets are removed too. Returns the
+ * dispatch ids of the removed MessageTargets.
+ */
+function removeCitizenTargets(octane, id) {
+	var ents = octane.dispatch && isArray(octane.dispatch.ents) ? octane.dispatch.ents : [],
+		removed = [],
+		getProp = function(entry, name) {
+			for (var i = 0, il = entry.props ? entry.props.length : 0; i < il; i++) {
+				if (entry.props[i].name === name) {
+					return entry.props[i];
+				}
+			}
+
+			return null;
+		};
+
+	for (var i = ents.length - 1; i >= 0; i--) {
+		var src = getProp(ents[i], 'src'),
+			targetsProp = getProp(ents[i], 'targets'),
+			targets = targetsProp && isArray(targetsProp.oct) ? targetsProp.oct : [],
+			fromCitizen = src !== null && src.val === id,
+			count = targets.length;
+
+		for (var j = targets.length - 1; j >= 0; j--) {
+			var handler = getProp(targets[j], 'handler'),
+				dispatchId = getProp(targets[j], '_dispatchId');
+
+			if (fromCitizen || (handler !== null && handler.id === id)) {
+				targets.splice(j, 1);
+				removed.push(dispatchId === null ? null : dispatchId.val);
+			}
+		}
+
+		if (targets.length === 0 && count > 0) {
+			ents.splice(i, 1);
+		}
+	}
+
+	return removed;
+}
+
+function getCitizenIndex(octane, id) {
+	for (var i = 0, il = octane.citizens.length; i < il; i++) {
+		if (octane.citizens[i].id === id) {
+			return i;
+		}
+	}
+
+	return -1;
+}
+
+/*
+ * Get the given request parameter as a name that is safe to use as a file name. Names may only
+ * contain letters, digits, spaces, underscores and dashes, so they can never leave the directory
+ * they are used in. If the parameter is invalid, a 400 response is sent and null is returned.
+ */
+function getSafeName(req, res, key, opt_default) {
+	var name = req.param[key];
+
+	if (name === undefined || name === '') {
+		name = opt_default;
+	}
+
+	if (typeof name !== 'string' || !name.match(/^[\w\-][\w\- ]{0,99}$/)) {
+		sendError(res, 400, 'invalidName', 'Invalid ' + key + ': ' + name, name);
+		return null;
+	}
+
+	return name;
+}
+
+function getSafeRev(req, res) {
+	var rev = req.param['rev'];
+
+	if (typeof rev !== 'string' || !rev.match(/^\d+(-\d+)?$/)) {
+		sendError(res, 400, 'invalidRevision', 'Invalid rev: ' + rev, rev);
+		return null;
+	}
+
+	return rev;
+}
+
+/*
+ * Resolve the given URL path against the base directory. Returns null if the resulting path is
+ * outside of the base directory or goes through a hidden (dot) file or directory.
+ */
+function getSafePath(baseDir, urlPath) {
+	var base = path.resolve(baseDir),
+		resolved = path.resolve(base, '.' + path.sep + urlPath),
+		rel = resolved.substr(base.length + 1).split(path.sep);
+
+	if (resolved !== base && resolved.indexOf(base + path.sep) !== 0) {
+		return null;
+	}
+
+	for (var i = 0, il = rel.length; i < il; i++) {
+		if (rel[i].charAt(0) === '.') {
+			return null;
+		}
+	}
+
+	return resolved;
+}
+
+function sendError(res, status, errType, errMsg, opt_errData, opt_headers) {
+	var err = {
+		errType: errType,
+		errMsg: errMsg
+	};
+
+	if (opt_errData !== undefined && opt_errData !== null) {
+		err.errData = opt_errData;
+	}
+
+	res.send(JSON.stringify(err), status, JSONt, opt_headers);
+}
+
+/*
+ * Check that the given string is a valid Octane document, either for an entire World or for a
+ * single object. Returns an error message or null if the Octane is valid.
+ */
+function checkOctane(input) {
+	var octane;
+
+	if (typeof input !== 'string') {
+		return 'Missing octane';
+	}
+
+	try {
+		octane = JSON.parse(input);
+	} catch (e) {
+		return 'Octane is not valid JSON: ' + e.message;
+	}
+
+	return checkSchema(octane, octane !== null && octane.type !== undefined ?
+		OCTANE_OBJECT_SCHEMA : OCTANE_WORLD_SCHEMA, 'octane');
+}
+
+/*
+ * Check the given value against a simple schema. A schema has a type ('object', 'array',
+ * 'string', 'number', 'boolean' or 'any', or an array of those), optional props (a map of
+ * property names to schemas for objects), optional items (a schema for array elements) and an
+ * optional flag. Returns an error message or null if the value matches.
+ */
+function checkSchema(value, schema, where) {
+	var types = isArray(schema.type) ? schema.type : [schema.type],
+		type = isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+	if (types.indexOf('any') === -1 && types.indexOf(type) === -1) {
+		return where + ' must be ' + types.join(' or ') + ' but is ' + type;
+	}
+
+	if (type === 'object' && schema.props) {
+		for (var key in schema.props) {
+			var propSchema = schema.props[key];
+
+			if (value[key] === undefined) {
+				if (!propSchema.optional) {
+					return where + '.' + key + ' is required';
+				}
+			} else {
+				var err = checkSchema(value[key], propSchema, where + '.' + key);
+
+				if (err !== null) {
+					return err;
+				}
+			}
+		}
+	} else if (type === 'array' && schema.items) {
+		for (var i = 0, il = value.length; i < il; i++) {
+			var err = checkSchema(value[i], schema.items, where + '[' + i + ']');
+
+			if (err !== null) {
+				return err;
+			}
+		}
+	}
+
+	return null;
+}
+
+/*
+ * Compile a route with path parameters like /projects/:name/versions/:rev into a matcher. Each
+ * parameter matches a single path segment.
+ */
+function compileRoute(method, route, handler) {
+	var keys = [],
+		source = route.replace(/[\-\[\]{}()*+?.\\^$|]/g, '\\$&').replace(/\/:(\w+)/g,
+			function(match, key) {
+				keys.push(key);
+				return '/([^/]+)';
+			});
+
+	return {
+		method: method,
+		route: route,
+		regex: new RegExp('^' + source + '/?$'),
+		keys: keys,
+		handler: handler
+	};
+}
+
+/*
+ * Make the given response send only headers, as required for HEAD requests.
+ */
+function sendHeadersOnly(res) {
+	var send = res.send;
+
+	res.send = function(data, status, contentType, opt_headers) {
+		var headers = opt_headers || {};
+		headers['Content-Length'] = Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data || '');
+		send.call(this, '', status, contentType, headers);
+	};
+}
+
+function logRequest(req, res, next) {
+	var start = new Date().getTime();
+
+	res.httpRes.on('finish', function() {
+		log(req.method + ' ' + req.url + ' ' + res.httpRes.statusCode + ' (' +
+			(new Date().getTime() - start) + 'ms)');
+	});
+
+	next();
+}
+
+/*
+ * Read the request body and parse the request parameters. Binary uploads are left unread so the
+ * route handler can stream the body.
+ */
+function parseBody(req, res, next) {
+	if (isUpload(req.httpReq)) {
+		req.param = qs.parse(req.queryString);
+		next();
+	} else {
+		req.httpReq
+			.on('data', function (data) {
+				req.body += data;
+			})
+			.on('end', function () {
+				req.param = qs.parse(req.queryString == '' ? req.body : req.queryString);
+				next();
+			});
+	}
+}
+
+function checkAuthorization(req, res, next) {
+	if (routes.authorize && !routes.authorize(req)) {
+		sendError(res, 403, 'notAuthorized', 'Not authorized for ' + req.method + ' ' + req.reqPath);
+	} else {
+		next();
+	}
+}
+
+function handleError(err, req, res, next) {
+	log('error handling ' + req.method + ' ' + req.reqPath + ': ' + (err.stack || err));
+
+	if (!res.httpRes.headersSent) {
+		sendError(res, 500, 'serverError', err.message || String(err));
+	}
+}
+
+/*
+ * Handle a message from a collaborative editing client. Clients join the session for a project
+ * and then send citizen level changes ('create', 'update' or 'remove' with the citizen's Octane)
+ * and presence updates. Each citizen has a version that is incremented by every change. A change
+ * based on an older version than the current one is rejected as a conflict and the client gets
+ * the current state of the citizen instead.
+ */
+function handleCollabCommand(client, msg, data) {
+	switch (msg) {
+	case 'join':
+		leaveCollabSession(client);
+		joinCollabSession(client, data.project, data.user);
+		break;
+	case 'leave':
+		leaveCollabSession(client);
+		break;
+	case 'change':
+		if (client.session) {
+			applyCollabChange(client, data);
+		}
+		break;
+	case 'presence':
+		if (client.session) {
+			client.editing = data.editing === undefined ? null : data.editing;
+			broadcastCollab(client.session, 'presence', getCollabPresence(client, 'edit'), client);
+		}
+		break;
+	default:
+		client.send('error', {
+			errMsg: 'Unknown message ' + msg
+		});
+	}
+}
+
+function joinCollabSession(client, project, user) {
+	if (typeof project !== 'string' || !project.match(/^[\w\-][\w\- ]{0,99}$/)) {
+		client.send('error', {
+			errMsg: 'Invalid project: ' + project
+		});
+		return;
+	}
+
+	var session = getOwn(routes.collabSessions, project);
+
+	if (!session) {
+		var filePath = routes.projectsPath + '/' + project + '.json',
+			octane = path.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+
+		session = routes.collabSessions[project] = {
+			project: project,
+			clients: [],
+			nextClientId: 1,
+			// The saved project's ids are taken even though they have no changes yet
+			nextId: octane.nextId || 1,
+			ids: {},
+			changes: {}
+		};
+
+		if (isArray(octane.citizens)) {
+			for (var i = 0, il = octane.citizens.length; i < il; i++) {
+				session.ids[octane.citizens[i].id] = true;
+			}
+		}
+	}
+
+	var users = [],
+		changes = [];
+
+	client.id = session.nextClientId++;
+	client.user = typeof user === 'string' && user !== '' ? user : 'User ' + client.id;
+	client.color = COLLAB_COLORS[(client.id - 1) % COLLAB_COLORS.length];
+	client.editing = null;
+	client.session = session;
+
+	for (var i = 0, il = session.clients.length; i < il; i++) {
+		users.push(getCollabPresence(session.clients[i]));
+	}
+
+	for (var id in session.changes) {
+		changes.push(session.changes[id]);
+	}
+
+	session.clients.push(client);
+	log('...' + client.user + ' joined collaboration on ' + project);
+	client.send('joined', {
+		project: project,
+		clientId: client.id,
+		user: client.user,
+		color: client.color,
+		users: users,
+		changes: changes
+	});
+	broadcastCollab(session, 'presence', getCollabPresence(client, 'join'), client);
+}
+
+function leaveCollabSession(client) {
+	var session = client.session;
+
+	if (session) {
+		var ndx = session.clients.indexOf(client);
+
+		if (ndx !== -1) {
+			session.clients.splice(ndx, 1);
+		}
+
+		client.session = null;
+		log('...' + client.user + ' left collaboration on ' + session.project);
+
+		if (session.clients.length === 0) {
+			delete routes.collabSessions[session.project];
+		} else {
+			broadcastCollab(session, 'presence', getCollabPresence(client, 'leave'));
+		}
+	}
+}
+
+function applyCollabChange(client, data) {
+	var session = client.session,
+		op = data.op,
+		id = data.id,
+		current = session.changes[id],
+		version = current ? current.version : 0,
+		reply = {
+			op: op,
+			id: id
+		};
+
+	if ((op !== 'create' && op !== 'update' && op !== 'remove') || typeof id !== 'number') {
+		client.send('error', {
+			errMsg: 'Invalid change'
+		});
+		return;
+	} else if (op !== 'remove' &&
+			checkSchema(data.citizen, OCTANE_OBJECT_SCHEMA, 'citizen') !== null) {
+		client.send('error', {
+			errMsg: 'Invalid citizen for change to ' + id
+		});
+		return;
+	}
+
+	if (op === 'create') {
+		if (session.ids[id]) {
+			// Another editor already took the id, so give the citizen a new one
+			reply.oldId = id;
+			id = session.nextId;
+			current = null;
+			version = 0;
+		}
+	} else if ((data.base || 0) < version) {
+		client.send('conflict', {
+			op: op,
+			id: id,
+			citizen: current.citizen,
+			version: version,
+			user: current.user,
+			model: current.model,
+			removed: current.op === 'remove'
+		});
+		return;
+	}
+
+	var change = {
+		op: op,
+		id: id,
+		citizen: op === 'remove' ? null : data.citizen,
+		version: version + 1,
+		// The editor model that handles the citizen, so other editors can update their tools
+		model: typeof data.model === 'string' ? data.model : null,
+		user: client.user,
+		clientId: client.id
+	};
+
+	if (change.citizen) {
+		change.citizen.id = id;
+	}
+
+	session.ids[id] = op !== 'remove';
+	session.nextId = Math.max(session.nextId, id + 1);
+	session.changes[id] = change;
+	reply.id = id;
+	reply.version = change.version;
+	client.send('applied', reply);
+	broadcastCollab(session, 'change', change, client);
+}
+
+/*
+ * Handle a message from a remote control client. Consoles send commands that are relayed to every
+ * world on the channel, and worlds send command results and forwarded Messages that are relayed
+ * to every console on the channel. The first client to join a channel sets its token and every
+ * other client must join with the same token.
+ */
+function handleRemoteCommand(client, msg, data) {
+	switch (msg) {
+	case 'join':
+		var channel = data.channel,
+			role = data.role,
+			token = data.token,
+			existing = getOwn(routes.remoteChannels, channel);
+
+		if (typeof channel !== 'string' || !channel.match(/^[\w\-][\w\- ]{0,99}$/) ||
+				(role !== 'world' && role !== 'console')) {
+			client.send('error', {
+				errMsg: 'Invalid channel or role'
+			});
+			return;
+		} else if (typeof token !== 'string' || token.length === 0 ||
+				(existing && existing.token !== token)) {
+			log('...rejected ' + role + ' with an invalid token for remote channel ' + channel);
+			client.send('error', {
+				errMsg: 'Invalid channel token'
+			});
+			return;
+		}
+
+		leaveRemoteChannel(client);
+		client.role = role;
+		// Leaving may have removed the channel, so look it up again
+		client.channel = routes.remoteChannels[channel] = getOwn(routes.remoteChannels, channel) || {
+			name: channel,
+			token: token,
+			clients: []
+		};
+		client.channel.clients.push(client);
+		log('...' + role + ' joined remote channel ' + channel);
+		broadcastRemote(client.channel, 'console', 'peers', getRemotePeers(client.channel));
+		break;
+	case 'command':
+		if (client.role === 'console') {
+			broadcastRemote(client.channel, 'world', 'command', data);
+		}
+		break;
+	case 'result':
+	case 'message':
+		if (client.role === 'world') {
+			broadcastRemote(client.channel, 'console', msg, data);
+		}
+		break;
+	default:
+		client.send('error', {
+			errMsg: 'Unknown message ' + msg
+		});
+	}
+}
+
+function leaveRemoteChannel(client) {
+	var channel = client.channel;
+
+	if (channel) {
+		channel.clients.splice(channel.clients.indexOf(client), 1);
+		client.channel = null;
+
+		if (channel.clients.length === 0) {
+			delete routes.remoteChannels[channel.name];
+		} else {
+			broadcastRemote(channel, 'console', 'peers', getRemotePeers(channel));
+		}
+	}
+}
+
+function broadcastRemote(channel, role, msg, data) {
+	for (var i = 0, il = channel.clients.length; i < il; i++) {
+		var client = channel.clients[i];
+
+		if (client.role === role) {
+			client.send(msg, data);
+		}
+	}
+}
+
+function getRemotePeers(channel) {
+	var peers = {
+		channel: channel.name,
+		worlds: 0,
+		consoles: 0
+	};
+
+	for (var i = 0, il = channel.clients.length; i < il; i++) {
+		if (channel.clients[i].role === 'world') {
+			peers.worlds++;
+		} else {
+			peers.consoles++;
+		}
+	}
+
+	return peers;
+}
+
+function broadcastCollab(session, msg, data, opt_except) {
+	for (var i = 0, il = session.clients.length; i < il; i++) {
+		var client = session.clients[i];
+
+		if (client !== opt_except) {
+			client.send(msg, data);
+		}
+	}
+}
+
+function getCollabPresence(client, opt_state) {
+	return {
+		clientId: client.id,
+		user: client.user,
+		color: client.color,
+		editing: client.editing,
+		state: opt_state
+	};
+}
+
+function decodeUrlPath(urlPath) {
+	try {
+		return decodeURIComponent(urlPath);
+	} catch (e) {
+		return null;
+	}
+}
+
+function getPathLessTheQueryString(url) {
+	return url.indexOf('?') === -1 ? url : url.substring(0, url.indexOf('?'));
+}
+
+function getTheQueryString(url) {
+	return url.indexOf('?') === -1 ? '' : url.slice(url.indexOf('?') + 1);
+}
+
+function req2ContentType(urlLessQueryString) {
+	var at = urlLessQueryString.lastIndexOf('.'),
+		fileType = at === -1 ? '.txt' : urlLessQueryString.slice(at),
+		contentType = PLAINt;
+
+	switch (fileType) {
+	case '.css':
+		contentType = 'text/css';
+		break;
+	case '.js':
+		contentType = 'text/javascript';
+		break;
+	case '.htm':
+	case '.html':
+		contentType = HTMLt;
+		break;
+	case '.dae':
+	case '.DAE':
+		contentType = XMLt;
+		break;
+	case '.fx':
+	case '.txt':
+		contentType = PLAINt;
+		break;
+	case '.json':
+		contentType = JSONt;
+		break;
+	case '.png':
+		contentType = 'image/png';
+		break;
+	case '.jpeg':
+	case '.jpg':
+		contentType = 'image/jpeg';
+		break;
+	case '.gif':
 		contentType = 'image/gif';
 		break;
 	case '.ico':
@@ -535,12 +2835,18 @@ function req2ContentType(urlLessQueryString) {
 	case '.woff':
 		contentType = 'application/octet-stream';
 		break;
+	case '.zip':
+		contentType = 'application/zip';
+		break;
 	case '.mp4':
 		contentType = 'video/mp4';
 		break;
 	case '.mp3':
 		contentType = 'audio/mpeg';
 		break;
+	case '.wav':
+		contentType = 'audio/wav';
+		break;
 	case '.ogg':
 	case '.ogv':
 		contentType = 'video/ogg';
@@ -563,13 +2869,14 @@ var copyFile = function(srcFile, dstDir) {
 
 var app = http.createServer(function (hreq, hres) {
 	var pltqs = getPathLessTheQueryString(hreq.url),
+		reqPath = decodeUrlPath(pltqs),
 		req = {
 			url: hreq.url,
 			method: hreq.method,
 			headers: hreq.headers,
 			body: '',
 			xhr: hreq.headers['x-requested-with'] == 'XMLHttpRequest',
-			reqPath: decodeURIComponent(pltqs),
+			reqPath: reqPath,
 			contentType: req2ContentType(pltqs),
 			queryString: getTheQueryString(hreq.url),
 			param: undefined,
@@ -577,20 +2884,20 @@ var app = http.createServer(function (hreq, hres) {
 		},
 		res = {
 			httpRes: hres,
-			send: function(data, status, contentType) {
-				this.httpRes.writeHead(status, { 'Content-Type': contentType });
+			send: function(data, status, contentType, opt_headers) {
+				var headers = opt_headers || {};
+				headers['Content-Type'] = contentType;
+				this.httpRes.writeHead(status, headers);
 				this.httpRes.end(data);
 			}
 		};
 
-		hreq
-			.on('data', function (data) {
-				req.body += data;
-			})
-			.on('end', function () {
-				req.param = qs.parse(req.queryString == '' ? req.body : req.queryString);
-				routes.dispatch(req, res);
-			});
+		if (reqPath === null) {
+			hreq.resume();
+			sendError(res, 400, 'invalidPath', 'Malformed URL ' + hreq.url);
+		} else {
+			routes.dispatch(req, res);
+		}
 });
 app.listen(3000, "127.0.0.1");
 
@@ -654,6 +2961,73 @@ if (opt_ws) {
 		}
 	});
 
+	routes.ws(routes.WSCOLLAB, function(connection) {
+		log('...adding ' + routes.WSCOLLAB + ' protocol request message handler');
+
+		var client = {
+			id: null,
+			user: null,
+			color: null,
+			editing: null,
+			session: null,
+			send: function(msg, data) {
+				connection.sendUTF(JSON.stringify({
+					msg: msg,
+					data: data
+				}));
+			}
+		};
+
+		connection.on('close', function() {
+			leaveCollabSession(client);
+		});
+		connection.on('message', function(message) {
+			if (message.type === 'utf8') {
+				try {
+					var command = JSON.parse(message.utf8Data);
+					handleCollabCommand(client, command.msg, command.data || {});
+				} catch (e) {
+					log('Invalid ' + routes.WSCOLLAB + ' message: ' + e);
+					client.send('error', {
+						errMsg: 'Invalid message'
+					});
+				}
+			}
+		});
+	});
+
+	routes.ws(routes.WSREMOTE, function(connection) {
+		log('...adding ' + routes.WSREMOTE + ' protocol request message handler');
+
+		var client = {
+			role: null,
+			channel: null,
+			send: function(msg, data) {
+				connection.sendUTF(JSON.stringify({
+					msg: msg,
+					data: data
+				}));
+			}
+		};
+
+		connection.on('close', function() {
+			leaveRemoteChannel(client);
+		});
+		connection.on('message', function(message) {
+			if (message.type === 'utf8') {
+				try {
+					var command = JSON.parse(message.utf8Data);
+					handleRemoteCommand(client, command.msg, command.data || {});
+				} catch (e) {
+					log('Invalid ' + routes.WSREMOTE + ' message: ' + e);
+					client.send('error', {
+						errMsg: 'Invalid message'
+					});
+				}
+			}
+		});
+	});
+
 	routes.ws(routes.WSEXAMPLE, function(connection) {
 		log('...adding ' + routes.WSEXAMPLE + ' protocol request message handler');
 
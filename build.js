@@ -169,6 +169,7 @@ var args = {
 			//'hemi/accessibility.js',
 			'hemi/world.js',
 			'hemi/octane.js',
+			'hemi/compact.js',
 			'hemi/audio.js',
 			'hemi/dispatch.js',
 			'hemi/input.js',
@@ -182,6 +183,7 @@ var args = {
 			'hemi/animationGroup.js',
 			'hemi/effect.js',
 			'hemi/state.js',
+			'hemi/stateMachine.js',
 			'hemi/hud.js',
 			'hemi/manip.js',
 			'hemi/curve.js',
@@ -190,7 +192,10 @@ var args = {
 			'hemi/fx.js',
 			'hemi/texture.js',
 			'hemi/timer.js',
+			'hemi/remote.js',
+			'hemi/recorder.js',
 			'hemi/valueCheck.js',
+			'hemi/history.js',
 	        'hemi/light.js'
 		]
 	},
@@ -254,6 +259,8 @@ var uglifyEditor = function(src, dst) {
 			'editor/ui/core/dialogs.js',
 			'editor/tools.js',
 			'editor/project.js',
+			'editor/collab.js',
+			'editor/history.js',
 			'editor/pluginManager.js'
 		]
 	};
@@ -311,7 +318,7 @@ if (process.argv.length > 3) {
 		checkForToDir(toDir);
 		// Copy only the core Hemi library
 		filter.push('lib', 'app.js', 'build.js', 'PublishReadMe',
-			'PublishTemplate.html', 'editor', 'editor.min.js', 'editor.src.js', 'hemi', 'parse.js');
+			'PublishTemplate.html', 'editor', 'editor.min.js', 'editor.src.js', 'hemi', 'parse.js', 'lint.js');
 		copyFiles('.', toDir, false);
 		copyFiles('./public/js', toDir, true);
 
@@ -0,0 +1,418 @@
+// Check Kuda project files (World Octane) for problems that would only show up when the project is
+// loaded in a browser.
+//
+// Usage: node lint.js [--strict] [--quiet] project.json [project2.json ...]
+//
+// Errors are unknown Octane types, references to ids that do not exist, duplicate ids, ids that
+// are not below nextId and unknown condition operators. Warnings are MessageSpecs for
+// Message types that are not in hemi.msg and MessageTargets that call functions not documented in
+// editor/data/hemi.json. The exit code is 0 if no errors were found, 1 if there were errors (or
+// warnings with --strict) and 2 if a file could not be read.
+
+var fs = require('fs'),
+	path = require('path'),
+	hemiDir = path.join(__dirname, 'public/js/hemi'),
+	hemiJson = path.join(__dirname, 'public/js/editor/data/hemi.json'),
+	// Functions every Citizen gets from hemi.makeCitizen
+	CITIZEN_FUNCS = ['cleanup', 'send', 'subscribe', 'subscribeAll', 'unsubscribe'],
+	// Octane types with a condition property
+	CONDITION_TYPES = ['hemi.ValueCheck', 'hemi.StateTransition'];
+
+var getHemiSource = function() {
+	var files = fs.readdirSync(hemiDir),
+		source = '';
+
+	for (var i = 0, il = files.length; i < il; i++) {
+		if (files[i].match(/\.js$/)) {
+			source += fs.readFileSync(hemiDir + '/' + files[i], 'utf8');
+		}
+	}
+
+	return source;
+};
+
+// The types that octane.js can create, from the makeCitizen and makeOctanable calls
+var getOctaneTypes = function(source) {
+	var re = /make(Citizen|Octanable)\(\s*[\w.]+\s*,\s*['"]([^'"]+)['"]/g,
+		types = {},
+		match;
+
+	while ((match = re.exec(source)) !== null) {
+		types[match[2]] = match[1] === 'Citizen';
+	}
+
+	return types;
+};
+
+var getMessageTypes = function() {
+	var data = fs.readFileSync(hemiDir + '/msg.js', 'utf8'),
+		re = /^\s*\w+\s*:\s*['"]([^'"]+)['"]/gm,
+		msgs = {},
+		match;
+
+	while ((match = re.exec(data)) !== null) {
+		msgs[match[1]] = true;
+	}
+
+	return msgs;
+};
+
+// The condition operators in hemi.CONDITION_OPS
+var getConditionOps = function() {
+	var data = fs.readFileSync(hemiDir + '/valueCheck.js', 'utf8'),
+		list = data.match(/hemi\.CONDITION_OPS\s*=\s*\[([^\]]*)\]/),
+		re = /['"]([^'"]+)['"]/g,
+		ops = [],
+		match;
+
+	while (list && (match = re.exec(list[1])) !== null) {
+		ops.push(match[1]);
+	}
+
+	return ops;
+};
+
+// Map of class names to the names of their documented functions, including parent classes
+var getClassFuncs = function() {
+	var classes = JSON.parse(fs.readFileSync(hemiJson, 'utf8')),
+		byName = {},
+		funcs = {};
+
+	for (var i = 0, il = classes.length; i < il; i++) {
+		byName[classes[i].name] = classes[i];
+	}
+
+	for (var name in byName) {
+		var names = [],
+			cls = byName[name];
+
+		while (cls) {
+			for (var j = 0, jl = cls.funcs.length; j < jl; j++) {
+				names.push(cls.funcs[j].name);
+			}
+
+			// Parent names are sometimes documented without the namespace
+			cls = byName[cls.parent] || byName[(cls.parent || '').replace(/^hemi\./, '')];
+		}
+
+		funcs[name] = names;
+	}
+
+	return funcs;
+};
+
+var Linter = function(file, data) {
+	this.file = file;
+	this.data = data;
+	this.errors = [];
+	this.warnings = [];
+	// Map of world ids to citizen Octane
+	this.ids = {};
+};
+
+Linter.prototype.error = function(where, msg) {
+	this.errors.push(where + ': ' + msg);
+};
+
+Linter.prototype.warn = function(where, msg) {
+	this.warnings.push(where + ': ' + msg);
+};
+
+Linter.prototype.lint = function() {
+	var octane = this.data,
+		citizens = octane.citizens,
+		dispatch = octane.dispatch;
+
+	if (!isArray(citizens) || typeof octane.nextId !== 'number') {
+		this.error('octane', 'not a World Octane (missing citizens or nextId)');
+		return;
+	}
+
+	// Gather ids first so references can be checked in any order
+	for (var i = 0, il = citizens.length; i < il; i++) {
+		var citizen = citizens[i],
+			where = getWhere(citizen, 'citizens[' + i + ']');
+
+		if (typeof citizen.id !== 'number') {
+			this.error(where, 'missing id');
+		} else if (this.ids[citizen.id]) {
+			this.error(where, 'duplicate id ' + citizen.id + ' (also used by ' +
+				this.ids[citizen.id].type + ')');
+		} else {
+			this.ids[citizen.id] = citizen;
+
+			if (citizen.id >= octane.nextId) {
+				this.error(where, 'id ' + citizen.id + ' is not below nextId ' + octane.nextId);
+			}
+		}
+	}
+
+	for (var i = 0, il = citizens.length; i < il; i++) {
+		this.lintObject(citizens[i], getWhere(citizens[i], 'citizens[' + i + ']'));
+	}
+
+	if (dispatch) {
+		var dispatchIds = {},
+			ents = dispatch.ents || [];
+
+		for (var i = 0, il = ents.length; i < il; i++) {
+			this.lintSpec(ents[i], 'dispatch.ents[' + i + ']', dispatchIds, dispatch.nextId);
+		}
+	} else {
+		this.error('octane', 'missing dispatch');
+	}
+};
+
+Linter.prototype.lintObject = function(octane, where) {
+	if (!octane || typeof octane.type !== 'string') {
+		this.error(where, 'missing type');
+		return;
+	} else if (octaneTypes[octane.type] === undefined) {
+		this.error(where, 'unknown type ' + octane.type);
+	}
+
+	var props = octane.props || [];
+
+	for (var i = 0, il = props.length; i < il; i++) {
+		var prop = props[i],
+			propWhere = where + '.' + prop.name;
+
+		if (prop.id !== undefined) {
+			var ids = isArray(prop.id) ? prop.id : [prop.id];
+
+			for (var j = 0, jl = ids.length; j < jl; j++) {
+				this.checkId(ids[j], propWhere);
+			}
+		} else if (prop.oct !== undefined) {
+			var octs = isArray(prop.oct) ? prop.oct : [prop.oct];
+
+			for (var j = 0, jl = octs.length; j < jl; j++) {
+				this.lintObject(octs[j], propWhere + (isArray(prop.oct) ? '[' + j + ']' : ''));
+			}
+		} else if (prop.arg !== undefined) {
+			this.checkArgs(prop.arg, propWhere);
+		} else if (CONDITION_TYPES.indexOf(octane.type) !== -1 && prop.name === 'condition' &&
+				prop.val) {
+			this.checkCondition(prop.val, propWhere);
+		} else if (octane.type === 'hemi.StateAction' && prop.name === 'args' &&
+				isArray(prop.val)) {
+			this.checkArgs(prop.val, propWhere);
+		} else if (prop.val === undefined) {
+			this.error(propWhere, 'property has no val, id, oct or arg');
+		}
+	}
+};
+
+Linter.prototype.lintSpec = function(spec, where, dispatchIds, nextId) {
+	if (!spec || spec.type !== 'hemi.dispatch.MessageSpec') {
+		this.error(where, 'expected a hemi.dispatch.MessageSpec');
+		return;
+	}
+
+	var props = getProps(spec),
+		src = props.src ? props.src.val : undefined,
+		msg = props.msg ? props.msg.val : undefined,
+		targets = props.targets && isArray(props.targets.oct) ? props.targets.oct : [];
+
+	where += ' (' + msg + ' from ' + src + ')';
+
+	if (src !== '*') {
+		this.checkId(src, where + '.src');
+	}
+
+	if (typeof msg === 'string' && /[*?]/.test(msg)) {
+		if (msg !== '*' && !matchesAny(msg, messageTypes)) {
+			this.warn(where + '.msg', 'Message pattern ' + msg + ' matches no known Message type');
+		}
+	} else if (!messageTypes[msg]) {
+		this.warn(where + '.msg', 'unknown Message type ' + msg);
+	}
+
+	if (props.filter && props.filter.val && props.filter.val.type !== undefined &&
+			!matchesAny(props.filter.val.type, octaneTypes)) {
+		this.warn(where + '.filter', 'source type ' + props.filter.val.type +
+			' matches no known type');
+	}
+
+	for (var i = 0, il = targets.length; i < il; i++) {
+		var target = targets[i],
+			targetWhere = where + '.targets[' + i + ']',
+			tProps = getProps(target),
+			dispatchId = tProps._dispatchId ? tProps._dispatchId.val : undefined;
+
+		if (dispatchId !== undefined) {
+			if (dispatchIds[dispatchId]) {
+				this.error(targetWhere, 'duplicate dispatch id ' + dispatchId);
+			} else if (typeof nextId === 'number' && dispatchId >= nextId) {
+				this.error(targetWhere, 'dispatch id ' + dispatchId + ' is not below nextId ' +
+					nextId);
+			}
+
+			dispatchIds[dispatchId] = true;
+		}
+
+		if (!tProps.handler || tProps.handler.id === undefined) {
+			this.error(targetWhere, 'missing handler');
+		} else if (this.checkId(tProps.handler.id, targetWhere + '.handler')) {
+			var handler = this.ids[tProps.handler.id],
+				func = tProps.func ? tProps.func.val : null,
+				funcs = classFuncs[handler.type];
+
+			if (func && funcs && funcs.indexOf(func) === -1 &&
+					(!octaneTypes[handler.type] || CITIZEN_FUNCS.indexOf(func) === -1)) {
+				this.warn(targetWhere + '.func', handler.type + ' has no documented function ' +
+					func);
+			}
+		}
+
+		if (tProps.args && isArray(tProps.args.val)) {
+			this.checkArgs(tProps.args.val, targetWhere + '.args');
+		}
+	}
+};
+
+// Check that the id refers to a citizen and return true if it does
+Linter.prototype.checkId = function(id, where) {
+	if (typeof id !== 'number') {
+		this.error(where, 'invalid id reference ' + JSON.stringify(id));
+		return false;
+	} else if (!this.ids[id]) {
+		this.error(where, 'reference to missing citizen ' + id);
+		return false;
+	}
+
+	return true;
+};
+
+// Arguments of the form 'id:12' refer to citizens
+Linter.prototype.checkArgs = function(args, where) {
+	for (var i = 0, il = args.length; i < il; i++) {
+		var arg = args[i];
+
+		if (typeof arg === 'string' && arg.substr(0, 3) === 'id:') {
+			this.checkId(parseInt(arg.substr(3), 10), where + '[' + i + ']');
+		}
+	}
+};
+
+// Check the operators and 'id:' operands of a ValueCheck or StateTransition condition
+Linter.prototype.checkCondition = function(condition, where) {
+	var children = condition.and || condition.or || (condition.not ? [condition.not] : null);
+
+	if (children !== null) {
+		for (var i = 0, il = children.length; i < il; i++) {
+			this.checkCondition(children[i], where + '[' + i + ']');
+		}
+	} else {
+		if (conditionOps.indexOf(condition.op) === -1) {
+			this.error(where, 'unknown condition operator ' + condition.op);
+		}
+
+		this.checkArgs([condition.left].concat(condition.right), where);
+	}
+};
+
+// Check a pattern like 'hemi.*' against the keys of the given map
+var matchesAny = function(pattern, map) {
+	var re = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+		.replace(/\?/g, '.') + '$');
+
+	for (var key in map) {
+		if (re.test(key)) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+var getProps = function(octane) {
+	var props = {},
+		list = octane && isArray(octane.props) ? octane.props : [];
+
+	for (var i = 0, il = list.length; i < il; i++) {
+		props[list[i].name] = list[i];
+	}
+
+	return props;
+};
+
+var getWhere = function(octane, fallback) {
+	var name = getProps(octane).name;
+	return fallback + ' ' + (octane && octane.type) + (octane && octane.id !== undefined ?
+		' #' + octane.id : '') + (name ? ' "' + name.val + '"' : '');
+};
+
+var isArray = Array.isArray || function(val) {
+	return Object.prototype.toString.call(val) === '[object Array]';
+};
+
+var strict = false,
+	quiet = false,
+	files = [],
+	status = 0;
+
+for (var i = 2, il = process.argv.length; i < il; i++) {
+	var arg = process.argv[i];
+
+	switch (arg) {
+		case '--strict':
+			strict = true;
+			break;
+		case '--quiet':
+			quiet = true;
+			break;
+		default:
+			if (arg.substr(0, 2) === '--') {
+				process.stdout.write('Unknown option ' + arg + '\n');
+				files = [];
+				i = il;
+			} else {
+				files.push(arg);
+			}
+	}
+}
+
+if (files.length === 0) {
+	process.stdout.write('Usage: node lint.js [--strict] [--quiet] project.json [...]\n');
+	process.stdout.write(' --strict treat warnings as errors\n');
+	process.stdout.write(' --quiet only report errors\n');
+	process.exit(2);
+}
+
+var octaneTypes = getOctaneTypes(getHemiSource()),
+	messageTypes = getMessageTypes(),
+	conditionOps = getConditionOps(),
+	classFuncs = getClassFuncs();
+
+for (var i = 0, il = files.length; i < il; i++) {
+	var file = files[i],
+		data;
+
+	try {
+		data = JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (err) {
+		process.stdout.write(file + ': cannot read project: ' + err.message + '\n');
+		status = 2;
+		continue;
+	}
+
+	var linter = new Linter(file, data);
+	linter.lint();
+
+	for (var j = 0, jl = linter.errors.length; j < jl; j++) {
+		process.stdout.write(file + ': error: ' + linter.errors[j] + '\n');
+	}
+
+	if (!quiet || strict) {
+		for (var j = 0, jl = linter.warnings.length; j < jl; j++) {
+			process.stdout.write(file + ': warning: ' + linter.warnings[j] + '\n');
+		}
+	}
+
+	if (status === 0 && (linter.errors.length > 0 || (strict && linter.warnings.length > 0))) {
+		status = 1;
+	}
+}
+
+process.exitCode = status;
@@ -0,0 +1,489 @@
+/*
+ * Kuda includes a library and editor for authoring interactive 3D content for the web.
+ * Copyright (C) 2011 SRI International.
+ *
+ * This program is free software; you can redistribute it and/or modify it under the terms
+ * of the GNU General Public License as published by the Free Software Foundation; either
+ * version 2 of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with this program;
+ * if not, write to the Free Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+ * Boston, MA 02110-1301 USA.
+ */
+
+(function(editor) {
+	"use strict";
+
+////////////////////////////////////////////////////////////////////////////////
+//								Initialization  		                      //
+////////////////////////////////////////////////////////////////////////////////
+
+	var shorthand = editor.collab = {},
+		collabMdl = null;
+
+	/*
+	 * Connect to the collaborative editing protocol of the server (if it was
+	 * started with WebSockets enabled). Editors working on the same project
+	 * see each other's citizen changes as they happen.
+	 */
+	shorthand.init = function() {
+		if (!window.WebSocket) {
+			return;
+		}
+
+		var prjMdl = editor.getModel('projectLoad'),
+			prjEvents = editor.projects.events,
+			collabView = new PresenceWidget(),
+			models = editor.getModels();
+
+		collabMdl = new CollabModel();
+
+		for (var i = 0, il = models.length; i < il; ++i) {
+			if (models[i] !== prjMdl) {
+				collabMdl.watchModel(models[i]);
+			}
+		}
+
+		editor.addListener(editor.events.PluginLoaded, function(name) {
+			var model = editor.getModel(name);
+
+			if (model) {
+				collabMdl.watchModel(model);
+			}
+		});
+
+		prjMdl.addListener(prjEvents.Loaded, function(data) {
+			if (data.succeeded) {
+				collabMdl.join(data.project);
+			}
+		});
+		prjMdl.addListener(prjEvents.Saved, function(data) {
+			if (data.saved && data.project !== AUTO_SAVE) {
+				collabMdl.join(data.project);
+			}
+		});
+		prjMdl.addListener(prjEvents.NewProject, function() {
+			collabMdl.leave();
+		});
+
+		collabMdl.addListener(shorthand.events.Joined, function(data) {
+			collabView.setUsers(data.users);
+		});
+		collabMdl.addListener(shorthand.events.Presence, function(presence) {
+			collabView.updateUser(presence);
+		});
+		collabMdl.addListener(shorthand.events.Conflict, function(data) {
+			var citizen = hemi.world.getCitizens({ _worldId: data.id })[0],
+				name = citizen && citizen.name ? citizen.name : 'citizen ' + data.id;
+
+			collabView.showMessage('Your change to ' + name + ' conflicted with ' +
+				data.user + ' and was replaced by their version.');
+		});
+
+		collabMdl.connect();
+		document.body.appendChild(collabView.getUI()[0]);
+	};
+
+	/*
+	 * Check if a change from another editor is being applied. Models notify
+	 * their listeners about these changes like any other.
+	 */
+	shorthand.isApplying = function() {
+		return collabMdl !== null && collabMdl.applying;
+	};
+
+	shorthand.events = {
+		Conflict: 'collab.conflict',
+		Joined: 'collab.joined',
+		Presence: 'collab.presence',
+		RemoteChange: 'collab.remoteChange'
+	};
+
+	var AUTO_SAVE = '_AutoSave_',
+		PROTOCOL = 'kuda-collab',
+		// Updates are batched so dragging a citizen does not flood the server
+		FLUSH_DELAY = 250;
+
+////////////////////////////////////////////////////////////////////////////////
+//                                   Model                                    //
+////////////////////////////////////////////////////////////////////////////////
+
+	var CollabModel = function() {
+		editor.utils.Listenable.call(this);
+
+		this.socket = null;
+		this.project = null;
+		this.editing = null;
+		// Citizen versions last seen from the server by id
+		this.versions = {};
+		// Citizens created locally that the server has not assigned an id to yet
+		this.pending = {};
+		// Local changes waiting to be sent by id
+		this.queued = {};
+		this.applying = false;
+		this.flushId = null;
+	};
+
+	CollabModel.prototype = new editor.utils.Listenable();
+	CollabModel.prototype.constructor = CollabModel;
+
+	CollabModel.prototype.connect = function() {
+		var mdl = this,
+			socket = new WebSocket('ws://' + window.location.host, PROTOCOL);
+
+		socket.onopen = function() {
+			mdl.socket = socket;
+
+			if (mdl.project !== null) {
+				mdl.send('join', {
+					project: mdl.project,
+					user: jQuery.cookie('kudaUser')
+				});
+			}
+		};
+		socket.onclose = function() {
+			// The server was not started with WebSockets or has stopped
+			mdl.socket = null;
+		};
+		socket.onmessage = function(evt) {
+			var command = JSON.parse(evt.data);
+			mdl.receive(command.msg, command.data);
+		};
+	};
+
+	CollabModel.prototype.join = function(project) {
+		if (project !== this.project) {
+			this.project = project;
+			this.editing = null;
+			this.versions = {};
+			this.pending = {};
+			this.queued = {};
+			this.send('join', {
+				project: project,
+				user: jQuery.cookie('kudaUser')
+			});
+		}
+	};
+
+	CollabModel.prototype.leave = function() {
+		if (this.project !== null) {
+			this.project = null;
+			this.send('leave', {});
+			this.notifyListeners(shorthand.events.Joined, {
+				users: []
+			});
+		}
+	};
+
+	CollabModel.prototype.watchModel = function(model) {
+		var mdl = this,
+			modelId = model.getId();
+
+		model.addListener(editor.events.Created, function(citizen) {
+			mdl.localChange('create', citizen, modelId);
+		});
+		model.addListener(editor.events.Updated, function(citizen) {
+			mdl.localChange('update', citizen, modelId);
+		});
+		model.addListener(editor.events.Removing, function(citizen) {
+			mdl.localChange('remove', citizen, modelId);
+		});
+	};
+
+	CollabModel.prototype.localChange = function(op, citizen, modelId) {
+		if (this.applying || this.project === null || !isProjectCitizen(citizen)) {
+			return;
+		}
+
+		var id = citizen._getId(),
+			queued = this.queued[id];
+
+		// A create that has not been sent yet stays a create
+		if (queued && queued.op === 'create' && op === 'update') {
+			op = 'create';
+		}
+
+		this.queued[id] = {
+			op: op,
+			citizen: citizen,
+			model: modelId
+		};
+
+		if (op === 'update') {
+			this.setEditing(id);
+
+			if (this.flushId === null) {
+				var mdl = this;
+
+				this.flushId = setTimeout(function() {
+					mdl.flushId = null;
+					mdl.flush();
+				}, FLUSH_DELAY);
+			}
+		} else {
+			if (op === 'remove' && this.editing === id) {
+				this.setEditing(null);
+			}
+
+			this.flush();
+		}
+	};
+
+	CollabModel.prototype.flush = function() {
+		for (var key in this.queued) {
+			var id = parseInt(key, 10);
+
+			// Wait until the server confirms the id of a created citizen
+			if (this.pending[id]) {
+				continue;
+			}
+
+			var queued = this.queued[id];
+			delete this.queued[id];
+
+			if (queued.op === 'create') {
+				this.pending[id] = queued.citizen;
+			}
+
+			this.send('change', {
+				op: queued.op,
+				id: id,
+				base: this.versions[id] || 0,
+				model: queued.model,
+				citizen: queued.op === 'remove' ? undefined : queued.citizen._toOctane()
+			});
+		}
+	};
+
+	CollabModel.prototype.receive = function(msg, data) {
+		switch (msg) {
+			case 'joined':
+				for (var i = 0, il = data.changes.length; i < il; ++i) {
+					this.applyChange(data.changes[i]);
+				}
+
+				this.notifyListeners(shorthand.events.Joined, data);
+				break;
+			case 'applied':
+				this.applied(data);
+				break;
+			case 'change':
+				this.applyChange(data);
+				break;
+			case 'conflict':
+				this.applyChange({
+					op: data.removed ? 'remove' : 'update',
+					id: data.id,
+					citizen: data.citizen,
+					version: data.version,
+					model: data.model
+				});
+				this.notifyListeners(shorthand.events.Conflict, data);
+				break;
+			case 'presence':
+				this.notifyListeners(shorthand.events.Presence, data);
+				break;
+			case 'error':
+				console.log('Collaboration error: ' + data.errMsg);
+				break;
+		}
+	};
+
+	CollabModel.prototype.applied = function(data) {
+		var oldId = data.oldId === undefined ? data.id : data.oldId,
+			citizen = this.pending[oldId];
+
+		delete this.pending[oldId];
+
+		if (citizen && oldId !== data.id) {
+			// Another editor created a citizen with the same id first
+			citizen._setId(data.id);
+			reserveId(data.id);
+
+			if (this.queued[oldId]) {
+				this.queued[data.id] = this.queued[oldId];
+				delete this.queued[oldId];
+			}
+		}
+
+		this.versions[data.id] = data.version;
+		this.flush();
+	};
+
+	CollabModel.prototype.applyChange = function(change) {
+		var citizen = hemi.world.getCitizens({ _worldId: change.id })[0],
+			model = change.model ? editor.getModel(change.model) : null,
+			dispatchProxy = editor.getDispatchProxy(),
+			eventType = null;
+
+		this.versions[change.id] = change.version;
+
+		if (citizen && this.pending[change.id] === citizen) {
+			// Our own citizen with this id will get a new id from the server
+			citizen._setId(hemi.world.getNextId());
+			citizen = null;
+		}
+
+		this.applying = true;
+
+		try {
+			dispatchProxy.swap();
+
+			try {
+				if (change.op === 'remove') {
+					if (citizen) {
+						if (model) {
+							model.notifyListeners(editor.events.Removing, citizen);
+						}
+
+						citizen.cleanup();
+					}
+				} else if (citizen) {
+					hemi.applyOctane(citizen, getDataOctane(change.citizen));
+					eventType = editor.events.Updated;
+				} else {
+					// Other editors send Octane in the current format
+					citizen = hemi.fromOctane(jQuery.extend({
+						octaneVersion: hemi.octaneVersion
+					}, change.citizen));
+					reserveId(change.id);
+					eventType = editor.events.Created;
+				}
+			} finally {
+				dispatchProxy.unswap();
+			}
+
+			if (model && eventType) {
+				model.notifyListeners(eventType, citizen);
+			}
+		} finally {
+			this.applying = false;
+		}
+
+		this.notifyListeners(shorthand.events.RemoteChange, change);
+	};
+
+	CollabModel.prototype.send = function(msg, data) {
+		if (this.socket !== null) {
+			this.socket.send(JSON.stringify({
+				msg: msg,
+				data: data
+			}));
+		}
+	};
+
+	CollabModel.prototype.setEditing = function(id) {
+		if (id !== this.editing) {
+			this.editing = id;
+			this.send('presence', {
+				editing: id
+			});
+		}
+	};
+
+////////////////////////////////////////////////////////////////////////////////
+//                                   View                                     //
+////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Shows the other editors in the project and what they are editing.
+	 */
+	var PresenceWidget = function() {
+		editor.ui.Component.call(this);
+		this.users = {};
+	};
+
+	PresenceWidget.prototype = new editor.ui.Component();
+	PresenceWidget.prototype.constructor = PresenceWidget;
+
+	PresenceWidget.prototype.layout = function() {
+		this.container = jQuery('<div id="collabPresence"></div>');
+		this.list = jQuery('<ul></ul>');
+		this.container.append(this.list);
+	};
+
+	PresenceWidget.prototype.setUsers = function(users) {
+		this.users = {};
+		this.list.find('.collabUser').remove();
+
+		for (var i = 0, il = users.length; i < il; ++i) {
+			this.updateUser(users[i]);
+		}
+	};
+
+	PresenceWidget.prototype.showMessage = function(msg) {
+		var item = jQuery('<li class="collabMsg"></li>').text(msg);
+
+		this.list.append(item);
+		setTimeout(function() {
+			item.remove();
+		}, 5000);
+	};
+
+	PresenceWidget.prototype.updateUser = function(presence) {
+		var item = this.users[presence.clientId];
+
+		if (presence.state === 'leave') {
+			if (item) {
+				item.remove();
+				delete this.users[presence.clientId];
+			}
+			return;
+		} else if (!item) {
+			item = this.users[presence.clientId] = jQuery('<li class="collabUser"></li>');
+			item.css('border-left-color', presence.color);
+			this.list.append(item);
+		}
+
+		var text = presence.user,
+			citizen = presence.editing === null ? null :
+				hemi.world.getCitizens({ _worldId: presence.editing })[0];
+
+		if (citizen) {
+			text += ' - editing ' + (citizen.name || citizen._octaneType);
+		}
+
+		item.text(text);
+	};
+
+////////////////////////////////////////////////////////////////////////////////
+//                                  Utilities                                 //
+////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Get a copy of the given Octane without its arg properties. Setting those again calls
+	 * functions like Model.setFileName that would reload or duplicate what the citizen has.
+	 */
+	function getDataOctane(octane) {
+		var copy = jQuery.extend({}, octane);
+
+		copy.props = [];
+
+		for (var i = 0, il = octane.props.length; i < il; ++i) {
+			if (octane.props[i].arg === undefined) {
+				copy.props.push(octane.props[i]);
+			}
+		}
+
+		return copy;
+	}
+
+	function isProjectCitizen(citizen) {
+		return citizen && citizen._toOctane && citizen._getId && citizen._getId() !== null &&
+			(citizen.name || '').search(editor.ToolConstants.EDITOR_PREFIX) === -1;
+	}
+
+	/*
+	 * Make sure the World does not give the given id to another citizen.
+	 */
+	function reserveId(id) {
+		if (hemi.world.checkNextId() <= id) {
+			hemi.world.setNextId(id + 1);
+		}
+	}
+
+})(editor);
@@ -105,15 +105,19 @@ var editor = {};
 		editor.ui.initializeView(editor.client);
 		editor.projects.init();
 		editor.plugins.init();
+		editor.collab.init();
+		editor.history.init();
 	}
 		
 	function setupWorldMessages() {			
 		hemi.subscribe(hemi.msg.worldCleanup, function(msg) {
+			editor.history.loadingStarted();
 			editor.notifyListeners(editor.events.WorldCleaned);
 		});
 		hemi.subscribe(hemi.msg.ready, function() {
 			editor.notifyListeners(editor.events.WorldLoaded);
 			editor.projects.loadingDone();
+			editor.history.loadingDone();
 		});
 	}
 	
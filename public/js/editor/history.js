@@ -0,0 +1,284 @@
+/*
+ * Kuda includes a library and editor for authoring interactive 3D content for the web.
+ * Copyright (C) 2011 SRI International.
+ *
+ * This program is free software; you can redistribute it and/or modify it under the terms
+ * of the GNU General Public License as published by the Free Software Foundation; either
+ * version 2 of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with this program;
+ * if not, write to the Free Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+ * Boston, MA 02110-1301 USA.
+ */
+
+(function(editor) {
+	"use strict";
+
+////////////////////////////////////////////////////////////////////////////////
+//								Initialization  		                      //
+////////////////////////////////////////////////////////////////////////////////
+
+	var shorthand = editor.history = {},
+		// The model that created each citizen by id
+		owners = {},
+		// The edit started after each citizen was last created or updated by id
+		edits = {},
+		applying = false,
+		// The World is being cleaned up or loaded, which is not undoable
+		loading = false;
+
+	/*
+	 * Record the citizens that models update in the World's command history,
+	 * hook Ctrl+Z and Ctrl+Y (or Ctrl+Shift+Z) to it and let the models that
+	 * own the citizens changed by an undo or redo know about it so their views
+	 * stay up to date. Keys pressed in form fields are left alone. Models
+	 * record the citizens they create and remove with recordCreate and
+	 * recordRemove since their Created and Removing events are also sent for
+	 * loading the World and for citizens that were only edited.
+	 */
+	shorthand.init = function() {
+		var prjMdl = editor.getModel('projectLoad'),
+			models = editor.getModels();
+
+		for (var i = 0, il = models.length; i < il; ++i) {
+			if (models[i] !== prjMdl) {
+				watchModel(models[i]);
+			}
+		}
+
+		editor.addListener(editor.events.PluginLoaded, function(name) {
+			var model = editor.getModel(name);
+
+			if (model) {
+				watchModel(model);
+			}
+		});
+		editor.addListener(editor.events.WorldCleaned, function() {
+			owners = {};
+			edits = {};
+		});
+
+		jQuery(document).bind('keydown', 'ctrl+z', function() {
+			shorthand.undo();
+			return false;
+		});
+		jQuery(document).bind('keydown', 'ctrl+y', function() {
+			shorthand.redo();
+			return false;
+		});
+		jQuery(document).bind('keydown', 'ctrl+shift+z', function() {
+			shorthand.redo();
+			return false;
+		});
+	};
+
+	/*
+	 * Called after the World and the models have finished loading. The loaded
+	 * citizens are the starting point for the history.
+	 */
+	shorthand.loadingDone = function() {
+		loading = false;
+		hemi.history.clear();
+	};
+
+	/*
+	 * Called when the World is about to be cleaned up, before the models remove
+	 * their citizens.
+	 */
+	shorthand.loadingStarted = function() {
+		loading = true;
+	};
+
+	/*
+	 * Record that the given citizen was just created by the user.
+	 */
+	shorthand.recordCreate = function(citizen) {
+		if (isRecording(citizen)) {
+			hemi.history.recordCreate(citizen);
+		}
+	};
+
+	/*
+	 * Record that the given citizen is about to be removed by the user. Call
+	 * this before cleaning the citizen up so its behaviors are saved with it.
+	 */
+	shorthand.recordRemove = function(citizen) {
+		if (isRecording(citizen)) {
+			var dispatchProxy = editor.getDispatchProxy();
+
+			dispatchProxy.swap();
+
+			try {
+				hemi.history.recordRemove(citizen);
+			} finally {
+				dispatchProxy.unswap();
+			}
+		}
+	};
+
+	/*
+	 * Redo the most recently undone change to the World.
+	 */
+	shorthand.redo = function() {
+		apply('redo');
+	};
+
+	/*
+	 * Undo the most recent change to the World.
+	 */
+	shorthand.undo = function() {
+		apply('undo');
+	};
+
+////////////////////////////////////////////////////////////////////////////////
+//                                  Utilities                                 //
+////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Undo or redo with the World's MessageTargets in the dispatch and notify
+	 * the owning models of the citizens and behaviors that were affected.
+	 */
+	function apply(action) {
+		var dispatchProxy = editor.getDispatchProxy(),
+			bhvMdl = editor.getModel('behavior'),
+			oldTargets = dispatchProxy.getTargets(),
+			result;
+
+		applying = true;
+
+		try {
+			dispatchProxy.swap();
+
+			try {
+				result = hemi.history[action]();
+			} finally {
+				dispatchProxy.unswap();
+			}
+
+			if (result !== null) {
+				notify(editor.events.Removing, result.removed);
+				notify(editor.events.Created, result.created);
+				notify(editor.events.Updated, result.changed);
+
+				if (result.dispatch && bhvMdl) {
+					notifyTargets(bhvMdl, oldTargets, dispatchProxy.getTargets());
+				}
+
+				for (var i = 0, il = result.removed.length; i < il; ++i) {
+					delete edits[result.removed[i]._getId()];
+				}
+
+				startEdits(result.created);
+				startEdits(result.changed);
+			}
+		} finally {
+			applying = false;
+		}
+	}
+
+	/*
+	 * Get the model that owns the given citizen. Transforms that were not
+	 * created by a model belong to the model of the Transform above them.
+	 */
+	function getOwner(citizen) {
+		var owner = null;
+
+		while (citizen && owner === null) {
+			owner = citizen._getId ? owners[citizen._getId()] || null : null;
+			citizen = citizen.parent;
+		}
+
+		return owner;
+	}
+
+	function isProjectCitizen(citizen) {
+		return citizen && citizen._toOctane && citizen._getId && citizen._getId() !== null &&
+			(citizen.name || '').search(editor.ToolConstants.EDITOR_PREFIX) === -1;
+	}
+
+	/*
+	 * Citizens created, updated or removed by an undo or redo, by another
+	 * editor or by loading the World are not new changes to record.
+	 */
+	function isRecording(citizen) {
+		return !applying && !loading && !editor.collab.isApplying() &&
+			isProjectCitizen(citizen);
+	}
+
+	function notify(eventType, citizens) {
+		for (var i = 0, il = citizens.length; i < il; ++i) {
+			var model = getOwner(citizens[i]);
+
+			if (model !== null) {
+				model.notifyListeners(eventType, citizens[i]);
+			}
+		}
+	}
+
+	/*
+	 * Let the behavior model know about the MessageTargets that an undo or redo
+	 * removed or restored.
+	 */
+	function notifyTargets(bhvMdl, oldTargets, newTargets) {
+		for (var i = 0, il = oldTargets.length; i < il; ++i) {
+			if (newTargets.indexOf(oldTargets[i]) === -1) {
+				bhvMdl.notifyListeners(editor.events.Removing, oldTargets[i]);
+			}
+		}
+
+		for (var i = 0, il = newTargets.length; i < il; ++i) {
+			var target = newTargets[i];
+
+			if (oldTargets.indexOf(target) === -1 &&
+					target.name.match(editor.ToolConstants.EDITOR_PREFIX) === null) {
+				bhvMdl.notifyListeners(editor.events.Created, {
+					target: target,
+					spec: editor.getDispatchProxy().getTargetSpec(target)
+				});
+			}
+		}
+	}
+
+	function startEdits(citizens) {
+		for (var i = 0, il = citizens.length; i < il; ++i) {
+			if (isProjectCitizen(citizens[i])) {
+				edits[citizens[i]._getId()] = hemi.history.beginEdit(citizens[i]);
+			}
+		}
+	}
+
+	function watchModel(model) {
+		model.addListener(editor.events.Created, function(citizen) {
+			if (isProjectCitizen(citizen)) {
+				owners[citizen._getId()] = model;
+
+				if (!applying) {
+					edits[citizen._getId()] = hemi.history.beginEdit(citizen);
+				}
+			}
+		});
+		model.addListener(editor.events.Updated, function(citizen) {
+			if (isRecording(citizen)) {
+				var id = citizen._getId();
+
+				if (edits[id]) {
+					hemi.history.endEdit(edits[id]);
+				}
+
+				edits[id] = hemi.history.beginEdit(citizen);
+			} else if (!applying && isProjectCitizen(citizen)) {
+				edits[citizen._getId()] = hemi.history.beginEdit(citizen);
+			}
+		});
+		model.addListener(editor.events.Removing, function(citizen) {
+			if (isProjectCitizen(citizen)) {
+				delete edits[citizen._getId()];
+			}
+		});
+	}
+
+})(editor);
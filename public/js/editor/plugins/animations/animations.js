@@ -213,6 +213,7 @@
 	}; 
 	
 	AnimatorModel.prototype.removeAnimation = function(animation) {
+		editor.history.recordRemove(animation);
 		this.notifyListeners(editor.events.Removing, animation);
 		animation.cleanup();
 	};
@@ -265,6 +266,11 @@
 		retVal = this.animation;
 		
 		this.stopAnimation();
+		
+		if (!this.isUpdate) {
+			editor.history.recordCreate(this.animation);
+		}
+		
 		this.notifyListeners(msgType, this.animation);
 		
 		this.animation = null;
@@ -242,6 +242,7 @@
 		this.handler = null;
 		this.method = null;
 		this.args = new Hashtable();
+		this.delivery = null;
 		
 		this.autoCompleteList = [{
 			label: hemi.dispatch.MSG_ARG + 'data.',
@@ -254,6 +255,16 @@
 	BehaviorModel.prototype = new editor.ToolModel();
 	BehaviorModel.prototype.constructor = BehaviorModel;
 		
+	/*
+	 * Start recording changes to the World's behaviors for undo.
+	 */
+	BehaviorModel.prototype.beginDispatchEdit = function() {
+		this.dispatchProxy.swap();
+		var edit = hemi.history.beginDispatchEdit();
+		this.dispatchProxy.unswap();
+		return edit;
+	};
+	
 	BehaviorModel.prototype.copyTarget = function(msgTarget) {
 		var spec = this.dispatchProxy.getTargetSpec(msgTarget),
 			isValueCheck = msgTarget.handler instanceof hemi.ValueCheck,
@@ -284,6 +295,12 @@
 		
 		this.setTrigger(source, type);
 		this.setAction(handler, method);
+		this.delivery = {
+			delay: msgTarget.delay,
+			throttle: msgTarget.throttle,
+			debounce: msgTarget.debounce,
+			priority: msgTarget.priority
+		};
 		
 		if (argList != null) {
 			var meta = editor.data.getMetaData(),
@@ -303,6 +320,12 @@
 		}
 	};
 	
+	BehaviorModel.prototype.endDispatchEdit = function(edit) {
+		this.dispatchProxy.swap();
+		hemi.history.endEdit(edit);
+		this.dispatchProxy.unswap();
+	};
+	
 	BehaviorModel.prototype.notify = function(eventType, data) {
 		if (eventType === editor.events.WorldCleaned || eventType === editor.events.WorldLoaded) {
 			bhvMdlSuper.notify.call(this, eventType, data);
@@ -323,6 +346,7 @@
 		this.setTrigger(trigger.citizen, trigger.type);
 		this.setAction(action.handler, action.method);
 		this.keyData = data.keyTrigger;
+		this.delivery = data.delivery;
 		
 		for (var ndx = 0, len = args.length; ndx < len; ndx++) {
 			var arg = args[ndx];
@@ -338,12 +362,19 @@
 			this.msgTarget = null;
 		}
 
+		hemi.history.beginGroup('Remove behavior ' + target.name);
+		var edit = this.beginDispatchEdit();
+
         this.notifyListeners(editor.events.Removing, target);	
 		this.dispatchProxy.removeTarget(target);
+		this.endDispatchEdit(edit);
 		
 		if (target.handler instanceof hemi.ValueCheck) {
+			editor.history.recordRemove(target.handler);
 			target.handler.cleanup();
 		}
+
+		hemi.history.endGroup();
 	};
 	
     BehaviorModel.prototype.save = function(name, opt_type, opt_actor) {
@@ -352,6 +383,10 @@
 			oldSpec = null,
 			newTarget;
 		
+		// Saving a behavior (with any ValueChecks it creates or replaces) is one step
+		hemi.history.beginGroup('Save behavior ' + name);
+		var edit = this.beginDispatchEdit();
+		
 		if (this.msgTarget !== null) {
 			oldSpec = this.dispatchProxy.getTargetSpec(this.msgTarget);
 			this.dispatchProxy.removeTarget(this.msgTarget);
@@ -401,8 +436,19 @@
 				args);
 		}
 		
+		if (newTarget.handler instanceof hemi.ValueCheck) {
+			editor.history.recordCreate(newTarget.handler);
+		}
+		
 		newTarget.name = name;
 		newTarget.type = opt_type;
+
+		if (this.delivery) {
+			newTarget.delay = this.delivery.delay;
+			newTarget.throttle = this.delivery.throttle;
+			newTarget.debounce = this.delivery.debounce;
+			newTarget.priority = this.delivery.priority;
+		}
 		
 		var newSpec = this.dispatchProxy.getTargetSpec(newTarget),
 			oldTarget = this.msgTarget,
@@ -416,9 +462,15 @@
 		
 		if (this.msgTarget !== null) {
 			newTarget._dispatchId = this.msgTarget._dispatchId;
+		}
+		
+		this.endDispatchEdit(edit);
+		
+		if (this.msgTarget !== null) {
 			this.notifyListeners(editor.events.Updated, data);
 			
 			if (this.msgTarget.handler instanceof hemi.ValueCheck) {
+				editor.history.recordRemove(this.msgTarget.handler);
 				this.msgTarget.handler.cleanup();
 				this.msgTarget.citizen = null;
 			}
@@ -428,6 +480,7 @@
 			this.notifyListeners(editor.events.Created, data);
 		}
 		
+		hemi.history.endGroup();
 		this.msgTarget = null;
 		this.args.each(function(key, value) {
 			value.value = null;
@@ -528,6 +581,7 @@
 		this.handler = null;
 		this.method = null;
 		this.args.clear();
+		this.delivery = null;
 		this.msgTarget = null;
     };
 	
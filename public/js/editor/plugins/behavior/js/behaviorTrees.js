@@ -34,6 +34,15 @@
 		ACTION_PREFIX = 'ac_',
 		CITIZEN_PREFIX = 'ci_';
 	
+	// Citizens created by the editor itself are not shown in the trees
+	var projectCitizens = {
+		where: {
+			name: function(name) {
+				return name.match(editor.ToolConstants.EDITOR_PREFIX) === null;
+			}
+		}
+	};
+	
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 //                                 				Tree Model		                                  //
 ////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -129,26 +138,18 @@
 	};
 	
 	TreeModel.prototype.worldCleaned = function() {
-		var citizens = hemi.world.getCitizens();
+		var citizens = hemi.world.query(projectCitizens);
 		
 		for (var ndx = 0, len = citizens.length; ndx < len; ndx++) {
-			var citizen = citizens[ndx];
-			
-			if (citizen.name.match(editor.ToolConstants.EDITOR_PREFIX) === null) {
-				this.removeCitizen(citizen);
-			}
+			this.removeCitizen(citizens[ndx]);
 		}
 	};
 	
 	TreeModel.prototype.worldLoaded = function() {
-		var citizens = hemi.world.getCitizens();
+		var citizens = hemi.world.query(projectCitizens);
 		
 		for (var ndx = 0, len = citizens.length; ndx < len; ndx++) {
-			var citizen = citizens[ndx];
-			
-			if (citizen.name.match(editor.ToolConstants.EDITOR_PREFIX) === null) {
-				this.addCitizen(citizen);
-			}
+			this.addCitizen(citizens[ndx]);
 		}
     };
 
@@ -306,6 +306,11 @@
 		}
 		
 		wgt.nameIpt.val(msgTarget.name);
+
+		for (var key in wgt.deliveryIpts) {
+			wgt.deliveryIpts[key].val(msgTarget[key] ? msgTarget[key] : '');
+		}
+
 		wgt.msgTarget = msgTarget;
 		wgt.checkSaveButton();
 	}
@@ -447,6 +452,12 @@
 			axnParamsList = actionFieldset.find('.behaviorAxnParams').hide(), 
 			trgParamsList = triggerFieldset.find('.behaviorTrgParams').hide(),
 			saveFieldset = jQuery('<fieldset><legend>Save Behavior</legend><ol>' +
+				'<li class="behaviorDelivery">' +
+				'    <input type="text" class="delayFld" autocomplete="off" placeholder="Delay (ms)"/>' +
+				'    <input type="text" class="throttleFld" autocomplete="off" placeholder="Throttle (ms)"/>' +
+				'    <input type="text" class="debounceFld" autocomplete="off" placeholder="Debounce (ms)"/>' +
+				'    <input type="text" class="priorityFld" autocomplete="off" placeholder="Priority"/>' +
+				'</li>' +
 				'<li>' +
 				'    <input type="text" class="nameField" autocomplete="off" placeholder="Name"/>' +
 				'    <div class="buttons">' +
@@ -457,6 +468,12 @@
 			nameIpt = saveFieldset.find('.nameField'), 
 			saveBtn = saveFieldset.find('.saveBtn'), 
 			cancelBtn = saveFieldset.find('.cancelBtn'),
+			deliveryIpts = {
+				delay: saveFieldset.find('.delayFld'),
+				throttle: saveFieldset.find('.throttleFld'),
+				debounce: saveFieldset.find('.debounceFld'),
+				priority: saveFieldset.find('.priorityFld')
+			},
 			wgt = this, 
 			selFcn = function(data, selector){
 				var elem = data.rslt.obj, 
@@ -536,6 +553,7 @@
 		this.saveBtn = saveBtn;
 		this.cancelBtn = cancelBtn;
 		this.nameIpt = nameIpt;
+		this.deliveryIpts = deliveryIpts;
 						
 		this.prms = new shorthand.Parameters({
 				prefix: 'bhvEdt'
@@ -578,6 +596,7 @@
 					trigger: wgt.trgChooser.getSelection(),
 					action: wgt.axnChooser.getSelection(),
 					args: wgt.prms.getArguments(),
+					delivery: wgt.getDelivery(),
 					name: nameIpt.val(),
 					type: wgt.type,
 					target: wgt.msgTarget,
@@ -624,6 +643,21 @@
 		this.setVisible(false);
 	};
 	
+	/*
+	 * Get the delivery options for the MessageTarget from the delivery inputs. Empty or invalid
+	 * inputs become 0, which means no delay, throttle, debounce or priority.
+	 */
+	BehaviorWidget.prototype.getDelivery = function() {
+		var delivery = {};
+
+		for (var key in this.deliveryIpts) {
+			var val = parseFloat(this.deliveryIpts[key].val());
+			delivery[key] = isNaN(val) ? 0 : val;
+		}
+
+		return delivery;
+	};
+	
 	BehaviorWidget.prototype.reset = function() {
 		this.trgChooser.reset();
 		this.axnChooser.reset();
@@ -631,6 +665,10 @@
 		this.prms.reset();
 		this.keySelector.reset();
 		this.nameIpt.val('');
+
+		for (var key in this.deliveryIpts) {
+			this.deliveryIpts[key].val('');
+		}
 		
 		reset(trgTree.getUI());
 		reset(axnTree.getUI());
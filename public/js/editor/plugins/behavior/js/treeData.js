@@ -58,13 +58,16 @@
 		chainTable.put('hemi.Model_load', [hemi.msg.load]);
 		chainTable.put('hemi.Model_setFileName', [hemi.msg.load]); // Calls load()
 		chainTable.put('hemi.Model_unload', [hemi.msg.unload]);
+		// Scheduler
+		chainTable.put('hemi.Scheduler_start', [hemi.msg.start, hemi.msg.cue, hemi.msg.stop]); // Leads to stop()
+		chainTable.put('hemi.Scheduler_stop', [hemi.msg.stop]);
 		// State
 		chainTable.put('hemi.State_load', [hemi.msg.load]);
 		chainTable.put('hemi.State_nextState', [hemi.msg.load, hemi.msg.unload]); // Calls load(), unload()
 		chainTable.put('hemi.State_previousState', [hemi.msg.load, hemi.msg.unload]); // Calls load(), unload()
 		chainTable.put('hemi.State_unload', [hemi.msg.unload]);
 		// Timer
-		chainTable.put('hemi.Timer_start', [hemi.msg.start, hemi.msg.stop]); // Leads to stop()
+		chainTable.put('hemi.Timer_start', [hemi.msg.start, hemi.msg.tick, hemi.msg.stop]); // Leads to stop()
 		chainTable.put('hemi.Timer_stop', [hemi.msg.stop]);
 		// Transform
 		chainTable.put('hemi.Transform_move', [hemi.msg.start, hemi.msg.stop]); // Leads to stop
@@ -102,6 +105,7 @@
 		'hemi.ParticleTrail': ['start', 'stop'],
 		'hemi.HudDisplay': ['hide', 'nextPage', 'previousPage', 'show'],
 		'hemi.Model': ['load', 'unload'],
+		'hemi.Scheduler': ['pause', 'reset', 'resume', 'start', 'stop'],
 		'hemi.State': ['load', 'nextState', 'previousState', 'unload'],
 		'hemi.Timer': ['pause', 'reset', 'resume', 'start', 'stop'],
 		'hemi.Mesh': ['move', 'moveTo', 'turn', 'turnTo', 'cancelInteraction', 'cancelMoving', 'cancelTurning', 
@@ -89,6 +89,7 @@
 		// browser model events
 		AddUserCreatedShape: "browser.AddUserCreatedShape",
 		LoadException: "browser.LoadException",
+		ModelImported: "browser.ModelImported",
 		PickableSet: "browser.PickableSet",
 		RemoveUserCreatedShape: "browser.RemoveUserCreatedShape",
 		ServerRunning: 'browser.ServerRunning',
@@ -115,6 +116,7 @@
 		SelectTreeItem: "browser.SelectTreeItem",
 		
 		// loader widget events
+		ImportModel: "browser.ImportModel",
 		LoadModel: "browser.LoadModel",
 		UnloadModel: "browser.UnloadModel"
 	};
@@ -348,6 +350,35 @@
 			that = this;
 		model.name = modelName;
 		model.setFileName(url);
+		editor.history.recordCreate(model);
+	};
+	
+	BrowserModel.prototype.importModel = function(file) {
+		var formData = new FormData(),
+			xhr = new XMLHttpRequest(),
+			mdl = this;
+		
+		formData.append('file', file);
+		
+		xhr.onreadystatechange = function() {
+			if (xhr.readyState === 4) {
+				var models = null;
+				
+				if (xhr.status === 200) {
+					models = JSON.parse(xhr.responseText).models;
+					mdl.models = mdl.models.concat(models);
+				}
+				
+				mdl.notifyListeners(shorthand.events.ModelImported, {
+					file: file.name,
+					models: models
+				});
+			}
+		};
+		
+		xhr.open('POST', '/model', true);
+		xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+		xhr.send(formData);
 	};
 	
 	BrowserModel.prototype.addShape = function(shape) {
@@ -530,6 +561,7 @@
 			owners.remove(transform);
 		}
 		
+		editor.history.recordRemove(model);
 		this.notifyListeners(editor.events.Removing, model);
 		model.cleanup();
 	};
@@ -1099,6 +1131,7 @@
 		});
 		
 		this.importData = null;
+		this.serverRunning = false;
 	};
 		
 	LoaderWidget.prototype = new editor.ui.Widget();
@@ -1157,34 +1190,48 @@
 			},
 
 			fileInput = jQuery(':input[type="file"]'),
-			fileDiv = fileInput.parent().parent();
+			fileDiv = fileInput.parent().parent(),
+			archiveRegEx = /\.(zip|tar\.gz|tgz)$/i;
 
 		// We need to hide the file div because it interferes with the mouse
 		// events for the minMax button.		
 		fileDiv.hide();;
 		
-		if (window.requestFileSystem) {
-			btn.bind('click', function(evt) {
+		btn.bind('click', function(evt) {
+			if (wgt.serverRunning || window.requestFileSystem) {
 				fileDiv.show();
 				fileInput.focus().click();
 				fileDiv.hide();
-			})
-			.file({multiple: true})
-			.choose(function(evt, input) {
-				var files = input.files,
-					fileReadCounter = files.length;
+			}
+			else {
+				wgt.errorHandler('Import not supported on this browser');
+			}
+		})
+		.file({multiple: true})
+		.choose(function(evt, input) {
+			var files = input.files,
+				fileReadCounter = files.length;
+			
+			if (wgt.serverRunning) {
+				// The server extracts model archives into the assets directory
+				for (var i = 0; i < files.length; ++i) {
+					if (archiveRegEx.test(files[i].name)) {
+						wgt.showMessage('Importing Model...');
+						wgt.notifyListeners(shorthand.events.ImportModel, files[i]);
+					}
+					else {
+						wgt.showMessage('Import must be a .zip or .tar.gz archive');
+					}
+				}
+			}
+			else {
 				window.requestFileSystem(window.PERMANENT, 50 * 1024 * 1024, function(fs) {
 					for (var i = 0; i < files.length; ++i) {
 						processFile(fs, files[i], fileReadCounter);
 					}
 				}, wgt.errorHandler);
-			});
-		}
-		else {
-			btn.bind('click', function(evt) {
-				wgt.errorHandler('Import not supported on this browser');
-			});
-		}
+			}
+		});
 	};
 	
 	LoaderWidget.prototype.loadModelsFromLocalFS = function(selectElement) {
@@ -1299,7 +1346,7 @@
 		this.container.find('form').submit(function() { 
 			return false; 
 		});
-		// Removing import panel until import is reenabled in the server
+		// The import panel is shown once the server is known to be running
 		this.find('#mbrImportPnl').hide();
 		this.createImportPanel();
 		this.createLoadPanel();
@@ -1321,6 +1368,26 @@
 		populateUnloadPanel(this);
 	};
 	
+	LoaderWidget.prototype.updateModelImported = function(file, models) {
+		if (models === null) {
+			this.showMessage('Unable to import: ' + file);
+		}
+		else {
+			var wgt = this,
+				sel = this.find('#mbrLoadPnl select');
+			
+			for (var i = 0, il = models.length; i < il; i++) {
+				var mdl = models[i];
+				sel.append('<option value="' + mdl.url + '">' + mdl.name + '</option>');
+			}
+			
+			this.msgPanel.text('').slideUp(200, function() {
+				sel.sb('refresh');
+				wgt.invalidate();
+			});
+		}
+	};
+	
 	LoaderWidget.prototype.updateModelLoaded = function(model) {
 		var wgt = this,
 			sel = this.find('#mbrLoadPnl select'),
@@ -1350,6 +1417,8 @@
 			sel = loadPnl.find('select'),
 			ipt = loadPnl.find('input'),
 			sb = loadPnl.find('.sb.selectbox');
+		
+		this.serverRunning = models != null;
 			
 		if (models == null) {
 			importPnl.hide();
@@ -1359,8 +1428,7 @@
 			
 			this.invalidate();
 		}
-		else {									
-			// Removing import panel until import is reenabled in the server
+		else {
 			importPnl.show();
 		
 			ipt.hide();
@@ -1987,6 +2055,9 @@
 		});
 		
 		// loader widget specific
+		ldrWgt.addListener(shorthand.events.ImportModel, function(file) {
+			model.importModel(file);
+		});
 		ldrWgt.addListener(shorthand.events.LoadModel, function(data) {
 			model.addModel(data.url, data.modelName);
 		});
@@ -2051,6 +2122,9 @@
 		model.addListener(shorthand.events.LoadException, function(url) {
 			ldrWgt.updateLoadException(url);
 		});
+		model.addListener(shorthand.events.ModelImported, function(data) {
+			ldrWgt.updateModelImported(data.file, data.models);
+		});
 		model.addListener(editor.events.Removing, function(model) {
 			mbrWgt.removeModel(model);
 			hidWgt.removeOwner(model);
@@ -106,6 +106,7 @@
     };
     
     CamCurveModel.prototype.removeCamCurve = function(curve) {
+        editor.history.recordRemove(curve);
         this.notifyListeners(editor.events.Removing, curve);
         curve.cleanup();
     };
@@ -131,6 +132,10 @@
         
         this.updateCurve();
         this.curve.name = name;			
+        
+        if (msgType === editor.events.Created) {
+            editor.history.recordCreate(this.curve);
+        }
         this.notifyListeners(msgType, this.curve);
         
         // reset
@@ -88,6 +88,7 @@
 	HudModel.prototype.createDisplay = function(name) {
 		var display = new hemi.HudDisplay(editor.client);
 		display.name = name;
+		editor.history.recordCreate(display);
 		this.notifyListeners(editor.events.Created, display);
 		this.setDisplay(display);
 	};
@@ -110,6 +111,7 @@
 			this.setDisplay(null);
 		}
 
+		editor.history.recordRemove(display);
 		this.notifyListeners(editor.events.Removing, display);
 		display.cleanup();
 	};
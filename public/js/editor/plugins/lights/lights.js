@@ -82,6 +82,7 @@
 	
     
 	LightsModel.prototype.removeLight = function(light) {
+		editor.history.recordRemove(light);
 		this.notifyListeners(editor.events.Removing, light);
         if (light == this.currentLight) {
             this.setLight(null);
@@ -112,6 +113,11 @@
             msgType = editor.events.Created;
         }
         light.setName(props.name);
+        
+        if (msgType === editor.events.Created) {
+            editor.history.recordCreate(light);
+        }
+        
         this.notifyListeners(msgType, light)
         this.currentLight = null;
 	};
@@ -85,6 +85,7 @@
 	ManipsModel.prototype.constructor = ManipsModel;
 		
 	ManipsModel.prototype.removeManip = function(manip) {
+		editor.history.recordRemove(manip);
 		this.notifyListeners(editor.events.Removing, manip);
 		manip.cleanup();
 	};
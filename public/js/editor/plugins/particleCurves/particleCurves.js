@@ -367,12 +367,9 @@
 	};
 		
 	ParticleCurvesModel.prototype.worldCleaned = function() {
-		var particles = hemi.world.getCitizens({
-			_octaneType: hemi.ParticleCurve.prototype._octaneType
+		var particles = hemi.world.query({
+			type: hemi.ParticleCurve
 		});
-		particles.concat(hemi.world.getCitizens({
-			_octaneType: hemi.ParticleCurveTrail.prototype._octaneType
-		}));
 		this.reset();
 		
 		for (var i = 0, il = particles.length; i < il; i++) {
@@ -381,12 +378,9 @@
 	};
 		
 	ParticleCurvesModel.prototype.worldLoaded = function() {
-		var particles = hemi.world.getCitizens({
-			_octaneType: hemi.ParticleCurve.prototype._octaneType
+		var particles = hemi.world.query({
+			type: hemi.ParticleCurve
 		});
-		particles.concat(hemi.world.getCitizens({
-			_octaneType: hemi.ParticleCurveTrail.prototype._octaneType
-		}));
 		
 		for (var i = 0, il = particles.length; i < il; i++) {
 			this.notifyListeners(editor.events.Created, particles[i]);
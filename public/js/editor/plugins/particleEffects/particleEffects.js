@@ -106,6 +106,7 @@
 			this.currentEffect = null;
 		}
 		
+		editor.history.recordRemove(effect);
 		effect.cleanup();
 		this.notifyListeners(editor.events.Removing, effect);
 	};
@@ -127,6 +128,8 @@
 		
 		if (oldId) {
 			this.previewEffect._setId(oldId);
+		} else {
+			editor.history.recordCreate(this.previewEffect);
 		}
 			
 		this.notifyListeners(msgType, this.previewEffect);
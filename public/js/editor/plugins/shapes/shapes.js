@@ -81,6 +81,7 @@
 	};
 	
 	ShapesModel.prototype.removeShape = function(shape) {
+		editor.history.recordRemove(shape);
 		this.notifyListeners(editor.events.Removing, shape);
 		shape.cleanup();
 	};
@@ -108,6 +109,11 @@
         var currentPosition = shape.mesh.position;
 		shape.translate(pos[0] - currentPosition.x, pos[1] - currentPosition.y, pos[2] - currentPosition.z);
 		shape.setName(props.name);
+		
+		if (msgType === editor.events.Created) {
+			editor.history.recordCreate(shape);
+		}
+		
 		this.notifyListeners(msgType, shape);
 		
 		this.currentShape = null;
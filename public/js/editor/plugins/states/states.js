@@ -66,6 +66,7 @@
 			this.setState(null);
 		}
 		
+		editor.history.recordRemove(state);
 		this.notifyListeners(editor.events.Removing, state);
 		state.cleanup();
 	};
@@ -111,6 +112,7 @@
 			}
 
 			this.lastState = state;
+			editor.history.recordCreate(state);
 			this.notifyListeners(editor.events.Created, state);
 		}
 	};
@@ -51,7 +51,7 @@
     
     /**
      * An TimerModel handles the creation, updating, and removal of 
-     * Timer
+     * Timers and Schedulers
      */
     var TimersModel = function() {
 		editor.ToolModel.call(this, 'timers');
@@ -62,9 +62,10 @@
 	TimersModel.prototype = new editor.ToolModel();
 	TimersModel.prototype.constructor = TimersModel;
 		
-	TimersModel.prototype.create = function() {
+	TimersModel.prototype.create = function(type) {
 		if (!this.currentTimer) {
-			this.currentTimer = new hemi.Timer();
+			this.currentTimer = type === 'scheduler' ? new hemi.Scheduler() :
+				new hemi.Timer();
 		}
 	};
 	
@@ -76,24 +77,36 @@
 	};
 	
 	TimersModel.prototype.remove = function(timer) {
+		editor.history.recordRemove(timer);
 		timer.cleanup();
 		this.notifyListeners(editor.events.Removing, timer);
 	};
 	
-	TimersModel.prototype.save = function(name, startTime) {
+	TimersModel.prototype.save = function(data) {
 		var msgType = this.currentTimer ? editor.events.Updated : 
 			editor.events.Created;
 		
-		this.create();
-		this.currentTimer.name = name;
-		this.currentTimer.startTime = startTime;
+		this.create(data.type);
+		this.currentTimer.name = data.name;
+		
+		if (data.type === 'scheduler') {
+			this.currentTimer.reset();
+			this.currentTimer.cues = data.cues;
+		} else {
+			this.currentTimer.startTime = data.startTime;
+			this.currentTimer.repeat = data.repeat;
+			this.currentTimer.interval = data.interval;
+			this.currentTimer.tick = data.tick;
+		}
 		
 		this.notifyListeners(msgType, this.currentTimer);
 		this.currentTimer = null;
 	};
 		
 	TimersModel.prototype.worldCleaned = function() {
-		var timers = hemi.world.getTimers();
+		var timers = hemi.world.query({
+				type: [hemi.Timer, hemi.Scheduler]
+			});
 		
 		for (var ndx = 0, len = timers.length; ndx < len; ndx++) {
 			this.notifyListeners(editor.events.Removing, timers[ndx]);
@@ -101,7 +114,9 @@
     };
     
     TimersModel.prototype.worldLoaded = function() {
-		var timers = hemi.world.getTimers();
+		var timers = hemi.world.query({
+				type: [hemi.Timer, hemi.Scheduler]
+			});
 		
 		for (var ndx = 0, len = timers.length; ndx < len; ndx++) {
 			this.notifyListeners(editor.events.Created, timers[ndx]);
@@ -124,6 +139,40 @@
 	CreateWidget.prototype = new editor.ui.FormWidget();
 	CreateWidget.prototype.constructor = CreateWidget;
 		
+	CreateWidget.prototype.addCue = function(name, time) {
+		var wgt = this,
+			cue = {
+				name: name,
+				time: time
+			},
+			item = jQuery('<li><span></span><button class="removeBtn">Remove</button></li>');
+		
+		item.find('span').text(name + ' (' + time / 1000 + 's)');
+		item.find('button').bind('click', function() {
+			wgt.cues.splice(wgt.cues.indexOf(cue), 1);
+			item.remove();
+			wgt.checkSaveButton();
+		});
+		
+		this.cues.push(cue);
+		this.cueList.append(item);
+	};
+	
+	CreateWidget.prototype.checkSaveable = function() {
+		var type = this.typeSel.val(),
+			saveable = this.nameIpt.getValue() != null;
+		
+		if (type === 'timer') {
+			saveable = saveable && this.startTimeIpt.getValue() != null;
+		} else if (type === 'scheduler') {
+			saveable = saveable && this.cues.length > 0;
+		} else {
+			saveable = false;
+		}
+		
+		return saveable;
+	};
+	
 	CreateWidget.prototype.checkSaveButton = function() {
 		var btn = this.saveBtn,
 			saveable = this.checkSaveable();
@@ -134,6 +183,13 @@
 		else {
 			btn.attr('disabled', 'disabled');
 		}
+		
+		if (this.cueNameIpt.getValue() != null && this.cueTimeIpt.getValue() != null) {
+			this.cueBtn.removeAttr('disabled');
+		}
+		else {
+			this.cueBtn.attr('disabled', 'disabled');
+		}
 	};
 	
 	CreateWidget.prototype.layout = function() {
@@ -143,8 +199,14 @@
 			wgt = this;
 		
 		this.form = this.find('form');
+		this.typeSel = this.find('#tmrTypeSelect');
+		this.timerSet = this.find('#tmrTimerParams');
+		this.schedulerSet = this.find('#tmrSchedulerParams');
+		this.cueList = this.find('#tmrCueList');
+		this.cueBtn = this.find('#tmrCueBtn');
 		this.saveBtn = this.find('#tmrSaveBtn');
 		this.cancelBtn = this.find('#tmrCancelBtn');
+		this.cues = [];
 		this.nameIpt = new editor.ui.Input({
 			container: wgt.find('#tmrName'),
 			type: 'string'
@@ -153,6 +215,30 @@
 			container: wgt.find('#tmrStartTime'),
 			validator: validator
 		});
+		this.repeatIpt = new editor.ui.Input({
+			container: wgt.find('#tmrRepeat'),
+			type: 'integer',
+			validator: editor.ui.createDefaultValidator(-1)
+		});
+		this.intervalIpt = new editor.ui.Input({
+			container: wgt.find('#tmrInterval'),
+			validator: editor.ui.createDefaultValidator(0)
+		});
+		this.tickIpt = new editor.ui.Input({
+			container: wgt.find('#tmrTick'),
+			validator: editor.ui.createDefaultValidator(0)
+		});
+		this.cueNameIpt = new editor.ui.Input({
+			container: wgt.find('#tmrCueName'),
+			type: 'string'
+		});
+		this.cueTimeIpt = new editor.ui.Input({
+			container: wgt.find('#tmrCueTime'),
+			validator: editor.ui.createDefaultValidator(0)
+		});
+		
+		this.timerSet.hide();
+		this.schedulerSet.hide();
 		
 		this.form.submit(function() { return false; });
 		
@@ -160,9 +246,32 @@
 			wgt.checkSaveButton();
 		});
 		
+		this.typeSel.bind('change', function() {
+			var type = wgt.typeSel.val();
+			
+			wgt.timerSet.toggle(type === 'timer');
+			wgt.schedulerSet.toggle(type === 'scheduler');
+			wgt.checkSaveButton();
+		});
+		
+		this.cueBtn.bind('click', function() {
+			wgt.addCue(wgt.cueNameIpt.getValue(), wgt.cueTimeIpt.getValue() * 1000);
+			wgt.cueNameIpt.reset();
+			wgt.cueTimeIpt.reset();
+			wgt.checkSaveButton();
+		});
+		
 		this.saveBtn.bind('click', function() {
-			var data = {
+			var repeat = wgt.repeatIpt.getValue(),
+				interval = wgt.intervalIpt.getValue(),
+				tick = wgt.tickIpt.getValue(),
+				data = {
+					type: wgt.typeSel.val(),
 					startTime: wgt.startTimeIpt.getValue() * 1000,
+					repeat: repeat == null ? 1 : repeat,
+					interval: interval == null ? 0 : interval * 1000,
+					tick: tick == null ? 0 : tick * 1000,
+					cues: wgt.cues,
 					name: wgt.nameIpt.getValue()
 				};
 			
@@ -174,20 +283,41 @@
 			wgt.reset();
 			wgt.notifyListeners(editor.events.Edit, null);
 		});
-		
-		this.addInputsToCheck(this.startTimeIpt);
-		this.addInputsToCheck(this.nameIpt);
 	};
 	
 	CreateWidget.prototype.edit = function(timer) {
-		this.startTimeIpt.setValue(timer.startTime / 1000);
+		this.reset();
+		
+		if (timer instanceof hemi.Scheduler) {
+			for (var i = 0, il = timer.cues.length; i < il; ++i) {
+				this.addCue(timer.cues[i].name, timer.cues[i].time);
+			}
+			
+			this.typeSel.val('scheduler');
+		} else {
+			this.startTimeIpt.setValue(timer.startTime / 1000);
+			this.repeatIpt.setValue(timer.repeat);
+			this.intervalIpt.setValue(timer.interval / 1000);
+			this.tickIpt.setValue(timer.tick / 1000);
+			this.typeSel.val('timer');
+		}
+		
+		this.typeSel.change().attr('disabled', 'disabled');
 		this.nameIpt.setValue(timer.name);
 		this.checkSaveButton();
 	};
 	
 	CreateWidget.prototype.reset = function() {
 		this.startTimeIpt.reset();
+		this.repeatIpt.reset();
+		this.intervalIpt.reset();
+		this.tickIpt.reset();
+		this.cueNameIpt.reset();
+		this.cueTimeIpt.reset();
 		this.nameIpt.reset();
+		this.cues = [];
+		this.cueList.empty();
+		this.typeSel.val(-1).change().removeAttr('disabled');
 		this.checkSaveButton();
 	};
          
@@ -257,7 +387,7 @@
 			model.edit(timer);
 		});
 		crtWgt.addListener(shorthand.events.SaveTimer, function(data) {
-			model.save(data.name, data.startTime);
+			model.save(data);
 		});
 		
 		// list widget specific
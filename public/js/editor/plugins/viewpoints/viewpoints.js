@@ -145,6 +145,7 @@
 	};
 		
 	ViewpointsModel.prototype.removeViewpoint = function(viewpoint) {
+		editor.history.recordRemove(viewpoint);
 		this.notifyListeners(editor.events.Removing, viewpoint);
 		viewpoint.cleanup();
 	};
@@ -154,6 +155,10 @@
 			msgType = this.currentVp ? editor.events.Updated
 				: editor.events.Created;
 			
+		if (msgType === editor.events.Created) {
+			editor.history.recordCreate(viewpoint);
+		}
+		
 		this.notifyListeners(msgType, viewpoint);
 		
 		if (this.camData) {
@@ -106,6 +106,7 @@
 	
 	shorthand.events = {
 		CheckProjectExists: 'checkProjectExists',
+		GetVersions: 'getVersions',
 		Load: 'load',
 		Loaded: 'loaded',
 		NewProject: 'newProject',
@@ -113,12 +114,14 @@
 		ProjectExists: 'projectExsits',
 		Publish: 'publish',
 		Published: 'published',
+		Restore: 'restore',
 		Save: 'save',
 		Saved: 'saved',
 		ServerRunning: 'serverRunning',
 		StartPreview: 'startPreview',
 		StopPreview: 'stopPreview',
-		UpdateProjects: 'updateProjects'
+		UpdateProjects: 'updateProjects',
+		Versions: 'versions'
 	};
 	
 	var AUTO_SAVE = '_AutoSave_';
@@ -168,6 +171,31 @@
 			this.projectCache : null);
 	};
 	
+	ProjectModel.prototype.getVersions = function(project) {
+		var data = {
+				name: project
+			},
+			mdl = this;
+		
+		jQuery.ajax({
+			url: '/project/versions',
+			data: data,
+			dataType: 'json',
+			success: function(data, status, xhr) {
+				mdl.notifyListeners(shorthand.events.Versions, {
+					project: project,
+					versions: data.versions
+				});
+			},
+			error: function(xhr, status, err) {
+				mdl.notifyListeners(shorthand.events.Versions, {
+					project: project,
+					versions: []
+				});
+			}
+		});
+	};
+	
 	ProjectModel.prototype.load = function(project) {
 		var data = {
 				name: project
@@ -185,7 +213,10 @@
 				mdl.loading = true;
 				hemi.send(hemi.msg.worldCleanup);
 				dispatchProxy.swap();
-				hemi.fromOctane(data);
+				// Load what we can so a broken citizen can still be fixed in the editor
+				hemi.fromOctane(data, {
+					bestEffort: true
+				});
 				dispatchProxy.unswap();
 
 				var client = editor.client = hemi.clients[0];
@@ -243,47 +274,38 @@
 	};
 	
 	ProjectModel.prototype.publish = function(project) {
-		this.save(project, true);
-		
 		var data = {
-				name: project
+				name: project,
+				zip: true
 			},
-			models = hemi.world.getModels(),
 			mdl = this;
 		
-		if (models.length > 0) {
-			var names = [];
-			
-			for (var i = 0, il = models.length; i < il; i++) {
-				names.push(models[i].name);
-			}
-			
-			data.models = names.join(', ');
-		} else {
-			data.models = 'No models needed!';
-		}
-		
-		jQuery.ajax({
-			url: '/publish',
-			data: data,
-			dataType: 'json',
-			type: 'post',
-			success: function(data, status, xhr) {
-				var ndx = findProject.call(mdl, project);
-				mdl.projectCache[ndx].published = true;
-				mdl.notifyListeners(shorthand.events.Published, {
-					name: project,
-					published: true
-				});
-			},
-			error: function(xhr, status, err) {
-				mdl.notifyListeners(shorthand.events.Published, {
-					name: project,
-					published: false
-				});
-			}
+		// The server packages the assets referenced by the saved project, so wait for the save
+		this.save(project, true, function() {
+			jQuery.ajax({
+				url: '/publish',
+				data: data,
+				dataType: 'json',
+				type: 'post',
+				success: function(data, status, xhr) {
+					var ndx = findProject.call(mdl, project);
+					mdl.projectCache[ndx].published = true;
+					mdl.projectCache[ndx].packaged = data.zip !== undefined;
+					mdl.notifyListeners(shorthand.events.Published, {
+						name: project,
+						published: true,
+						packaged: data.zip !== undefined,
+						missing: data.missing
+					});
+				},
+				error: function(xhr, status, err) {
+					mdl.notifyListeners(shorthand.events.Published, {
+						name: project,
+						published: false
+					});
+				}
+			});
 		});
-		
 	};
 	
 	ProjectModel.prototype.remove = function(project) {								
@@ -312,7 +334,31 @@
 		});
 	};
 	
-	ProjectModel.prototype.save = function(project, replace) {
+	ProjectModel.prototype.restore = function(project, rev) {
+		var data = {
+				name: project,
+				rev: rev
+			},
+			mdl = this;
+		
+		jQuery.ajax({
+			url: '/project/restore',
+			data: data,
+			dataType: 'json',
+			type: 'post',
+			success: function(data, status, xhr) {
+				mdl.load(project);
+			},
+			error: function(xhr, status, err) {
+				mdl.notifyListeners(shorthand.events.Loaded, {
+					project: project,
+					succeeded: false
+				});
+			}
+		});
+	};
+	
+	ProjectModel.prototype.save = function(project, replace, opt_callback) {
 		replace = replace || false;
 							
 		var data = {
@@ -332,10 +378,16 @@
 					project: project,
 					saved: true
 				});
-				mdl.projectCache.push({
-					name: project,
-					published: false
-				});
+				
+				if (findProject.call(mdl, project) === -1) {
+					mdl.projectCache.push({
+						name: project,
+						published: false
+					});
+				}
+				if (opt_callback) {
+					opt_callback();
+				}
 			},
 			error: function(xhr, status, err) {
 				mdl.serverRunning = false;
@@ -449,15 +501,26 @@
 	ListItem.prototype.add = function(project, version) {
 		var li = new editor.ui.EditableListItem({
 				editable: false,
-				removeable: false
-			});
+				removable: false
+			}),
+			wgt = this;
 		
-		li.setText(version);
+		li.setText(new Date(version.time).toLocaleString());
 		li.attachObject(version);
 		
-		this.bindButtons(li);
+		li.title.bind('click', function() {
+			wgt.notifyListeners(shorthand.events.Restore, {
+				project: project,
+				rev: version.rev
+			});
+		});
 		this.list.add(li);
-		this.versionsHash.put(version, li);
+		this.versionsHash.put(version.rev, li);
+	};
+	
+	ListItem.prototype.clearVersions = function() {
+		this.list.clear();
+		this.versionsHash.clear();
 	};
 	
 	ListItem.prototype.layout = function() {
@@ -474,15 +537,20 @@
 			prefix: 'prjLst'
 		});
 		
-		// publish link
+		// publish links
 		this.publishLink = jQuery('<a class="publish" href="" target="_blank">View Published</a>');
+		this.packageLink = jQuery('<a class="publish" href="">Download Package</a>');
+		this.versionsBtn = jQuery('<button class="versionsBtn">Versions</button>');
 		
 		prjList.append(loadHeader).append(this.list.getUI())
 			.hide();
 		arrow.hide();
 		this.container.append(arrow).append(prjList);
+		this.versionsList = prjList;
+		this.versionsArrow = arrow;
 		
-		this.removeBtn.before(this.publishLink.hide());
+		this.removeBtn.before(this.publishLink.hide()).before(this.packageLink.hide())
+			.before(this.versionsBtn);
 		
 		this.title.bind('click', function() {
 			wgt.notifyListeners(shorthand.events.Load, wgt.getText());
@@ -490,9 +558,34 @@
 	};
 	
 	ListItem.prototype.remove = function(version) {
-		var li = this.versionsHash.remove(version);			
+		var li = this.versionsHash.remove(version.rev);			
 		this.list.remove(li);
 	};
+	
+	ListItem.prototype.setVersions = function(project, versions) {
+		this.clearVersions();
+		
+		for (var i = 0, il = versions.length; i < il; i++) {
+			this.add(project, versions[i]);
+		}
+		
+		this.showVersions(true);
+	};
+	
+	ListItem.prototype.showVersions = function(visible) {
+		if (visible) {
+			this.versionsArrow.show();
+			this.versionsList.show();
+		}
+		else {
+			this.versionsArrow.hide();
+			this.versionsList.hide();
+		}
+	};
+	
+	ListItem.prototype.versionsVisible = function() {
+		return this.versionsList.is(':visible');
+	};
 
 	var LoadListWidget = function(options) {
 	    editor.ui.ListWidget.call(this, {
@@ -500,7 +593,8 @@
 			listId: 'projectList',
 			prefix: 'prjLst',
 			title: 'Projects',
-			instructions: "Click on a project to load it. Click the 'x' to delete.",
+			instructions: "Click on a project to load it. Click the 'x' to delete. Click " +
+				"'Versions' to see its save history and click a version to restore it.",
 			height: editor.ui.Height.FULL
 		});
 			
@@ -532,9 +626,21 @@
 			li.publishLink.attr('href', '/projects/' + project.name 
 				+ '.html').show();
 		}
+		if (project.packaged) {
+			li.packageLink.attr('href', '/projects/' + project.name 
+				+ '.zip').show();
+		}
 		li.removeBtn.bind('click', function(evt) {
 			wgt.notifyListeners(editor.events.Remove, project.name);
 		});
+		li.versionsBtn.bind('click', function(evt) {
+			if (li.versionsVisible()) {
+				li.showVersions(false);
+			}
+			else {
+				wgt.notifyListeners(shorthand.events.GetVersions, project.name);
+			}
+		});
 	};
 	
 	LoadListWidget.prototype.createListItem = function() {
@@ -545,6 +651,9 @@
 		li.addListener(shorthand.events.Load, function(project) {
 			wgt.notifyListeners(shorthand.events.Load, project);
 		});
+		li.addListener(shorthand.events.Restore, function(data) {
+			wgt.notifyListeners(shorthand.events.Restore, data);
+		});
 		
 		return li;
 	};
@@ -562,6 +671,14 @@
 		return retVal;
     };
 	
+	LoadListWidget.prototype.setVersions = function(projectName, versions) {
+		var li = this.items.get(projectName);
+		
+		if (li) {
+			li.setVersions(projectName, versions);
+		}
+	};
+	
 	LoadListWidget.prototype.update = function(project) {
 		var li = this.items.get(project.name),
 			retVal = false;
@@ -571,6 +688,10 @@
 				li.publishLink.attr('href', '/projects/' + project.name 
 					+ '.html').show();
 			}
+			if (project.packaged) {
+				li.packageLink.attr('href', '/projects/' + project.name 
+					+ '.zip').show();
+			}
 			retVal = true;
 		}
 		
@@ -858,6 +979,10 @@
 		var lstWgt = this.sidePanel.prjListWidget;
 			
 		lstWgt.update(data);
+		
+		if (data.missing && data.missing.length > 0) {
+			this.msg.empty().text('Published, but missing: ' + data.missing.join(', ')).show();
+		}
 	};
 	
 	ProjectView.prototype.updateRemoved = function(project) {
@@ -937,6 +1062,12 @@
 		lstWgt.addListener(editor.events.Remove, function(project) {
 			model.remove(project);
 		});
+		lstWgt.addListener(shorthand.events.GetVersions, function(project) {
+			model.getVersions(project);
+		});
+		lstWgt.addListener(shorthand.events.Restore, function(data) {
+			model.restore(data.project, data.rev);
+		});
 		prvWgt.addListener(shorthand.events.StopPreview, function() {
 			model.stopPreview();
 			view.stopPreview();
@@ -973,6 +1104,9 @@
 		model.addListener(shorthand.events.ServerRunning, function(isRunning) {
 			view.updateServerRunning(isRunning);
 		});
+		model.addListener(shorthand.events.Versions, function(data) {
+			lstWgt.setVersions(data.project, data.versions);
+		});
 	};
 	
 	shorthand.loadingDone = function() {
@@ -85,6 +85,7 @@
 		this.canvas = hemi.hudManager.currentContext;
 		this.drawCallback = null;
 		this.transform = null;
+		this.edit = null;
 		
 		this.xArrow = new Arrow(this.canvas, '#f00', '#f99');
 		this.yArrow = new Arrow(this.canvas, '#0c0', '#9c9');
@@ -209,6 +210,8 @@
 		}
 		
 		if (this.down) {
+			this.edit = hemi.history.beginTransformEdit(this.transform);
+
 			switch(this.drawState) {
 				case editor.ui.trans.DrawState.ROTATE:
 					this.startRotate(axis, evt);
@@ -267,19 +270,11 @@
 		}
 		editor.client.camera.enableControl();
 		
-		// make the changes octanable
-//		var param = this.transform.getParam('ownerId');
-//		
-//		if (param) {
-//			owner = hemi.world.getCitizenById(param.value);
-//			
-//			if (owner.setTransformMatrix) {
-//				owner.setTransformMatrix(this.transform, 
-//					this.transform.localMatrix);
-//			} else if (owner.setMatrix) {
-//				owner.setMatrix(this.transform.localMatrix);
-//			}
-//		}
+		// The whole drag is one step in the history
+		if (this.edit !== null) {
+			hemi.history.endEdit(this.edit);
+			this.edit = null;
+		}
 		
 		return true;
 	};
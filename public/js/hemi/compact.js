@@ -0,0 +1,335 @@
+/*
+ * Licensed under the MIT license: http://www.opensource.org/licenses/mit-license.php
+ * The MIT License (MIT)
+ * 
+ * Copyright (c) 2011 SRI International
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated  documentation files (the "Software"), to deal in the Software without restriction,
+ * including without limitation the rights to use, copy, modify, merge, publish, distribute,
+ * sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the  Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+ * NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+ * DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function() {
+
+	/*
+	 * The version of the compact Octane encoding written by hemi.compactOctane.
+	 * @type number
+	 */
+	var COMPACT_VERSION = 1,
+		/*
+		 * Numeric arrays shorter than this are written as plain arrays.
+		 * @type number
+		 */
+		MIN_PACK_LENGTH = 8,
+		/*
+		 * Tags for the encoded values. Numbers, booleans and null are written as they are.
+		 */
+		STRING = 0,
+		OBJECT = 1,
+		ARRAY = 2,
+		PACKED = 3,
+		/*
+		 * The typed arrays that numeric arrays can be packed into, from smallest to largest. Each
+		 * has the DataView functions to read and write it.
+		 */
+		PACK_TYPES = [
+			{ name: 'i8', size: 1, get: 'getInt8', set: 'setInt8', min: -128, max: 127 },
+			{ name: 'i16', size: 2, get: 'getInt16', set: 'setInt16', min: -32768, max: 32767 },
+			{ name: 'i32', size: 4, get: 'getInt32', set: 'setInt32', min: -2147483648,
+				max: 2147483647 },
+			{ name: 'f32', size: 4, get: 'getFloat32', set: 'setFloat32' },
+			{ name: 'f64', size: 8, get: 'getFloat64', set: 'setFloat64' }
+		];
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Global functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * Encode the given Octane in the compact Octane format. Repeated strings are written once to a
+	 * string table, objects with the same property names share one list of names and arrays of
+	 * numbers are packed into the smallest typed array that holds them without losing precision.
+	 * The result is still JSON, but much smaller for large Worlds. hemi.expandOctane restores the
+	 * original Octane exactly.
+	 * 
+	 * @param {Object} octane World Octane or Octane for a single object
+	 * @return {Object} the compact Octane
+	 */
+	hemi.compactOctane = function(octane) {
+		var encoder = {
+				strings: [],
+				stringNdx: {},
+				shapes: [],
+				shapeNdx: {},
+				packed: []
+			},
+			root = encodeValue(octane, encoder);
+
+		return {
+			kudaCompact: COMPACT_VERSION,
+			strings: encoder.strings,
+			shapes: encoder.shapes,
+			packed: encoder.packed,
+			root: root
+		};
+	};
+
+	/**
+	 * Decode the given compact Octane back into the Octane it was created from.
+	 * 
+	 * @param {Object} compact the compact Octane created by hemi.compactOctane
+	 * @return {Object} the original Octane
+	 */
+	hemi.expandOctane = function(compact) {
+		if (compact.kudaCompact > COMPACT_VERSION) {
+			hemi.error('Compact Octane version ' + compact.kudaCompact + ' is not supported');
+		}
+
+		var decoder = {
+			strings: compact.strings,
+			shapes: compact.shapes,
+			packed: []
+		};
+
+		for (var i = 0, il = compact.packed.length; i < il; ++i) {
+			decoder.packed.push(unpack(compact.packed[i][0], compact.packed[i][1]));
+		}
+
+		return decodeValue(compact.root, decoder);
+	};
+
+	/**
+	 * Check if the given data is compact Octane created by hemi.compactOctane.
+	 * 
+	 * @param {Object} data the data to check
+	 * @return {boolean} true if the data is compact Octane
+	 */
+	hemi.isCompactOctane = function(data) {
+		return data !== null && typeof data === 'object' && data.kudaCompact !== undefined;
+	};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Utility functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Decode the given encoded value.
+	 * 
+	 * @param {Object} value the encoded value
+	 * @param {Object} decoder the string, shape and packed array tables
+	 * @return {Object} the decoded value
+	 */
+	function decodeValue(value, decoder) {
+		if (!hemi.utils.isArray(value)) {
+			return value;
+		}
+
+		var decoded;
+
+		switch (value[0]) {
+			case STRING:
+				decoded = decoder.strings[value[1]];
+				break;
+			case OBJECT:
+				var shape = decoder.shapes[value[1]];
+				decoded = {};
+
+				for (var i = 0, il = shape.length; i < il; ++i) {
+					decoded[shape[i]] = decodeValue(value[i + 2], decoder);
+				}
+				break;
+			case ARRAY:
+				decoded = [];
+
+				for (var i = 1, il = value.length; i < il; ++i) {
+					decoded.push(decodeValue(value[i], decoder));
+				}
+				break;
+			case PACKED:
+				decoded = decoder.packed[value[1]].slice(0);
+				break;
+		}
+
+		return decoded;
+	}
+
+	/*
+	 * Encode the given value, adding to the tables of the given encoder.
+	 * 
+	 * @param {Object} value the value to encode
+	 * @param {Object} encoder the string, shape and packed array tables
+	 * @return {Object} the encoded value
+	 */
+	function encodeValue(value, encoder) {
+		var encoded;
+
+		if (typeof value === 'string') {
+			var ndx = encoder.stringNdx[value];
+
+			if (ndx === undefined) {
+				ndx = encoder.stringNdx[value] = encoder.strings.length;
+				encoder.strings.push(value);
+			}
+
+			encoded = [STRING, ndx];
+		} else if (hemi.utils.isArray(value)) {
+			var packType = value.length >= MIN_PACK_LENGTH ? getPackType(value) : null;
+
+			if (packType !== null) {
+				encoded = [PACKED, encoder.packed.length];
+				encoder.packed.push([packType.name, pack(value, packType)]);
+			} else {
+				encoded = [ARRAY];
+
+				for (var i = 0, il = value.length; i < il; ++i) {
+					encoded.push(encodeValue(value[i], encoder));
+				}
+			}
+		} else if (value !== null && typeof value === 'object') {
+			var keys = [];
+
+			for (var key in value) {
+				// Skip what JSON.stringify would skip
+				if (value[key] !== undefined && typeof value[key] !== 'function') {
+					keys.push(key);
+				}
+			}
+
+			var shapeKey = JSON.stringify(keys),
+				ndx = encoder.shapeNdx[shapeKey];
+
+			if (ndx === undefined) {
+				ndx = encoder.shapeNdx[shapeKey] = encoder.shapes.length;
+				encoder.shapes.push(keys);
+			}
+
+			encoded = [OBJECT, ndx];
+
+			for (var i = 0, il = keys.length; i < il; ++i) {
+				encoded.push(encodeValue(value[keys[i]], encoder));
+			}
+		} else {
+			encoded = value;
+		}
+
+		return encoded;
+	}
+
+	/*
+	 * Get the smallest pack type that can hold all of the numbers in the given array exactly.
+	 * 
+	 * @param {Object[]} values the array to check
+	 * @return {Object} the pack type or null if the array does not contain only numbers
+	 */
+	function getPackType(values) {
+		var isInt = true,
+			isFloat = true,
+			min = 0,
+			max = 0,
+			f32 = new Float32Array(1);
+
+		for (var i = 0, il = values.length; i < il; ++i) {
+			var val = values[i];
+
+			if (typeof val !== 'number' || !isFinite(val)) {
+				return null;
+			}
+
+			// Negative zero only survives in a float
+			if (val % 1 !== 0 || (val === 0 && 1 / val < 0)) {
+				isInt = false;
+			}
+
+			if (isFloat) {
+				f32[0] = val;
+				isFloat = f32[0] === val;
+			}
+
+			min = Math.min(min, val);
+			max = Math.max(max, val);
+		}
+
+		for (var i = 0, il = PACK_TYPES.length; i < il; ++i) {
+			var type = PACK_TYPES[i];
+
+			if (type.min !== undefined) {
+				if (isInt && min >= type.min && max <= type.max) {
+					return type;
+				}
+			} else if (isFloat || type.name === 'f64') {
+				return type;
+			}
+		}
+
+		return null;
+	}
+
+	/*
+	 * Pack the given numbers into a little-endian typed array and encode it as a base64 string.
+	 * 
+	 * @param {number[]} values the numbers to pack
+	 * @param {Object} type the pack type to use
+	 * @return {string} the base64 encoded typed array
+	 */
+	function pack(values, type) {
+		var view = new DataView(new ArrayBuffer(values.length * type.size)),
+			bytes = new Uint8Array(view.buffer),
+			chars = [];
+
+		for (var i = 0, il = values.length; i < il; ++i) {
+			view[type.set](i * type.size, values[i], true);
+		}
+
+		for (var i = 0, il = bytes.length; i < il; ++i) {
+			chars.push(String.fromCharCode(bytes[i]));
+		}
+
+		return window.btoa(chars.join(''));
+	}
+
+	/*
+	 * Decode the given base64 string into an array of numbers.
+	 * 
+	 * @param {string} typeName the name of the pack type used
+	 * @param {string} data the base64 encoded typed array
+	 * @return {number[]} the unpacked numbers
+	 */
+	function unpack(typeName, data) {
+		var chars = window.atob(data),
+			view = new DataView(new ArrayBuffer(chars.length)),
+			values = [],
+			type = null;
+
+		for (var i = 0, il = PACK_TYPES.length; i < il; ++i) {
+			if (PACK_TYPES[i].name === typeName) {
+				type = PACK_TYPES[i];
+			}
+		}
+
+		if (type === null) {
+			hemi.error('Unknown compact Octane array type ' + typeName);
+		}
+
+		for (var i = 0, il = chars.length; i < il; ++i) {
+			view.setUint8(i, chars.charCodeAt(i));
+		}
+
+		for (var i = 0, il = chars.length / type.size; i < il; ++i) {
+			values.push(view[type.get](i * type.size, true));
+		}
+
+		return values;
+	}
+
+})();
@@ -57,6 +57,13 @@ if (!window.requestAnimationFrame) {
 		 * @default 60
 		 */
 		fps = 60,
+		/*
+		 * Flag indicating if world time advances in steps of exactly one frame. If not, each
+		 * render advances world time by the real time since the last one.
+		 * @type boolean
+		 * @default true
+		 */
+		fixedStep = true,
 		/*
 		 * Cached inverse of the frames per second.
 		 * @type number
@@ -72,6 +79,12 @@ if (!window.requestAnimationFrame) {
 		 * @type {number}
 		 */
 		lastRenderTime = 0,
+		/*
+		 * Flag indicating if the world clock is paused.
+		 * @type boolean
+		 * @default false
+		 */
+		paused = false,
 		/*
 		 * Map of initialized renderers by the id of their DOM element's parent node.
 		 * @type {Object}
@@ -86,7 +99,23 @@ if (!window.requestAnimationFrame) {
 		 * The index of the render listener currently running onRender().
 		 * @type number
 		 */
-		renderNdx = -1;
+		renderNdx = -1,
+		/*
+		 * Flag indicating if the render listeners are currently being passed elapsed time.
+		 * @type boolean
+		 */
+		rendering = false,
+		/*
+		 * The factor that real time is multiplied by to get world time.
+		 * @type number
+		 * @default 1
+		 */
+		timeScale = 1,
+		/*
+		 * The world time in seconds, which is the total elapsed time passed to render listeners.
+		 * @type number
+		 */
+		worldTime = 0;
 
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // Constants
@@ -128,6 +157,30 @@ if (!window.requestAnimationFrame) {
 	 */
 	hemi.clients = [];
 
+	/*
+	 * Handle a Message that controls the world clock (hemi.msg.pause, hemi.msg.resume or
+	 * hemi.msg.timeScale). The dispatch calls this for every Message rather than the clock
+	 * registering MessageTargets, so that cleaning up the dispatch does not disconnect it.
+	 * 
+	 * @param {hemi.dispatch.Message} message the Message to check
+	 */
+	hemi._handleClockMessage = function(message) {
+		switch (message.msg) {
+			case hemi.msg.pause:
+				hemi.pause();
+				break;
+			case hemi.msg.resume:
+				hemi.resume();
+				break;
+			case hemi.msg.timeScale:
+				// Messages without a valid scale are ignored
+				if (message.data && typeof message.data.scale === 'number') {
+					hemi.setTimeScale(message.data.scale);
+				}
+				break;
+		}
+	};
+
 	/*
 	 * Get the renderer associated with the given DOM id. If no renderer matches the id, the first
 	 * available renderer (if any) is returned.
@@ -255,6 +308,15 @@ if (!window.requestAnimationFrame) {
 		return fps;
 	};
 
+	/**
+	 * Get the factor that real time is multiplied by to get world time.
+	 * 
+	 * @return {number} the current time scale
+	 */
+	hemi.getTimeScale = function() {
+		return timeScale;
+	};
+
 	/**
 	 * Get the time that the specified animation frame occurs at.
 	 *
@@ -265,6 +327,16 @@ if (!window.requestAnimationFrame) {
 		return frame * hz;
 	};
 
+	/**
+	 * Get the world time, which only advances while the world clock is running and is scaled by
+	 * the time scale. This is the total of the elapsed times passed to render listeners.
+	 * 
+	 * @return {number} the world time in seconds
+	 */
+	hemi.getWorldTime = function() {
+		return worldTime;
+	};
+
 	/**
 	 * Initialize hemi features. This does not need to be called if hemi.makeClients() is called,
 	 * but it can be used on its own if you don't want to use hemi's client system.
@@ -279,6 +351,34 @@ if (!window.requestAnimationFrame) {
 		render(true);
 	};
 
+	/**
+	 * Check if world time advances in steps of exactly one frame.
+	 * 
+	 * @return {boolean} true if the world clock uses a fixed timestep
+	 */
+	hemi.isFixedStep = function() {
+		return fixedStep;
+	};
+
+	/**
+	 * Check if the world clock is paused.
+	 * 
+	 * @return {boolean} true if the world clock is paused
+	 */
+	hemi.isPaused = function() {
+		return paused;
+	};
+
+	/**
+	 * Check if a render listener is currently running onRender(). Anything that happens during
+	 * this time was caused by the passing of world time rather than by the user.
+	 * 
+	 * @return {boolean} true if the render listeners are being passed elapsed time
+	 */
+	hemi.isRendering = function() {
+		return rendering;
+	};
+
 	/**
 	 * Create a Client for each rendered canvas on the page.
 	 * 
@@ -317,6 +417,17 @@ if (!window.requestAnimationFrame) {
 		return hemi.clients;
 	};
 
+	/**
+	 * Pause the world clock. Render listeners (animations, motions, particles, Timers and delayed
+	 * Messages) stop receiving time until the clock is resumed, but Clients keep rendering.
+	 */
+	hemi.pause = function() {
+		if (!paused) {
+			paused = true;
+			sendClock();
+		}
+	};
+
 	/**
 	 * Remove the given render listener from hemi.
 	 * 
@@ -339,6 +450,17 @@ if (!window.requestAnimationFrame) {
 		return retVal;
 	};
 
+	/**
+	 * Resume the world clock if it is paused. Time that passed while it was paused is skipped.
+	 */
+	hemi.resume = function() {
+		if (paused) {
+			paused = false;
+			lastRenderTime = new Date().getTime();
+			sendClock();
+		}
+	};
+
 	/**
 	 * Set the given function as the error handler for Hemi errors.
 	 * 
@@ -359,6 +481,35 @@ if (!window.requestAnimationFrame) {
 		hzMS = hz * 1000;
 	};
 
+	/**
+	 * Set whether world time advances in steps of exactly one frame (the default) or by the real
+	 * time since the last render. Fixed steps keep animations repeatable, even if the browser
+	 * skips frames.
+	 * 
+	 * @param {boolean} fixed true to use a fixed timestep
+	 */
+	hemi.setFixedStep = function(fixed) {
+		if (fixedStep !== fixed) {
+			fixedStep = fixed;
+			sendClock();
+		}
+	};
+
+	/**
+	 * Set the factor that real time is multiplied by to get world time, such as 0.5 for slow
+	 * motion or 2 to fast-forward.
+	 * 
+	 * @param {number} scale the new time scale (greater than 0)
+	 */
+	hemi.setTimeScale = function(scale) {
+		if (!(scale > 0)) {
+			hemi.error('Time scale must be greater than 0: ' + scale);
+		} else if (timeScale !== scale) {
+			timeScale = scale;
+			sendClock();
+		}
+	};
+
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // Utility functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -410,17 +561,24 @@ if (!window.requestAnimationFrame) {
 				elapsedTime: hz
 			};
 
-		while (renderTime - lastRenderTime > hzMS) {
-			update = true;
-			lastRenderTime += hzMS;
-
-			for (renderNdx = 0; renderNdx < renderListeners.length; ++renderNdx) {
-				renderListeners[renderNdx].onRender(event);
+		if (paused) {
+			// Keep rendering at the same rate so that changes such as HUD explanations are shown
+			if (renderTime - lastRenderTime > hzMS) {
+				update = true;
+				lastRenderTime = renderTime;
+			}
+		} else if (fixedStep) {
+			while (renderTime - lastRenderTime > hzMS) {
+				update = true;
+				lastRenderTime += hzMS;
+				tick(hz * timeScale);
 			}
+		} else if (renderTime - lastRenderTime > hzMS) {
+			update = true;
+			tick((renderTime - lastRenderTime) / 1000 * timeScale);
+			lastRenderTime = renderTime;
 		}
 
-		renderNdx = -1;
-
 		if (update) {
 			for (var i = 0, il = hemi.clients.length; i < il; ++i) {
 				hemi.clients[i].onRender(event);
@@ -428,6 +586,40 @@ if (!window.requestAnimationFrame) {
 		}
 	}
 
+	/*
+	 * Send a Message with the current state of the world clock.
+	 */
+	function sendClock() {
+		hemi.send(hemi.msg.clock, {
+			paused: paused,
+			timeScale: timeScale,
+			fixedStep: fixedStep
+		});
+	}
+
+	/*
+	 * Advance world time and pass the elapsed time to each render listener.
+	 * 
+	 * @param {number} elapsed the world time that passed in seconds
+	 */
+	function tick(elapsed) {
+		var event = {
+				elapsedTime: elapsed
+			};
+
+		worldTime += elapsed;
+		rendering = true;
+
+		try {
+			for (renderNdx = 0; renderNdx < renderListeners.length; ++renderNdx) {
+				renderListeners[renderNdx].onRender(event);
+			}
+		} finally {
+			rendering = false;
+			renderNdx = -1;
+		}
+	}
+
 	/*
 	 * Window resize handler function.
 	 */
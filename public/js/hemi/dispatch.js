@@ -26,7 +26,30 @@
 	var msgSpecs = new hemi.utils.Hashtable(),
 
 		/* The next id to assign to a MessageTarget */
-		nextId = 0;
+		nextId = 0,
+
+		/* The MessageSpecs with Message patterns or source filters (null if it needs rebuilding) */
+		patternSpecs = null,
+
+		/* Regular expressions for Message patterns by pattern */
+		patternCache = {},
+
+		/* Delayed deliveries waiting for their world time, sorted by time */
+		pending = [],
+
+		/* World time in milliseconds, advanced by the render loop while deliveries or throttle
+		 * windows are pending */
+		worldTime = 0,
+
+		/* World time until which the render loop must keep advancing for throttled targets */
+		throttleTime = 0,
+
+		/* Render listener that delivers pending Messages */
+		clock = {
+			onRender: function(event) {
+				hemi.dispatch.deliverPending(event.elapsedTime * 1000);
+			}
+		};
 
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // Constants
@@ -44,6 +67,15 @@
 	 */
 	hemi.dispatch.WILDCARD = '*';
 
+	/**
+	 * Characters that make a Message type a pattern. '*' matches any number of characters and '?'
+	 * matches a single character.
+	 * @constant
+	 * @example
+	 * 'hemi.*' matches 'hemi.start' and 'hemi.stop' but not 'hext.tools.enable'
+	 */
+	hemi.dispatch.PATTERN_CHARS = /[*?]/;
+
 	/** 
 	  * First part of an argument string indicating it is an id for the actual argument desired.
 	  * @constant
@@ -86,6 +118,22 @@
 		 * @type Object
 		 */
 		this.data = {};
+
+		/**
+		 * Flag indicating that a handler stopped the Message from being passed to any more
+		 * MessageTargets.
+		 * @type boolean
+		 * @default false
+		 */
+		this.stopped = false;
+	};
+
+	/**
+	 * Stop the Message from being passed to any MessageTargets after the current one. MessageTargets
+	 * with a delay or debounce that already received the Message still handle it later.
+	 */
+	Message.prototype.stopPropagation = function() {
+		this.stopped = true;
 	};
 
 	hemi.dispatch.Message = Message;
@@ -109,10 +157,19 @@
 		
 		/**
 		 * The type of Message to handle. This can also be
-		 * hemi.dispatch.WILDCARD to match all Message types.
+		 * hemi.dispatch.WILDCARD to match all Message types or a pattern such
+		 * as 'hemi.*' (see hemi.dispatch.PATTERN_CHARS).
 		 * @type string
 		 */
 		this.msg = null;
+
+		/**
+		 * Optional filter for the Message originators to handle Messages from.
+		 * It may have a type (such as 'hemi.Timer') and a name (such as
+		 * 'door*') that the originator must match. Both may be patterns.
+		 * @type Object
+		 */
+		this.filter = null;
 		
 		/**
 		 * The MessageTargets to pass Messages with matching source ids and
@@ -139,7 +196,7 @@
 			}
 		}
 
-		return [
+		var props = [
 			{
 				name: 'src',
 				val: this.src
@@ -151,6 +208,15 @@
 				oct: targetsOct
 			}
 		];
+
+		if (this.filter !== null) {
+			props.splice(2, 0, {
+				name: 'filter',
+				val: this.filter
+			});
+		}
+
+		return props;
 	};
 
 	/**
@@ -202,7 +268,34 @@
 	 * @return {string} the hash key
 	 */
 	MessageSpec.prototype.getHash = function() {
-		return this.msg + this.src;
+		return getHash(this.src, this.msg, this.filter);
+	};
+
+	/**
+	 * Check if the MessageSpec has to be matched against every Message because it has a Message
+	 * pattern or a source filter.
+	 * 
+	 * @return {boolean} true if the MessageSpec has a Message pattern or source filter
+	 */
+	MessageSpec.prototype.isPattern = function() {
+		return this.filter !== null || (this.msg !== hemi.dispatch.WILDCARD &&
+			hemi.dispatch.PATTERN_CHARS.test(this.msg));
+	};
+
+	/**
+	 * Check if the MessageSpec matches the given Message originator and type.
+	 * 
+	 * @param {Object} src the Message originator
+	 * @param {string} msg the type of Message
+	 * @return {boolean} true if Messages from the originator with the type should be handled
+	 */
+	MessageSpec.prototype.matches = function(src, msg) {
+		var filter = this.filter;
+
+		return (this.src === hemi.dispatch.WILDCARD || this.src === src._getId()) &&
+			hemi.dispatch.matchPattern(this.msg, msg) && (filter === null ||
+			((filter.type === undefined || hemi.dispatch.matchPattern(filter.type, src._octaneType)) &&
+			(filter.name === undefined || hemi.dispatch.matchPattern(filter.name, src.name))));
 	};
 
 	hemi.dispatch.MessageSpec = MessageSpec;
@@ -258,6 +351,52 @@
 		 * @type string[]
 		 */
 		this.args = null;
+
+		/**
+		 * Milliseconds of world time to wait before passing a Message to the
+		 * handler.
+		 * @type number
+		 * @default 0
+		 */
+		this.delay = 0;
+
+		/**
+		 * Milliseconds of world time after passing a Message to the handler
+		 * during which other Messages are ignored.
+		 * @type number
+		 * @default 0
+		 */
+		this.throttle = 0;
+
+		/**
+		 * Milliseconds of world time without new Messages to wait before
+		 * passing the last Message to the handler.
+		 * @type number
+		 * @default 0
+		 */
+		this.debounce = 0;
+
+		/**
+		 * Order of the MessageTarget among the MessageTargets receiving the
+		 * same Message. Higher priorities receive it first and equal priorities
+		 * receive it in the order they were registered.
+		 * @type number
+		 * @default 0
+		 */
+		this.priority = 0;
+
+		/*
+		 * The world time of the last Message passed to the handler (for
+		 * throttling).
+		 * @type number
+		 */
+		this._lastTime = null;
+
+		/*
+		 * The pending delivery of the last Message (for debouncing).
+		 * @type Object
+		 */
+		this._debounced = null;
 	};
 
 	/*
@@ -271,6 +410,7 @@
 		}
 
 		var names = ['_dispatchId', 'name', 'func', 'args'],
+			delivery = ['delay', 'throttle', 'debounce', 'priority'],
 			props = [
 				{
 					name: 'handler',
@@ -287,6 +427,18 @@
 			});
 		}
 
+		// Only save delivery options that are set so older Octane stays the same
+		for (var i = 0, il = delivery.length; i < il; ++i) {
+			var name = delivery[i];
+
+			if (this[name] !== 0) {
+				props.push({
+					name: name,
+					val: this[name]
+				});
+			}
+		}
+
 		return props;
 	};
 
@@ -329,6 +481,20 @@
 		return octane;
 	};
 
+	/**
+	 * Register an existing MessageTarget with the given specifications, such as a MessageTarget
+	 * that was removed earlier or restored from Octane. Its dispatch id is kept.
+	 * 
+	 * @param {hemi.dispatch.MessageTarget} target the MessageTarget to register
+	 * @param {number} src id of the Message originator to handle Messages for
+	 * @param {string} msg type of Message to handle
+	 * @param {Object} opt_filter optional filter for the Message originator's type and name
+	 */
+	hemi.dispatch.addTarget = function(target, src, msg, opt_filter) {
+		var spec = createSpec(src, msg, opt_filter);
+		spec.addTarget(target);
+	};
+
 	/**
 	 * Check to see what the next id to assign will be without incrementing the Dispatch's nextId
 	 * token.
@@ -348,6 +514,53 @@
 		});
 
 		msgSpecs.clear();
+		patternSpecs = null;
+
+		// MessageTargets must not hold on to deliveries that are no longer pending
+		for (var i = 0, il = pending.length; i < il; ++i) {
+			var target = pending[i].target;
+
+			if (target && target._debounced === pending[i]) {
+				target._debounced = null;
+			}
+		}
+
+		pending = [];
+		throttleTime = worldTime;
+		hemi.removeRenderListener(clock);
+	};
+
+	/**
+	 * Advance world time by the given number of milliseconds and deliver any delayed Messages that
+	 * are due. This is called by the render loop while deliveries are pending.
+	 * 
+	 * @param {number} elapsed milliseconds of world time that passed
+	 */
+	hemi.dispatch.deliverPending = function(elapsed) {
+		worldTime += elapsed;
+
+		while (pending.length > 0 && pending[0].time <= worldTime) {
+			var delivery = pending.shift();
+
+			if (delivery.target) {
+				var target = delivery.target;
+
+				if (target._debounced === delivery) {
+					target._debounced = null;
+				}
+
+				// The MessageTarget may have been cleaned up while it was waiting
+				if (target.handler !== null) {
+					callTarget(target, delivery.message);
+				}
+			} else {
+				this.postMessage(delivery.src, delivery.msg, delivery.data);
+			}
+		}
+
+		if (pending.length === 0 && worldTime >= throttleTime) {
+			hemi.removeRenderListener(clock);
+		}
 	};
 
 	/**
@@ -359,11 +572,24 @@
 		return nextId++;
 	};
 
+	/**
+	 * Get the MessageSpec with exactly the given source id, Message type and source filter.
+	 * 
+	 * @param {number} src id of the Message originator
+	 * @param {string} msg type of Message
+	 * @param {Object} opt_filter optional filter for the Message originator's type and name
+	 * @return {hemi.dispatch.MessageSpec} the found MessageSpec or null
+	 */
+	hemi.dispatch.getSpec = function(src, msg, opt_filter) {
+		return msgSpecs.get(getHash(src, msg, opt_filter || null));
+	};
+
 	/**
 	 * Get any MessageSpecs with the given attributes. If no attributes are given, all MessageSpecs
 	 * will be returned. Valid attributes are:
 	 * - src
 	 * - msg
+	 * - filter (the MessageSpec's own filter object or null)
 	 * 
 	 * @param {Object} attributes optional structure with the attributes to search for
 	 * @param {boolean} wildcards flag indicating if wildcard values should be included in the
@@ -402,6 +628,10 @@
 				}
 			}
 
+			if (attributes.filter !== undefined) {
+				atts.filter = attributes.filter;
+			}
+
 			specs = msgSpecs.query(atts);
 		}
 
@@ -546,57 +776,83 @@
 			var entry = entries[i];
 			msgSpecs.put(entry.getHash(), entry);
 		}
+
+		patternSpecs = null;
+	};
+
+	/**
+	 * Check if the given value matches the given pattern (see hemi.dispatch.PATTERN_CHARS). The
+	 * pattern hemi.dispatch.WILDCARD matches any value.
+	 * 
+	 * @param {string} pattern the pattern to match
+	 * @param {string} value the value to check
+	 * @return {boolean} true if the value matches the pattern
+	 */
+	hemi.dispatch.matchPattern = function(pattern, value) {
+		if (pattern === hemi.dispatch.WILDCARD || pattern === value) {
+			return true;
+		} else if (typeof value !== 'string' || !hemi.dispatch.PATTERN_CHARS.test(pattern)) {
+			return false;
+		}
+
+		var regex = patternCache[pattern];
+
+		if (regex === undefined) {
+			regex = patternCache[pattern] = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g,
+				'\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+		}
+
+		return regex.test(value);
 	};
 
 	/**
 	 * Create a Message from the given attributes and send it to all MessageTargets with matching
-	 * source id and message type.
+	 * source id and message type. MessageTargets receive the Message in order of priority until one
+	 * of them stops its propagation.
 	 * 
 	 * @param {hemi.world.Citizen} src the Message originator
 	 * @param {string} msg type of Message to send
 	 * @param {Object} data container for any and all information relevant to the Message
+	 * @param {number} opt_delay optional milliseconds of world time to wait before sending
 	 */
-	hemi.dispatch.postMessage = function(src, msg, data) {
+	hemi.dispatch.postMessage = function(src, msg, data, opt_delay) {
+		if (opt_delay > 0) {
+			schedule({
+				time: worldTime + opt_delay,
+				src: src,
+				msg: msg,
+				data: data
+			});
+			return;
+		}
+
 		var message = new hemi.dispatch.Message(),
 			id = src._getId();
 
 		message.src = src;
 		message.msg = msg;
 		message.data = data;
+		hemi._handleClockMessage(message);
 
-		var specs = this.getSpecsFast(id, msg, true);
+		var specs = this.getSpecsFast(id, msg, true),
+			patterns = getPatternSpecs();
 
-		for (var i = 0, il = specs.length; i < il; ++i) {
-			// Make a local copy of the array in case it gets modified while
-			// sending the message (such as a MessageHandler unsubscribes itself
-			// or another one as part of its handle).
-			var targets = specs[i].targets.slice(0);
-			
-			for (var j = 0, jl = targets.length; j < jl; ++j) {
-				var msgTarget = targets[j],
-					args, func;
-				
-				if (msgTarget.args !== null) {
-					// Parse the specified arguments from the Message.
-					args = this.getArguments(message, msgTarget.args);
-				} else {
-					// No arguments specified, so just pass the Message.
-					args = [message];
-				}
+		for (var i = 0, il = patterns.length; i < il; ++i) {
+			var pattern = patterns[i];
 
-				if (msgTarget.func) {
-					// The handler is an object. Use the specified function to
-					// handle the Message.
-					func = msgTarget.handler[msgTarget.func];
-				}
-				else {
-					// The handler is a function. Just pass it the arguments.
-					func = msgTarget.handler;
-				}
-
-				func.apply(msgTarget.handler, args);
+			if (specs.indexOf(pattern) === -1 && pattern.matches(src, msg)) {
+				specs.push(pattern);
 			}
 		}
+
+		// Make a local copy of the targets in case they get modified while
+		// sending the message (such as a MessageHandler unsubscribes itself
+		// or another one as part of its handle).
+		var targets = sortTargets(specs);
+
+		for (var i = 0, il = targets.length; i < il && !message.stopped; ++i) {
+			deliver(targets[i], message);
+		}
 	};
 
 	/**
@@ -609,10 +865,12 @@
 	 * @param {string} opt_func name of the function to call if handler is an object
 	 * @param {string[]} opt_args optional array to specify arguments to pass to opt_func. Otherwise
 	 *     the entire Message is just passed in.
+	 * @param {Object} opt_filter optional filter for the Message originator's type and name (see
+	 *     hemi.dispatch.MessageSpec)
 	 * @return {hemi.dispatch.MessageTarget} the created MessageTarget
 	 */
-	hemi.dispatch.registerTarget = function(src, msg, handler, opt_func, opt_args) {
-		var spec = createSpec(src, msg),
+	hemi.dispatch.registerTarget = function(src, msg, handler, opt_func, opt_args, opt_filter) {
+		var spec = createSpec(src, msg, opt_filter),
 			msgTarget = new hemi.dispatch.MessageTarget();
 
 		msgTarget._dispatchId = this.getNextId();
@@ -651,6 +909,8 @@
 			if (spec) removed.push(spec);
 		}
 
+		patternSpecs = null;
+
 		return removed;
 	};
 
@@ -752,8 +1012,9 @@
 	 * @param {hemi.dispatch.MessageTarget} target the MessageTarget to register
 	 * @param {number} src id of the Message originator to handle Messages for
 	 * @param {string} msg type of Message to handle
+	 * @param {Object} opt_filter optional filter for the Message originator's type and name
 	 */
-	hemi.dispatch.setTargetSpec = function(target, src, msg) {
+	hemi.dispatch.setTargetSpec = function(target, src, msg, opt_filter) {
 		var spec = this.getTargetSpec(target);
 
 		if (spec !== null) {
@@ -762,7 +1023,7 @@
 			console.log('Previous MessageSpec for MessageTarget not found');
 		}
 
-		spec = createSpec(src, msg);
+		spec = createSpec(src, msg, opt_filter);
 		spec.addTarget(target);
 	};
 
@@ -807,6 +1068,33 @@
 		return args;
 	};
 
+	/**
+	 * Convert the given value into data that can be saved or sent as JSON, the reverse of
+	 * getArguments. Citizens are replaced by their world ids in the 'id:' argument format and
+	 * anything that cannot be converted is null.
+	 * 
+	 * @param {Object} value the value to convert
+	 * @return {Object} the converted value
+	 */
+	hemi.dispatch.toArguments = function(value) {
+		if (value === undefined) {
+			return null;
+		}
+
+		try {
+			return JSON.parse(JSON.stringify(value, function(key, val) {
+				if (val && val._getId && val._worldId !== undefined) {
+					return hemi.dispatch.ID_ARG + val._getId();
+				}
+
+				return val;
+			}));
+		} catch (e) {
+			// Circular structures like THREE objects
+			return null;
+		}
+	};
+
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // Wildcard functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -827,6 +1115,7 @@
 	hemi._resetMsgSpecs = function(opt_specs) {
 		var oldSpecs = msgSpecs;
 		msgSpecs = opt_specs || new hemi.utils.Hashtable();
+		patternSpecs = null;
 		return oldSpecs;
 	};
 
@@ -836,9 +1125,10 @@
 	 * 
 	 * @param {string} type type of Message
 	 * @param {Object} data container for any and all information relevant to the Message
+	 * @param {number} opt_delay optional milliseconds of world time to wait before sending
 	 */
-	hemi.send = function(type, data) {
-		hemi.dispatch.postMessage(anon, type, data);
+	hemi.send = function(type, data, opt_delay) {
+		hemi.dispatch.postMessage(anon, type, data, opt_delay);
 	};
 
 	/**
@@ -877,31 +1167,195 @@
 // Utility functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 
+	/*
+	 * Pass the given Message to the handler of the given MessageTarget.
+	 * 
+	 * @param {hemi.dispatch.MessageTarget} msgTarget the MessageTarget to call
+	 * @param {hemi.dispatch.Message} message the Message to pass
+	 */
+	function callTarget(msgTarget, message) {
+		var args, func;
+
+		if (msgTarget.args !== null) {
+			// Parse the specified arguments from the Message.
+			args = hemi.dispatch.getArguments(message, msgTarget.args);
+		} else {
+			// No arguments specified, so just pass the Message.
+			args = [message];
+		}
+
+		if (msgTarget.func) {
+			// The handler is an object. Use the specified function to
+			// handle the Message.
+			func = msgTarget.handler[msgTarget.func];
+		}
+		else {
+			// The handler is a function. Just pass it the arguments.
+			func = msgTarget.handler;
+		}
+
+		func.apply(msgTarget.handler, args);
+	}
+
 	/*
 	 * Get the MessageSpec with the given attributes or create one if it does not already exist.
 	 * 
 	 * @param {number} src id of the Message originator to handle Messages for
 	 * @param {string} msg type of Message to handle
+	 * @param {Object} opt_filter optional filter for the Message originator's type and name
 	 * @return {hemi.dispatch.MessageSpec} the created/found MessageSpec
 	 */
-	function createSpec(src, msg) {
-		var specs = hemi.dispatch.getSpecsFast(src, msg, false),
-			spec;
+	function createSpec(src, msg, opt_filter) {
+		var filter = opt_filter || null,
+			spec = hemi.dispatch.getSpec(src, msg, filter);
 
-		if (specs.length === 0) {
+		if (spec === null) {
 			spec = new hemi.dispatch.MessageSpec();
 			spec.src = src;
 			spec.msg = msg;
+			spec.filter = filter;
 			msgSpecs.put(spec.getHash(), spec);
+
+			if (spec.isPattern()) {
+				patternSpecs = null;
+			}
+		}
+
+		return spec;
+	}
+
+	/*
+	 * Pass the given Message to the given MessageTarget now or later, depending on the
+	 * MessageTarget's debounce, throttle and delay.
+	 * 
+	 * @param {hemi.dispatch.MessageTarget} msgTarget the MessageTarget to deliver to
+	 * @param {hemi.dispatch.Message} message the Message to deliver
+	 */
+	function deliver(msgTarget, message) {
+		if (msgTarget.debounce > 0) {
+			var ndx = msgTarget._debounced === null ? -1 : pending.indexOf(msgTarget._debounced);
+
+			if (ndx !== -1) {
+				pending.splice(ndx, 1);
+			}
+
+			msgTarget._debounced = schedule({
+				time: worldTime + msgTarget.debounce + msgTarget.delay,
+				target: msgTarget,
+				message: message
+			});
+		} else if (msgTarget.throttle > 0 && msgTarget._lastTime !== null &&
+				worldTime - msgTarget._lastTime < msgTarget.throttle) {
+			// Ignore the Message
 		} else {
-			if (specs.length > 1) {
-				console.log('Found ' + specs.length + ' MessageSpecs with the same src and msg.');
+			msgTarget._lastTime = worldTime;
+
+			if (msgTarget.throttle > 0 && worldTime + msgTarget.throttle > throttleTime) {
+				// Keep world time moving until the throttle window closes
+				throttleTime = worldTime + msgTarget.throttle;
+				hemi.addRenderListener(clock);
 			}
 
-			spec = specs[0];
+			if (msgTarget.delay > 0) {
+				schedule({
+					time: worldTime + msgTarget.delay,
+					target: msgTarget,
+					message: message
+				});
+			} else {
+				callTarget(msgTarget, message);
+			}
 		}
+	}
 
-		return spec;
+	/*
+	 * Get the hash key for a MessageSpec with the given attributes.
+	 * 
+	 * @param {number} src id of the Message originator
+	 * @param {string} msg type of Message
+	 * @param {Object} filter filter for the Message originator or null
+	 * @return {string} the hash key
+	 */
+	function getHash(src, msg, filter) {
+		var hash = msg + src;
+
+		if (filter !== null) {
+			hash += JSON.stringify([filter.type, filter.name]);
+		}
+
+		return hash;
+	}
+
+	/*
+	 * Add the given delivery to the pending deliveries in order of time and make sure the render
+	 * loop advances world time.
+	 * 
+	 * @param {Object} delivery the delivery with its world time
+	 * @return {Object} the delivery
+	 */
+	function schedule(delivery) {
+		var ndx = pending.length;
+
+		while (ndx > 0 && pending[ndx - 1].time > delivery.time) {
+			--ndx;
+		}
+
+		pending.splice(ndx, 0, delivery);
+		hemi.addRenderListener(clock);
+		return delivery;
+	}
+
+	/*
+	 * Get the MessageTargets of the given MessageSpecs in the order they should receive a Message:
+	 * highest priority first and then in the order they were registered.
+	 * 
+	 * @param {hemi.dispatch.MessageSpec[]} specs the MessageSpecs matching the Message
+	 * @return {hemi.dispatch.MessageTarget[]} a new array of the sorted MessageTargets
+	 */
+	function sortTargets(specs) {
+		var targets = [],
+			prioritized = false;
+
+		for (var i = 0, il = specs.length; i < il; ++i) {
+			var specTargets = specs[i].targets;
+
+			for (var j = 0, jl = specTargets.length; j < jl; ++j) {
+				prioritized = prioritized || specTargets[j].priority !== 0;
+				targets.push(specTargets[j]);
+			}
+		}
+
+		if (prioritized) {
+			// Array sort is not stable in every browser, so sort by index for equal priorities
+			var order = targets.slice(0);
+
+			targets.sort(function(a, b) {
+				return (b.priority - a.priority) || (order.indexOf(a) - order.indexOf(b));
+			});
+		}
+
+		return targets;
+	}
+
+	/*
+	 * Get the MessageSpecs that have to be matched against every Message, rebuilding the cached
+	 * array if the Dispatch has changed.
+	 * 
+	 * @return {hemi.dispatch.MessageSpec[]} the MessageSpecs with patterns or source filters
+	 */
+	function getPatternSpecs() {
+		if (patternSpecs === null) {
+			var specs = msgSpecs.values();
+			patternSpecs = [];
+
+			for (var i = 0, il = specs.length; i < il; ++i) {
+				if (specs[i].isPattern()) {
+					patternSpecs.push(specs[i]);
+				}
+			}
+		}
+
+		return patternSpecs;
 	}
 
 })();
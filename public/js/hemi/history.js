@@ -0,0 +1,735 @@
+/*
+ * Licensed under the MIT license: http://www.opensource.org/licenses/mit-license.php
+ * The MIT License (MIT)
+ * 
+ * Copyright (c) 2011 SRI International
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated  documentation files (the "Software"), to deal in the Software without restriction,
+ * including without limitation the rights to use, copy, modify, merge, publish, distribute,
+ * sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the  Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+ * NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+ * DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function() {
+
+		/* Commands that can be undone, most recent last */
+	var undoStack = [],
+
+		/* Commands that have been undone and can be redone, most recent last */
+		redoStack = [],
+
+		/* Groups that are open, innermost last */
+		groups = [],
+
+		/* The maximum number of commands to keep */
+		limit = 100,
+
+		/* Flag indicating if a command is being undone or redone */
+		applying = false,
+
+		/* The Citizens and dispatch changes made by the command being undone or redone */
+		effects = null;
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Global functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @namespace A module for undoing and redoing changes to the World. Each change is recorded as
+	 * a command with the structure:
+	 * <pre>
+	 * {
+	 *     name: optional description of the change, such as 'Move box'
+	 *     undo: function that reverses the change
+	 *     redo: function that makes the change again
+	 * }
+	 * </pre>
+	 * Commands refer to Citizens by world id, so they keep working after a removed Citizen is
+	 * restored by undo. Commands recorded between beginGroup and endGroup are undone and redone as
+	 * one step.
+	 */
+	hemi.history = hemi.history || {};
+
+	/**
+	 * Start a group of commands that are undone and redone as one step, such as all of the moves
+	 * of a drag. Groups may be nested. Nothing can be undone or redone while a group is open.
+	 * 
+	 * @param {string} opt_name optional description of the group
+	 */
+	hemi.history.beginGroup = function(opt_name) {
+		groups.push({
+			name: opt_name || '',
+			commands: []
+		});
+	};
+
+	/**
+	 * Save the current Octane of the given Citizen so that changes to its properties can be
+	 * recorded by hemi.history.endEdit. Only val, id and oct properties are restored by undo and
+	 * redo. Properties stored by arg call functions such as setFileName or addUrl that are not safe
+	 * to call again, so changes to them should be recorded by removing and creating the Citizen.
+	 * 
+	 * @param {hemi.world.Citizen} citizen the Citizen about to be changed
+	 * @param {string} opt_name optional description of the change
+	 * @return {Object} the edit to pass to hemi.history.endEdit
+	 */
+	hemi.history.beginEdit = function(citizen, opt_name) {
+		return {
+			name: opt_name || 'Edit ' + (citizen.name || citizen._octaneType),
+			id: citizen._getId(),
+			save: getDataOctane,
+			restore: function(cit, state) {
+				hemi.applyOctane(cit, JSON.parse(state));
+			},
+			before: getDataOctane(citizen)
+		};
+	};
+
+	/**
+	 * Save the current MessageTargets in the dispatch so that behaviors added, removed or changed
+	 * can be recorded by hemi.history.endEdit. Only MessageTargets that can be saved to Octane are
+	 * tracked.
+	 * 
+	 * @param {string} opt_name optional description of the change
+	 * @return {Object} the edit to pass to hemi.history.endEdit
+	 */
+	hemi.history.beginDispatchEdit = function(opt_name) {
+		return {
+			name: opt_name || 'Edit behaviors',
+			id: null,
+			save: function() {
+				return JSON.stringify(getDispatchState());
+			},
+			restore: function(cit, state) {
+				setDispatchState(JSON.parse(state));
+			},
+			before: JSON.stringify(getDispatchState())
+		};
+	};
+
+	/**
+	 * Save the current position, rotation and scale of the given Transform so that moving,
+	 * turning or resizing it can be recorded by hemi.history.endEdit.
+	 * 
+	 * @param {hemi.Transform} transform the Transform about to be changed
+	 * @param {string} opt_name optional description of the change
+	 * @return {Object} the edit to pass to hemi.history.endEdit
+	 */
+	hemi.history.beginTransformEdit = function(transform, opt_name) {
+		return {
+			name: opt_name || 'Transform ' + transform.name,
+			id: transform._getId(),
+			save: function(tran) {
+				return JSON.stringify(getTransformState(tran));
+			},
+			restore: function(tran, state) {
+				setTransformState(tran, JSON.parse(state));
+			},
+			before: JSON.stringify(getTransformState(transform))
+		};
+	};
+
+	/**
+	 * Check if there is a command to redo.
+	 * 
+	 * @return {boolean} true if hemi.history.redo will redo a command
+	 */
+	hemi.history.canRedo = function() {
+		return groups.length === 0 && redoStack.length > 0;
+	};
+
+	/**
+	 * Check if there is a command to undo.
+	 * 
+	 * @return {boolean} true if hemi.history.undo will undo a command
+	 */
+	hemi.history.canUndo = function() {
+		return groups.length === 0 && undoStack.length > 0;
+	};
+
+	/**
+	 * Forget all recorded commands and close any open groups. This is done when the World is
+	 * cleaned up since the commands refer to Citizens that no longer exist.
+	 */
+	hemi.history.clear = function() {
+		undoStack = [];
+		redoStack = [];
+		groups = [];
+		hemi.send(hemi.msg.history, getMessageData('clear', ''));
+	};
+
+	/**
+	 * Record the changes made since the given edit began if there are any. All of the changes are
+	 * recorded as a single command, so an edit that spans a drag is undone in one step.
+	 * 
+	 * @param {Object} edit the edit returned by beginEdit, beginTransformEdit or beginDispatchEdit
+	 * @return {boolean} true if there were changes to record
+	 */
+	hemi.history.endEdit = function(edit) {
+		var cit = edit.id === null ? null : hemi.world.getCitizenById(edit.id),
+			before = edit.before,
+			after = edit.save(cit),
+			id = edit.id,
+			restore = edit.restore;
+
+		if (before === after) {
+			return false;
+		}
+
+		hemi.history.record({
+			name: edit.name,
+			undo: function() {
+				applyEdit(id, restore, before);
+			},
+			redo: function() {
+				applyEdit(id, restore, after);
+			}
+		});
+
+		return true;
+	};
+
+	/**
+	 * Close the most recently opened group and record its commands as one command.
+	 */
+	hemi.history.endGroup = function() {
+		var group = groups.pop();
+
+		if (group === undefined) {
+			console.log('No history group to end');
+		} else if (group.commands.length > 0) {
+			var commands = group.commands;
+
+			hemi.history.record({
+				name: group.name || commands[commands.length - 1].name,
+				undo: function() {
+					for (var i = commands.length - 1; i >= 0; --i) {
+						commands[i].undo();
+					}
+				},
+				redo: function() {
+					for (var i = 0, il = commands.length; i < il; ++i) {
+						commands[i].redo();
+					}
+				}
+			});
+		}
+	};
+
+	/**
+	 * Make the change in the given command and record it.
+	 * 
+	 * @param {Object} command the command to make and record
+	 */
+	hemi.history.execute = function(command) {
+		command.redo();
+		hemi.history.record(command);
+	};
+
+	/**
+	 * Get the name of the command that hemi.history.redo will redo.
+	 * 
+	 * @return {string} the name of the command or null if there is nothing to redo
+	 */
+	hemi.history.getRedoName = function() {
+		return redoStack.length > 0 ? redoStack[redoStack.length - 1].name || '' : null;
+	};
+
+	/**
+	 * Get the name of the command that hemi.history.undo will undo.
+	 * 
+	 * @return {string} the name of the command or null if there is nothing to undo
+	 */
+	hemi.history.getUndoName = function() {
+		return undoStack.length > 0 ? undoStack[undoStack.length - 1].name || '' : null;
+	};
+
+	/**
+	 * Check if a command is being undone or redone. Changes made at that time are not recorded.
+	 * 
+	 * @return {boolean} true if a command is being undone or redone
+	 */
+	hemi.history.isApplying = function() {
+		return applying;
+	};
+
+	/**
+	 * Record a change that has already been made. Recording a new change clears the commands that
+	 * could be redone. Changes made while a command is undone or redone are ignored.
+	 * 
+	 * @param {Object} command the command to record
+	 */
+	hemi.history.record = function(command) {
+		if (applying) {
+			return;
+		}
+
+		if (groups.length > 0) {
+			groups[groups.length - 1].commands.push(command);
+		} else {
+			undoStack.push(command);
+			redoStack = [];
+
+			if (undoStack.length > limit) {
+				undoStack.splice(0, undoStack.length - limit);
+			}
+
+			hemi.send(hemi.msg.history, getMessageData('record', command.name));
+		}
+	};
+
+	/**
+	 * Record the creation of the given Citizen (and any Transforms under it). Undo removes the
+	 * Citizen along with its behaviors and redo restores them.
+	 * 
+	 * @param {hemi.world.Citizen} citizen the Citizen that was created
+	 * @param {string} opt_name optional description of the change
+	 */
+	hemi.history.recordCreate = function(citizen, opt_name) {
+		var id = citizen._getId(),
+			snapshot = null;
+
+		hemi.history.record({
+			name: opt_name || 'Create ' + (citizen.name || citizen._octaneType),
+			undo: function() {
+				snapshot = removeCitizen(hemi.world.getCitizenById(id));
+			},
+			redo: function() {
+				restoreCitizen(snapshot);
+			}
+		});
+	};
+
+	/**
+	 * Redo the most recently undone command.
+	 * 
+	 * @return {Object} structure with the created, removed and changed Citizens arrays and a
+	 *     dispatch flag indicating if MessageTargets changed, or null if nothing was redone
+	 */
+	hemi.history.redo = function() {
+		if (!hemi.history.canRedo()) {
+			return null;
+		}
+
+		var command = redoStack.pop(),
+			result = apply(command, 'redo');
+
+		undoStack.push(command);
+		hemi.send(hemi.msg.history, getMessageData('redo', command.name, result));
+		return result;
+	};
+
+	/**
+	 * Record the removal of the given Citizen (and any Transforms under it) before the caller
+	 * cleans it up. Undo restores it along with the MessageTargets that are removed with it.
+	 * 
+	 * @param {hemi.world.Citizen} citizen the Citizen about to be removed
+	 * @param {string} opt_name optional description of the change
+	 */
+	hemi.history.recordRemove = function(citizen, opt_name) {
+		var name = opt_name || 'Remove ' + (citizen.name || citizen._octaneType),
+			snapshot = getSnapshot(citizen);
+
+		hemi.history.record({
+			name: name,
+			undo: function() {
+				restoreCitizen(snapshot);
+			},
+			redo: function() {
+				snapshot = removeCitizen(hemi.world.getCitizenById(snapshot.ids[0]));
+			}
+		});
+	};
+
+	/**
+	 * Remove the given Citizen (and any Transforms under it) from the World and record it so that
+	 * undo restores it along with the MessageTargets that were removed with it.
+	 * 
+	 * @param {hemi.world.Citizen} citizen the Citizen to remove
+	 * @param {string} opt_name optional description of the change
+	 */
+	hemi.history.remove = function(citizen, opt_name) {
+		hemi.history.recordRemove(citizen, opt_name);
+		citizen.cleanup();
+	};
+
+	/**
+	 * Set the maximum number of commands to keep. The oldest commands are forgotten first.
+	 * 
+	 * @param {number} max the maximum number of commands to keep
+	 */
+	hemi.history.setLimit = function(max) {
+		limit = max;
+
+		if (undoStack.length > limit) {
+			undoStack.splice(0, undoStack.length - limit);
+		}
+	};
+
+	/**
+	 * Undo the most recently recorded (or redone) command.
+	 * 
+	 * @return {Object} structure with the created, removed and changed Citizens arrays and a
+	 *     dispatch flag indicating if MessageTargets changed, or null if nothing was undone
+	 */
+	hemi.history.undo = function() {
+		if (!hemi.history.canUndo()) {
+			return null;
+		}
+
+		var command = undoStack.pop(),
+			result = apply(command, 'undo');
+
+		redoStack.push(command);
+		hemi.send(hemi.msg.history, getMessageData('undo', command.name, result));
+		return result;
+	};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Utility functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Add the given Citizens to the list of Citizens affected by the command being applied.
+	 * 
+	 * @param {string} type 'created', 'removed' or 'changed'
+	 * @param {hemi.world.Citizen[]} citizens the affected Citizens
+	 */
+	function addEffect(type, citizens) {
+		if (effects !== null) {
+			effects[type] = effects[type].concat(citizens);
+		}
+	}
+
+	/*
+	 * Undo or redo the given command and collect the Citizens it affected.
+	 * 
+	 * @param {Object} command the command to apply
+	 * @param {string} action 'undo' or 'redo'
+	 * @return {Object} the Citizens and dispatch changes made by the command
+	 */
+	function apply(command, action) {
+		var result = effects = {
+			created: [],
+			removed: [],
+			changed: [],
+			dispatch: false
+		};
+
+		applying = true;
+
+		try {
+			command[action]();
+		} finally {
+			applying = false;
+			effects = null;
+		}
+
+		return result;
+	}
+
+	/*
+	 * Restore the state saved by an edit.
+	 * 
+	 * @param {number} id world id of the edited Citizen or null for a dispatch edit
+	 * @param {function(Object, string):void} restore the edit's restore function
+	 * @param {string} state the saved state to restore
+	 */
+	function applyEdit(id, restore, state) {
+		var cit = id === null ? null : hemi.world.getCitizenById(id);
+
+		if (id !== null && cit === null) {
+			return;
+		}
+
+		restore(cit, state);
+
+		if (cit === null) {
+			if (effects !== null) {
+				effects.dispatch = true;
+			}
+		} else {
+			addEffect('changed', [cit]);
+		}
+	}
+
+	/*
+	 * Create an object from Octane that the history saved itself. The Octane is already in the
+	 * current format, so it is marked as such to keep it from being migrated again.
+	 * 
+	 * @param {Object} octane the saved Octane (it is not modified)
+	 * @return {Object} the created object
+	 */
+	function fromOwnOctane(octane) {
+		var current = {
+				octaneVersion: hemi.octaneVersion
+			};
+
+		for (var key in octane) {
+			current[key] = octane[key];
+		}
+
+		return hemi.fromOctane(current);
+	}
+
+	/*
+	 * Get the Octane of the given Citizen without its arg properties.
+	 * 
+	 * @param {hemi.world.Citizen} citizen the Citizen to get the Octane of
+	 * @return {string} the Octane as a JSON string
+	 */
+	function getDataOctane(citizen) {
+		var octane = citizen._toOctane(),
+			props = [];
+
+		for (var i = 0, il = octane.props.length; i < il; ++i) {
+			if (octane.props[i].arg === undefined) {
+				props.push(octane.props[i]);
+			}
+		}
+
+		octane.props = props;
+		return JSON.stringify(octane);
+	}
+
+	/*
+	 * Get the state of all of the MessageTargets that can be saved to Octane.
+	 * 
+	 * @return {Object} map of dispatch id to structure with src, msg, filter, handler id and
+	 *     Octane
+	 */
+	function getDispatchState() {
+		var specs = hemi.dispatch.getSpecs(),
+			state = {};
+
+		for (var i = 0, il = specs.length; i < il; ++i) {
+			var spec = specs[i];
+
+			for (var j = 0, jl = spec.targets.length; j < jl; ++j) {
+				var target = spec.targets[j];
+
+				// Checking first avoids the error MessageTarget logs for unsavable handlers
+				if (target.handler._getId) {
+					state[target._dispatchId] = {
+						src: spec.src,
+						msg: spec.msg,
+						filter: spec.filter,
+						handler: target.handler._getId(),
+						octane: target._toOctane()
+					};
+				}
+			}
+		}
+
+		return state;
+	}
+
+	/*
+	 * Get the data for a hemi.msg.history Message.
+	 * 
+	 * @param {string} action 'record', 'undo', 'redo' or 'clear'
+	 * @param {string} name name of the command
+	 * @param {Object} opt_result optional Citizens and dispatch changes made by the command
+	 * @return {Object} the Message data
+	 */
+	function getMessageData(action, name, opt_result) {
+		var result = opt_result || {
+				created: [],
+				removed: [],
+				changed: [],
+				dispatch: false
+			};
+
+		return {
+			action: action,
+			name: name || '',
+			canUndo: hemi.history.canUndo(),
+			canRedo: hemi.history.canRedo(),
+			created: result.created,
+			removed: result.removed,
+			changed: result.changed,
+			dispatch: result.dispatch
+		};
+	}
+
+	/*
+	 * Get the position, rotation and scale of the given Transform.
+	 * 
+	 * @param {hemi.Transform} transform the Transform to get the state of
+	 * @return {Object} the Transform's state
+	 */
+	function getTransformState(transform) {
+		var pos = transform.position,
+			rot = transform.rotation,
+			quat = transform.quaternion,
+			scale = transform.scale;
+
+		return {
+			position: [pos.x, pos.y, pos.z],
+			rotation: [rot.x, rot.y, rot.z],
+			quaternion: [quat.x, quat.y, quat.z, quat.w],
+			scale: [scale.x, scale.y, scale.z],
+			useQuaternion: transform.useQuaternion
+		};
+	}
+
+	/*
+	 * Save what is needed to restore the given Citizen and any Transforms under it after they are
+	 * removed. This includes the MessageTargets that cleaning them up removes: those handling
+	 * Messages from them and those they are the handler of.
+	 * 
+	 * @param {hemi.world.Citizen} citizen the Citizen about to be removed
+	 * @return {Object} the snapshot to pass to restoreCitizen
+	 */
+	function getSnapshot(citizen) {
+		var citizens = citizen.getAllChildren ? citizen.getAllChildren([citizen]) : [citizen],
+			parent = citizen.parent || null,
+			state = getDispatchState(),
+			ids = {},
+			snapshot = {
+				ids: [],
+				octane: [],
+				sources: citizens,
+				parent: parent !== null && parent._getId ? parent._getId() : parent,
+				targets: {}
+			};
+
+		for (var i = 0, il = citizens.length; i < il; ++i) {
+			var id = citizens[i]._getId();
+			ids[id] = true;
+			snapshot.ids.push(id);
+			snapshot.octane.push(JSON.stringify(citizens[i]._toOctane()));
+		}
+
+		for (var dispatchId in state) {
+			var target = state[dispatchId];
+
+			if (ids[target.src] || ids[target.handler]) {
+				snapshot.targets[dispatchId] = target;
+			}
+		}
+
+		return snapshot;
+	}
+
+	/*
+	 * Remove the given Citizen and any Transforms under it from the World, saving what is needed to
+	 * restore them.
+	 * 
+	 * @param {hemi.world.Citizen} citizen the Citizen to remove
+	 * @return {Object} the snapshot to pass to restoreCitizen
+	 */
+	function removeCitizen(citizen) {
+		var snapshot = getSnapshot(citizen);
+
+		// Cleaning up a Transform also cleans up the Transforms under it
+		citizen.cleanup();
+
+		for (var id in snapshot.targets) {
+			if (effects !== null) {
+				effects.dispatch = true;
+			}
+		}
+
+		addEffect('removed', snapshot.sources);
+		return snapshot;
+	}
+
+	/*
+	 * Restore the Citizens and MessageTargets saved by removeCitizen with their original ids.
+	 * 
+	 * @param {Object} snapshot the snapshot from removeCitizen
+	 */
+	function restoreCitizen(snapshot) {
+		var citizens = [],
+			parent = typeof snapshot.parent === 'number' ?
+				hemi.world.getCitizenById(snapshot.parent) : snapshot.parent;
+
+		// Restore the Transforms under the Citizen first so its children can be resolved
+		for (var i = snapshot.octane.length - 1; i >= 0; --i) {
+			citizens[i] = fromOwnOctane(JSON.parse(snapshot.octane[i]));
+		}
+
+		for (var i = 0, il = citizens.length; i < il; ++i) {
+			if (citizens[i] && citizens[i]._initClone) {
+				citizens[i]._initClone(snapshot.sources[i]);
+			}
+		}
+
+		if (parent && citizens[0] && !citizens[0].parent) {
+			parent.add(citizens[0]);
+		}
+
+		for (var id in snapshot.targets) {
+			var state = snapshot.targets[id];
+			hemi.dispatch.addTarget(fromOwnOctane(state.octane), state.src, state.msg,
+				state.filter);
+
+			if (effects !== null) {
+				effects.dispatch = true;
+			}
+		}
+
+		addEffect('created', citizens);
+	}
+
+	/*
+	 * Change the MessageTargets in the dispatch to match the given state. MessageTargets that are
+	 * not in the state are removed and missing or changed ones are restored from their Octane.
+	 * 
+	 * @param {Object} state the state from getDispatchState
+	 */
+	function setDispatchState(state) {
+		var current = getDispatchState();
+
+		for (var id in current) {
+			if (state[id] === undefined ||
+					JSON.stringify(state[id]) !== JSON.stringify(current[id])) {
+				hemi.dispatch.removeTargets({
+					_dispatchId: parseInt(id, 10)
+				});
+			}
+		}
+
+		for (var id in state) {
+			if (current[id] === undefined ||
+					JSON.stringify(state[id]) !== JSON.stringify(current[id])) {
+				var target = state[id];
+				hemi.dispatch.addTarget(fromOwnOctane(target.octane), target.src, target.msg,
+					target.filter);
+			}
+		}
+	}
+
+	/*
+	 * Set the position, rotation and scale of the given Transform.
+	 * 
+	 * @param {hemi.Transform} transform the Transform to set the state of
+	 * @param {Object} state the state from getTransformState
+	 */
+	function setTransformState(transform, state) {
+		var pos = state.position,
+			rot = state.rotation,
+			quat = state.quaternion,
+			scale = state.scale;
+
+		transform.position.set(pos[0], pos[1], pos[2]);
+		transform.rotation.set(rot[0], rot[1], rot[2]);
+		transform.quaternion.set(quat[0], quat[1], quat[2], quat[3]);
+		transform.scale.set(scale[0], scale[1], scale[2]);
+		transform.useQuaternion = state.useQuaternion;
+		transform.updateMatrix();
+		transform.updateMatrixWorld(true);
+	}
+
+})();
@@ -163,7 +163,8 @@
 
 	/**
 	 * Load the Octane file at the given URL. If an error occurs, an alert is  thrown. Otherwise the
-	 * loaded data is decoded into JSON and passed to the Octane module. If the Octane is for an
+	 * loaded data is decoded into JSON (and expanded if it is compact Octane) and passed to the
+	 * Octane module. If the Octane is for an
 	 * object, it is created and passed to the given optional callback. If the Octane is for a
 	 * World, the current World is cleaned up and the new World is created. The given optional
 	 * callback is then executed after hemi.ready().
@@ -171,8 +172,9 @@
 	 * @param {string} url the url of the file to load relative to the Kuda directory
 	 * @param {function([Object]):void} opt_callback an optional function to either pass the Object
 	 *     created or execute after the created World's ready function is called
+	 * @param {Object} opt_config optional configuration parameters for hemi.fromOctane
 	 */
-	hemi.loadOctane = function(url, opt_callback) {
+	hemi.loadOctane = function(url, opt_callback, opt_config) {
 		url = hemi.getLoadPath(url);
 		++taskCount;
 
@@ -186,13 +188,22 @@
 					data = JSON.parse(data);
 				}
 
+				if (hemi.isCompactOctane(data)) {
+					data = hemi.expandOctane(data);
+				}
+
 				if (!data.type) {
 					// Assume we are loading a full world from Octane
 					hemi._makeRenderers();
 					hemi.init();
 				}
 
-				var obj = hemi.fromOctane(data);
+				var obj = hemi.fromOctane(data, opt_config);
+
+				// A stopped load has already been passed to hemi.error
+				if (hemi.getLoadReport().aborted) {
+					return;
+				}
 
 				if (!data.type) {
 					hemi.ready();
@@ -57,6 +57,29 @@
 		 * data = { }
 		 */
 		cleanup: 'hemi.cleanup',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * hemi - the world clock is paused, resumed or changed (see hemi.pause)
+		 * data = {
+		 *     paused: (boolean) a flag indicating if the world clock is paused
+		 *     timeScale: (number) the factor that real time is multiplied by to get world time
+		 *     fixedStep: (boolean) a flag indicating if world time advances in fixed steps
+		 * }
+		 */
+		clock: 'hemi.clock',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * hemi.Scheduler - the Scheduler reaches the time of a cue
+		 * data = {
+		 *     name: (string) the name of the cue
+		 *     time: (number) the milliseconds after the Scheduler started that the cue fires at
+		 * }
+		 */
+		cue: 'hemi.cue',
 		/**
 		 * @type string
 		 * @constant
@@ -67,6 +90,23 @@
 		 * }
 		 */
 		enable: 'hemi.enable',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * hemi - a command is recorded, undone or redone or the history is cleared
+		 * data = {
+		 *     action: (string) 'record', 'undo', 'redo' or 'clear'
+		 *     name: (string) the name of the command
+		 *     canUndo: (boolean) a flag indicating if there is a command to undo
+		 *     canRedo: (boolean) a flag indicating if there is a command to redo
+		 *     created: (hemi.world.Citizen[]) Citizens restored by the undo or redo
+		 *     removed: (hemi.world.Citizen[]) Citizens removed by the undo or redo
+		 *     changed: (hemi.world.Citizen[]) Citizens changed by the undo or redo
+		 *     dispatch: (boolean) a flag indicating if MessageTargets changed
+		 * }
+		 */
+		history: 'hemi.history',
 		/**
 		 * @type string
 		 * @constant
@@ -121,6 +161,22 @@
 		 * data = { }
 		 */
 		load: 'hemi.load',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * hemi - Octane has finished loading (see hemi.getLoadReport)
+		 * data = {
+		 *     ok: (boolean) true if no problems were found
+		 *     aborted: (boolean) true if a problem stopped the load
+		 *     bestEffort: (boolean) true if problems were skipped instead of stopping the load
+		 *     missingTypes: ({type, id}[]) Octane with no type or an unknown type
+		 *     unresolvedIds: ({type, id, prop, ref}[]) references to missing Citizens
+		 *     failedProps: ({type, id, prop, error}[]) properties that threw an error
+		 *     missingMethods: ({type, id, prop}[]) arg properties with no such function
+		 * }
+		 */
+		loadReport: 'hemi.loadReport',
 		/**
 		 * @type string
 		 * @constant
@@ -136,6 +192,14 @@
 		 * }
 		 */
 		move: 'hemi.move',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * any source - sent to pause the world clock, such as while a HUD explanation is shown
+		 * data = { }
+		 */
+		pause: 'hemi.pause',
 		/**
 		 * @type string
 		 * @constant
@@ -184,6 +248,14 @@
 		 * }
 		 */
 		resize: 'hemi.resize',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * any source - sent to resume the world clock if it is paused
+		 * data = { }
+		 */
+		resume: 'hemi.resume',
 		/**
 		 * @type string
 		 * @constant
@@ -205,9 +277,18 @@
 		 * hemi.ParticleTrail - the ParticleTrail effect starts generating particles
 		 * data = { }
 		 * @example
+		 * hemi.Scheduler - the Scheduler starts
+		 * data = {
+		 *     time: (number) the milliseconds until the last cue fires
+		 * }
+		 * @example
+		 * hemi.StateMachine - the StateMachine is started
+		 * data = { }
+		 * @example
 		 * hemi.Timer - the Timer starts counting down
 		 * data = {
 		 *     time: (number) the milliseconds the Timer will count down for
+		 *     iteration: (number) the number of the count down, starting at 1
 		 * }
 		 * @example
 		 * hemi.Transform - the Transform starts a motion
@@ -235,15 +316,59 @@
 		 * hemi.ParticleTrail - the ParticleTrail effect stops generating particles
 		 * data = { }
 		 * @example
-		 * hemi.Timer - the Timer stops counting down
+		 * hemi.Scheduler - the Scheduler fires its last cue or is stopped
+		 * data = {
+		 *     time: (number) the milliseconds the Scheduler ran for
+		 * }
+		 * @example
+		 * hemi.StateMachine - the StateMachine is stopped
+		 * data = { }
+		 * @example
+		 * hemi.Timer - the Timer finishes a count down or is stopped
 		 * data = {
 		 *     time: (number) the milliseconds the Timer counted down
+		 *     iteration: (number) the number of the count down, starting at 1
+		 *     done: (boolean) a flag indicating if the Timer will not count down again
 		 * }
 		 * @example
 		 * hemi.Transform - the Transform finishes a motion
 		 * data = { }
 		 */
 		stop: 'hemi.stop',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * hemi.Timer - the Timer counts down by its tick time
+		 * data = {
+		 *     time: (number) the milliseconds the Timer has counted down
+		 *     remaining: (number) the milliseconds left in the count down
+		 *     iteration: (number) the number of the count down, starting at 1
+		 * }
+		 */
+		tick: 'hemi.tick',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * any source - sent to change the factor that real time is multiplied by to get world time
+		 * data = {
+		 *     scale: (number) the new time scale, such as 0.5 for slow motion
+		 * }
+		 */
+		timeScale: 'hemi.timeScale',
+		/**
+		 * @type string
+		 * @constant
+		 * @example
+		 * hemi.StateMachine - the StateMachine takes a StateTransition
+		 * data = {
+		 *     transition: (string) the name of the StateTransition
+		 *     from: (string) the name of the innermost StateNode before the StateTransition
+		 *     to: (string) the name of the innermost StateNode after the StateTransition
+		 * }
+		 */
+		transition: 'hemi.transition',
 		/**
 		 * @type string
 		 * @constant
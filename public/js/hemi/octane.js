@@ -25,28 +25,81 @@
 	/*
 	 * Map of class names to stored class constructor functions.
 	 */
-	var constructors = {};
+	var constructors = {},
+		/*
+		 * Map of class names to arrays of migrations for their Octane, sorted by version.
+		 */
+		migrations = {},
+		/*
+		 * The report from the most recent migration of World Octane.
+		 */
+		lastReport = null,
+		/*
+		 * The diagnostics being collected for the Octane currently being loaded.
+		 */
+		diagnostics = null,
+		/*
+		 * The diagnostics from the most recent Octane load.
+		 */
+		lastDiagnostics = null;
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Constants
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * The version of the Octane format written by hemi.world.toOctane. Increment this whenever a
+	 * change to a class's Octane properties needs a migration for older files. World Octane without
+	 * a format version is version 0.
+	 * @constant
+	 */
+	hemi.octaneVersion = 1;
 
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // Global functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 
 	/**
-	 * Restore the original object from the given Octane.
+	 * Restore the original object from the given Octane. Problems found while loading are
+	 * collected into a load report (see hemi.getLoadReport) that is sent with a hemi.msg.loadReport
+	 * Message when loading finishes. By default the first problem that keeps an object or property
+	 * from being restored stops the load and is passed to hemi.error. Missing classes are found
+	 * before the current World is cleaned up, so that load leaves the World as it was. In
+	 * best-effort mode those objects and properties are skipped and the rest of the Octane is
+	 * loaded.
 	 * 
 	 * @param {Object} octane the structure containing information for creating the original object
+	 * @param {Object} opt_config optional configuration parameters:
+	 *     bestEffort - true to skip problems instead of stopping the load
 	 * @return {Object} the created object
 	 */
-	hemi.fromOctane = function(octane) {
+	hemi.fromOctane = function(octane, opt_config) {
+		return load(opt_config, function() {
+			return restoreOctane(octane);
+		});
+	};
+
+	/*
+	 * Restore the original object from the given Octane, recording any problems to the current
+	 * load diagnostics.
+	 * 
+	 * @param {Object} octane the structure containing information for creating the original object
+	 * @return {Object} the created object
+	 */
+	function restoreOctane(octane) {
 		var created = null;
 
 		if (octane.type) {
+			hemi.migrateOctane(octane);
 			created = createObject(octane);
 			setProperties(created, octane);
 		} else {
+			hemi.migrateOctane(octane);
+			checkTypes(octane.citizens.concat(octane.dispatch.ents));
 			hemi.world.cleanup();
 
-			var citizenCount = octane.citizens.length;
+			var citizenCount = octane.citizens.length,
+				citOctane = [];
 
 			// Set the nextId value to a negative number so that we don't have to worry about
 			// overlapping world ids between the constructed Citizens and their actual ids that are
@@ -55,7 +108,9 @@
 
 			// Do the bare minimum: create Citizens and set their ids
 			for (var i = 0; i < citizenCount; ++i) {
-				createObject(octane.citizens[i]);
+				if (createObject(octane.citizens[i]) !== null) {
+					citOctane.push(octane.citizens[i]);
+				}
 			}
 
 			// Now set the World nextId to its proper value.
@@ -67,21 +122,511 @@
 
 			for (var i = 0, il = entryOctane.length; i < il; ++i) {
 				var entry = createObject(entryOctane[i]);
-				setProperties(entry, entryOctane[i]);
-				entries.push(entry);
+
+				if (entry !== null) {
+					setProperties(entry, entryOctane[i]);
+					entries.push(entry);
+				}
 			}
 
 			hemi.dispatch.loadEntries(entries);
 			hemi.dispatch.setNextId(octane.dispatch.nextId);
 
 			// Now set Citizen properties and resolve references to other Citizens
-			for (var i = 0; i < citizenCount; ++i) {
-				var citOctane = octane.citizens[i];
-				setProperties(hemi.world.getCitizenById(citOctane.id), citOctane);
+			for (var i = 0, il = citOctane.length; i < il; ++i) {
+				setProperties(hemi.world.getCitizenById(citOctane[i].id), citOctane[i]);
 			}
 		}
 
 		return created;
+	}
+
+	/**
+	 * Set the properties from the given Octane on an existing object, such as a Citizen that has
+	 * been changed elsewhere. References to other Citizens are resolved from the World.
+	 * 
+	 * @param {Object} object the object to update
+	 * @param {Object} octane the structure containing the properties to set
+	 * @return {Object} the updated object
+	 */
+	hemi.applyOctane = function(object, octane) {
+		return load(null, function() {
+			setProperties(object, octane);
+			return object;
+		});
+	};
+
+	/**
+	 * Register a migration that upgrades Octane for the given class that was written by an older
+	 * Octane format version. The migration is applied when loading Octane with a format version
+	 * below the given version. It may modify the Octane in place or return new Octane to replace
+	 * it.
+	 * 
+	 * @param {string} clsName the name of the class to migrate Octane for
+	 * @param {number} version the Octane format version that the migration upgrades to
+	 * @param {function(Object):Object} migrate function that takes Octane for the class and
+	 *     returns the upgraded Octane (or nothing if it modified the Octane in place)
+	 */
+	hemi.addOctaneMigration = function(clsName, version, migrate) {
+		var list = migrations[clsName] = migrations[clsName] || [],
+			ndx = 0;
+
+		while (ndx < list.length && list[ndx].version <= version) {
+			++ndx;
+		}
+
+		list.splice(ndx, 0, {
+			version: version,
+			migrate: migrate
+		});
+	};
+
+	/**
+	 * Get the diagnostics from the most recent time Octane was loaded. The report has the
+	 * structure:
+	 * <pre>
+	 * {
+	 *     ok: true if no problems were found
+	 *     aborted: true if a problem stopped the load
+	 *     bestEffort: true if problems were skipped instead of stopping the load
+	 *     missingTypes: array of { type, id } for Octane with no type or an unknown type
+	 *     unresolvedIds: array of { type, id, prop, ref } for references to missing Citizens
+	 *     failedProps: array of { type, id, prop, error } for properties that threw an error
+	 *     missingMethods: array of { type, id, prop } for arg properties with no such function
+	 * }
+	 * </pre>
+	 * 
+	 * @return {Object} the load report or null if no Octane has been loaded
+	 */
+	hemi.getLoadReport = function() {
+		return lastDiagnostics;
+	};
+
+	/**
+	 * Get the report from the most recent time World Octane was migrated by hemi.fromOctane.
+	 * 
+	 * @return {Object} the migration report (see hemi.migrateOctane) or null
+	 */
+	hemi.getMigrationReport = function() {
+		return lastReport;
+	};
+
+	/**
+	 * Upgrade the given Octane from its format version to the current format version by applying
+	 * any registered migrations to it and to all of the Octane nested within it. Octane without a
+	 * format version is treated as version 0. The Octane is modified in place. The returned report
+	 * has the structure:
+	 * <pre>
+	 * {
+	 *     from: the Octane format version of the given Octane
+	 *     to: the current Octane format version
+	 *     upgraded: array of { type, id, from, to } for each migrated Octane structure
+	 *     newer: true if the Octane was written by a newer format version than this library
+	 * }
+	 * </pre>
+	 * 
+	 * @param {Object} octane World Octane or Octane for a single object
+	 * @return {Object} the migration report
+	 */
+	hemi.migrateOctane = function(octane) {
+		var from = octane.octaneVersion || 0,
+			report = {
+				from: from,
+				to: hemi.octaneVersion,
+				upgraded: [],
+				newer: from > hemi.octaneVersion
+			};
+
+		if (report.newer) {
+			console.log('Octane format version ' + from + ' is newer than supported version ' +
+				hemi.octaneVersion);
+		} else if (from < hemi.octaneVersion) {
+			if (octane.type) {
+				var migrated = migrateObject(octane, from, report);
+
+				// Single object Octane can only be modified in place
+				if (migrated !== octane) {
+					for (var key in octane) {
+						if (!migrated.hasOwnProperty(key)) {
+							delete octane[key];
+						}
+					}
+				}
+
+				for (var key in migrated) {
+					octane[key] = migrated[key];
+				}
+			} else {
+				var ents = octane.dispatch ? octane.dispatch.ents : [];
+
+				for (var i = 0, il = octane.citizens.length; i < il; ++i) {
+					octane.citizens[i] = migrateObject(octane.citizens[i], from, report);
+				}
+
+				for (var i = 0, il = ents.length; i < il; ++i) {
+					ents[i] = migrateObject(ents[i], from, report);
+				}
+			}
+
+			octane.octaneVersion = hemi.octaneVersion;
+
+			if (report.upgraded.length > 0) {
+				console.log('Upgraded ' + report.upgraded.length + ' Octane structures from ' +
+					'format version ' + from + ' to ' + hemi.octaneVersion);
+			}
+		}
+
+		if (!octane.type) {
+			lastReport = report;
+		}
+
+		return report;
+	};
+
+	/**
+	 * Import the Citizens and dispatch entries from the given World Octane into the current World
+	 * without cleaning it up first. Imported Citizens get new world ids and imported
+	 * MessageTargets get new dispatch ids so they do not collide with anything already in the
+	 * World. References between imported Citizens are updated to the new ids. References to ids
+	 * that are not in the imported Octane are left unchanged and listed as unresolved.
+	 * 
+	 * @param {Object} octane the World Octane to import (it is not modified)
+	 * @param {Object} opt_config optional configuration parameters:
+	 *     prefix - string to add to the names of imported Citizens and MessageTargets
+	 *     bestEffort - true to skip problems instead of stopping the import (see hemi.fromOctane)
+	 * @return {Object} a structure with the imported citizens array, an idMap object mapping the
+	 *     imported ids to new world ids and an unresolved array of ids that were not remapped
+	 */
+	hemi.importOctane = function(octane, opt_config) {
+		return load(opt_config, function() {
+			return importOctane(octane, opt_config || {});
+		});
+	};
+
+	/*
+	 * Import the given World Octane into the current World, recording any problems to the current
+	 * load diagnostics.
+	 * 
+	 * @param {Object} octane the World Octane to import
+	 * @param {Object} config configuration parameters
+	 * @return {Object} the import result
+	 */
+	function importOctane(octane, config) {
+		var result = {
+				citizens: [],
+				idMap: {},
+				unresolved: []
+			};
+
+		// Work on a copy since ids and names are rewritten
+		octane = JSON.parse(JSON.stringify(octane));
+		hemi.migrateOctane(octane);
+
+		var citOctane = octane.citizens,
+			entOctane = octane.dispatch ? octane.dispatch.ents : [],
+			citizenCount = citOctane.length,
+			firstId = hemi.world.checkNextId(),
+			created = [];
+
+		for (var i = 0; i < citizenCount; ++i) {
+			result.idMap[citOctane[i].id] = firstId + i;
+		}
+
+		for (var i = 0; i < citizenCount; ++i) {
+			remapOctane(citOctane[i], result, config.prefix);
+		}
+
+		for (var i = 0, il = entOctane.length; i < il; ++i) {
+			remapOctane(entOctane[i], result, config.prefix);
+		}
+
+		checkTypes(citOctane.concat(entOctane));
+
+		// As in fromOctane, keep temporary ids from overlapping the ids being restored
+		hemi.world.setNextId(citizenCount * -2);
+
+		for (var i = 0; i < citizenCount; ++i) {
+			var citizen = createObject(citOctane[i]);
+
+			if (citizen) {
+				result.citizens.push(citizen);
+				created.push(citOctane[i]);
+			}
+		}
+
+		hemi.world.setNextId(firstId + citizenCount);
+
+		for (var i = 0, il = entOctane.length; i < il; ++i) {
+			var entry = createObject(entOctane[i]);
+
+			if (entry !== null) {
+				setProperties(entry, entOctane[i]);
+				addEntry(entry);
+			}
+		}
+
+		for (var i = 0, il = created.length; i < il; ++i) {
+			setProperties(result.citizens[i], created[i]);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Create a deep copy of the given object from its Octane. A cloned Citizen gets a new world id
+	 * and a cloned Transform brings along copies of all of the Transforms under it, which are added
+	 * to the same parent. References between the cloned Citizens point to the copies while
+	 * references to other Citizens are shared with the original. If behaviors are cloned, the
+	 * MessageTargets that handle Messages from the cloned Citizens or pass Messages to them (along
+	 * with any ValueChecks they use) are copied and rewired to the clones as well.
+	 * 
+	 * @param {Object} object the Citizen or other octanable object to clone
+	 * @param {Object} opt_config optional configuration parameters:
+	 *     behaviors - true to also clone the MessageTargets attached to the cloned Citizens
+	 *     prefix - string to add to the names of cloned Citizens and MessageTargets
+	 *     bestEffort - true to skip problems instead of stopping the clone (see hemi.fromOctane)
+	 * @return {Object} the cloned object
+	 */
+	hemi.clone = function(object, opt_config) {
+		var config = opt_config || {};
+
+		if (!object._getId) {
+			var objOctane = JSON.parse(JSON.stringify(object._toOctane()));
+			objOctane.octaneVersion = hemi.octaneVersion;
+			return hemi.fromOctane(objOctane, config);
+		}
+
+		var sources = object.getAllChildren ? object.getAllChildren([object]) : [object],
+			ids = {},
+			octane = {
+				octaneVersion: hemi.octaneVersion,
+				citizens: [],
+				dispatch: {
+					ents: []
+				}
+			};
+
+		for (var i = 0, il = sources.length; i < il; ++i) {
+			ids[sources[i]._getId()] = true;
+		}
+
+		if (config.behaviors) {
+			octane.dispatch.ents = getCloneEntries(sources, ids);
+		}
+
+		for (var i = 0, il = sources.length; i < il; ++i) {
+			octane.citizens.push(sources[i]._toOctane());
+		}
+
+		var result = hemi.importOctane(octane, config);
+
+		for (var i = 0, il = sources.length; i < il; ++i) {
+			var clone = hemi.world.getCitizenById(result.idMap[sources[i]._getId()]);
+
+			if (clone && clone._initClone) {
+				clone._initClone(sources[i]);
+			}
+		}
+
+		return hemi.world.getCitizenById(result.idMap[object._getId()]);
+	};
+
+	/*
+	 * Get the Octane for the MessageSpecs with MessageTargets attached to the given Citizens. A
+	 * MessageTarget is attached if its MessageSpec's source is one of the Citizens or its handler
+	 * (or the handler of its ValueCheck) is one of the Citizens. Any ValueChecks used by the
+	 * attached MessageTargets are added to the Citizens to clone.
+	 * 
+	 * @param {Citizen[]} sources the Citizens being cloned
+	 * @param {Object} ids map of the world ids of the Citizens being cloned
+	 * @return {Object[]} array of Octane for MessageSpecs with only the attached MessageTargets
+	 */
+	function getCloneEntries(sources, ids) {
+		var specs = hemi.dispatch.getSpecs(),
+			ents = [];
+
+		for (var i = 0, il = specs.length; i < il; ++i) {
+			var spec = specs[i],
+				targets = [];
+
+			for (var j = 0, jl = spec.targets.length; j < jl; ++j) {
+				var target = spec.targets[j],
+					handler = target.handler,
+					check = hemi.ValueCheck && handler instanceof hemi.ValueCheck ? handler : null,
+					attached = ids[spec.src] || (handler._getId && ids[handler._getId()]) ||
+						(check !== null && ((check.handler && check.handler._getId &&
+						ids[check.handler._getId()]) || (check.citizen && check.citizen._getId &&
+						ids[check.citizen._getId()])));
+
+				if (attached) {
+					var oct = target._toOctane();
+
+					if (oct !== null) {
+						targets.push(oct);
+
+						if (check !== null && !ids[check._getId()]) {
+							ids[check._getId()] = true;
+							sources.push(check);
+						}
+					}
+				}
+			}
+
+			if (targets.length > 0) {
+				var specOct = spec._toOctane();
+
+				for (var j = 0, jl = specOct.props.length; j < jl; ++j) {
+					if (specOct.props[j].name === 'targets') {
+						specOct.props[j].oct = targets;
+					}
+				}
+
+				ents.push(specOct);
+			}
+		}
+
+		return ents;
+	}
+
+	/**
+	 * Compute the differences between two World Octane structures as a patch that can be applied
+	 * to a World matching the old Octane with hemi.patchOctane. Citizens are matched by world id
+	 * and MessageSpecs by source id and Message type. A Citizen whose type or arg properties
+	 * changed is treated as removed and added again, since arg properties call functions that may
+	 * not be safe to call twice (such as loading a file). Citizens and MessageSpecs that refer to a
+	 * replaced Citizen are patched to refer to the new one. The patch has the structure:
+	 * <pre>
+	 * {
+	 *     octaneVersion: the Octane format version of the patch
+	 *     nextId: the World nextId of the new Octane
+	 *     citizens: {
+	 *         added: array of Octane for added Citizens
+	 *         removed: array of world ids of removed Citizens
+	 *         changed: array of { id, type, props, removed } for changed Citizens where props is
+	 *             the array of changed Octane properties and removed is an array of the names of
+	 *             val, id or oct properties that are no longer in the Octane
+	 *     }
+	 *     dispatch: {
+	 *         nextId: the dispatch nextId of the new Octane
+	 *         added: array of Octane for added MessageSpecs
+	 *         removed: array of { src, msg, filter } for removed MessageSpecs
+	 *         changed: array of Octane for MessageSpecs whose targets changed
+	 *     }
+	 * }
+	 * </pre>
+	 * 
+	 * @param {Object} oldOctane the World Octane to compare from (it is not modified)
+	 * @param {Object} newOctane the World Octane to compare to (it is not modified)
+	 * @return {Object} the patch from the old Octane to the new Octane
+	 */
+	hemi.diffOctane = function(oldOctane, newOctane) {
+		oldOctane = JSON.parse(JSON.stringify(oldOctane));
+		newOctane = JSON.parse(JSON.stringify(newOctane));
+		hemi.migrateOctane(oldOctane);
+		hemi.migrateOctane(newOctane);
+
+		var oldCits = mapOctane(oldOctane.citizens, getCitizenKey),
+			newCits = mapOctane(newOctane.citizens, getCitizenKey),
+			oldEnts = mapOctane(oldOctane.dispatch ? oldOctane.dispatch.ents : [], getSpecKey),
+			newEnts = mapOctane(newOctane.dispatch ? newOctane.dispatch.ents : [], getSpecKey),
+			patch = {
+				octaneVersion: hemi.octaneVersion,
+				nextId: newOctane.nextId,
+				citizens: {
+					added: [],
+					removed: [],
+					changed: []
+				},
+				dispatch: {
+					nextId: newOctane.dispatch ? newOctane.dispatch.nextId : undefined,
+					added: [],
+					removed: [],
+					changed: []
+				}
+			},
+			// World ids of Citizens that are removed and added again
+			replaced = {};
+
+		for (var key in oldCits) {
+			var oldCit = oldCits[key],
+				newCit = newCits[key];
+
+			if (newCit === undefined) {
+				patch.citizens.removed.push(oldCit.id);
+			} else if (newCit.type !== oldCit.type ||
+					JSON.stringify(getArgProps(oldCit)) !== JSON.stringify(getArgProps(newCit))) {
+				patch.citizens.removed.push(oldCit.id);
+				replaced[oldCit.id] = true;
+			}
+		}
+
+		for (var key in newCits) {
+			var oldCit = oldCits[key],
+				newCit = newCits[key];
+
+			if (oldCit === undefined || replaced[oldCit.id]) {
+				patch.citizens.added.push(newCit);
+			} else {
+				var change = diffProps(oldCit.props, newCit.props);
+
+				// References to a replaced Citizen must be set again to point to the new one
+				for (var i = 0, il = newCit.props.length; i < il; ++i) {
+					var prop = newCit.props[i];
+
+					if (hasReference(prop, replaced) && change.props.indexOf(prop) === -1) {
+						change.props.push(prop);
+					}
+				}
+
+				if (change.props.length > 0 || change.removed.length > 0) {
+					change.id = newCit.id;
+					change.type = newCit.type;
+					patch.citizens.changed.push(change);
+				}
+			}
+		}
+
+		for (var key in oldEnts) {
+			if (newEnts[key] === undefined) {
+				var props = getProps(oldEnts[key]);
+
+				patch.dispatch.removed.push({
+					src: props.src[0].val,
+					msg: props.msg[0].val,
+					filter: props.filter ? props.filter[0].val : null
+				});
+			}
+		}
+
+		for (var key in newEnts) {
+			if (oldEnts[key] === undefined) {
+				patch.dispatch.added.push(newEnts[key]);
+			} else if (JSON.stringify(oldEnts[key]) !== JSON.stringify(newEnts[key]) ||
+					replaced[getProps(newEnts[key]).src[0].val] ||
+					hasReference(newEnts[key], replaced)) {
+				patch.dispatch.changed.push(newEnts[key]);
+			}
+		}
+
+		return patch;
+	};
+
+	/**
+	 * Apply a patch created by hemi.diffOctane to the current World without reloading it. Removed
+	 * Citizens are cleaned up, added Citizens are created with their original world ids, changed
+	 * val, id and oct properties are set on existing Citizens (removed ones are set to null) and
+	 * added or changed MessageSpecs replace the existing ones. Problems are collected into the
+	 * load report (see hemi.fromOctane).
+	 * 
+	 * @param {Object} patch the patch to apply (it is not modified)
+	 * @param {Object} opt_config optional configuration parameters:
+	 *     bestEffort - true to skip problems instead of stopping the patch
+	 * @return {Object[]} the Citizens that were added by the patch
+	 */
+	hemi.patchOctane = function(patch, opt_config) {
+		return load(opt_config, function() {
+			return patchOctane(JSON.parse(JSON.stringify(patch)));
+		});
 	};
 
 	/**
@@ -135,6 +680,13 @@
 						val: this.name
 					});
 				}
+
+				if (this.tags && this.tags.length > 0) {
+					octane.props.push({
+						name: 'tags',
+						val: this.tags.slice()
+					});
+				}
 			}
 
 			return octane;
@@ -145,6 +697,38 @@
 // Utility functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 
+	/*
+	 * Check that the classes of the given Octane structures and of the Octane nested in their
+	 * properties all exist before a load changes the World. Otherwise a load that is stopped by a
+	 * missing type would leave the World half loaded. In best-effort mode nothing is checked since
+	 * those objects are skipped instead.
+	 * 
+	 * @param {Object[]} octanes the Octane structures to check
+	 */
+	function checkTypes(octanes) {
+		if (diagnostics.bestEffort) {
+			return;
+		}
+
+		for (var i = 0, il = octanes.length; i < il; ++i) {
+			var octane = octanes[i],
+				props = octane.props || [];
+
+			if (!octane.type || !constructors[octane.type]) {
+				// Report it the same way createObject would
+				createObject(octane);
+			}
+
+			for (var j = 0, jl = props.length; j < jl; ++j) {
+				var oct = props[j].oct;
+
+				if (oct) {
+					checkTypes(hemi.utils.isArray(oct) ? oct : [oct]);
+				}
+			}
+		}
+	}
+
 	/**
 	 * Create an object from the given Octane structure and set its id. No other properties will be
 	 * set yet.
@@ -153,12 +737,7 @@
 	 * @return {Object} the newly created object
 	 */
 	function createObject(octane) {
-		if (!octane.type) {
-			alert("Unable to process octane: missing type");
-			return null;
-		}
-
-		var con = constructors[octane.type],
+		var con = octane.type ? constructors[octane.type] : null,
 			object = null;
 
 		if (con) {
@@ -168,12 +747,525 @@
 				object._setId(octane.id);
 			}
 		} else {
-			console.log('Cannot find constructor for type: ' + octane.type);
+			addProblem('missingTypes', {
+				type: octane.type,
+				id: octane.id
+			}, octane.type ? 'Cannot find constructor for type: ' + octane.type :
+				'Unable to process octane: missing type');
 		}
 
 		return object;
 	}
 
+	/*
+	 * Get the arg properties of the given Octane, which call functions when they are set.
+	 */
+	function getArgProps(octane) {
+		var props = [];
+
+		for (var i = 0, il = octane.props.length; i < il; ++i) {
+			if (octane.props[i].arg !== undefined) {
+				props.push(octane.props[i]);
+			}
+		}
+
+		return props;
+	}
+
+	/*
+	 * Get the key to match Citizen Octane by.
+	 */
+	function getCitizenKey(octane) {
+		return octane.id;
+	}
+
+	/*
+	 * Group the given Octane properties into a map of property names to arrays of properties.
+	 * Properties stored by arg may be repeated under the same name.
+	 */
+	function getProps(octane) {
+		var props = {};
+
+		for (var i = 0, il = octane.props.length; i < il; ++i) {
+			var prop = octane.props[i];
+			(props[prop.name] = props[prop.name] || []).push(prop);
+		}
+
+		return props;
+	}
+
+	/*
+	 * Get the key to match MessageSpec Octane by.
+	 */
+	function getSpecKey(octane) {
+		var props = getProps(octane);
+		return JSON.stringify([props.msg[0].val, props.src[0].val,
+			props.filter ? props.filter[0].val : null]);
+	}
+
+	/*
+	 * Compare the given arrays of Octane properties.
+	 * 
+	 * @param {Object[]} oldProps the old Octane properties
+	 * @param {Object[]} newProps the new Octane properties
+	 * @return {Object} structure with the props array of new or changed properties and the removed
+	 *     array of names of removed properties
+	 */
+	function diffProps(oldProps, newProps) {
+		var oldMap = getProps({ props: oldProps }),
+			newMap = getProps({ props: newProps }),
+			diff = {
+				props: [],
+				removed: []
+			};
+
+		for (var name in oldMap) {
+			// Removed arg properties are names of functions, which must not be cleared
+			if (newMap[name] === undefined && oldMap[name][0].arg === undefined) {
+				diff.removed.push(name);
+			}
+		}
+
+		for (var i = 0, il = newProps.length; i < il; ++i) {
+			var name = newProps[i].name;
+
+			if (JSON.stringify(oldMap[name]) !== JSON.stringify(newMap[name])) {
+				diff.props.push(newProps[i]);
+			}
+		}
+
+		return diff;
+	}
+
+	/*
+	 * Check if the given Octane (or Octane property) refers to any of the given Citizens.
+	 * 
+	 * @param {Object} octane the Octane or Octane property to check
+	 * @param {Object} ids map of the world ids of the Citizens to look for
+	 * @return {boolean} true if the Octane refers to one of the Citizens
+	 */
+	function hasReference(octane, ids) {
+		if (octane.id !== undefined && octane.props === undefined) {
+			var refs = [].concat(octane.id);
+
+			for (var i = 0, il = refs.length; i < il; ++i) {
+				if (ids[refs[i]]) {
+					return true;
+				}
+			}
+		}
+
+		var nested = octane.props || [].concat(octane.oct || []);
+
+		for (var i = 0, il = nested.length; i < il; ++i) {
+			if (nested[i] && typeof nested[i] === 'object' && hasReference(nested[i], ids)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/*
+	 * Map the given array of Octane by the keys returned by the given function.
+	 */
+	function mapOctane(octanes, getKey) {
+		var map = {};
+
+		for (var i = 0, il = octanes.length; i < il; ++i) {
+			map[getKey(octanes[i])] = octanes[i];
+		}
+
+		return map;
+	}
+
+	/*
+	 * Apply the given patch to the current World, recording any problems to the current load
+	 * diagnostics.
+	 * 
+	 * @param {Object} patch the patch created by hemi.diffOctane
+	 * @return {Object[]} the Citizens that were added
+	 */
+	function patchOctane(patch) {
+		var citPatch = patch.citizens,
+			entPatch = patch.dispatch,
+			addCount = citPatch.added.length,
+			added = [],
+			addedOctane = [],
+			entries = [];
+
+		checkTypes(citPatch.added.concat(citPatch.changed, entPatch.added, entPatch.changed));
+
+		for (var i = 0, il = citPatch.removed.length; i < il; ++i) {
+			var citizen = hemi.world.getCitizenById(citPatch.removed[i]);
+
+			if (citizen !== null) {
+				citizen.cleanup();
+			}
+		}
+
+		// As in fromOctane, keep temporary ids from overlapping the ids being restored
+		var nextId = hemi.world.checkNextId();
+		hemi.world.setNextId(addCount * -2);
+
+		for (var i = 0; i < addCount; ++i) {
+			var citizen = createObject(citPatch.added[i]);
+
+			if (citizen !== null) {
+				added.push(citizen);
+				addedOctane.push(citPatch.added[i]);
+			}
+		}
+
+		hemi.world.setNextId(Math.max(nextId, patch.nextId));
+
+		for (var i = 0, il = entPatch.removed.length; i < il; ++i) {
+			var removed = entPatch.removed[i],
+				spec = hemi.dispatch.getSpec(removed.src, removed.msg, removed.filter);
+
+			if (spec !== null) {
+				hemi.dispatch.removeSpecs({
+					src: spec.src,
+					msg: spec.msg,
+					filter: spec.filter
+				}, false);
+			}
+		}
+
+		var entOctane = entPatch.added.concat(entPatch.changed);
+
+		for (var i = 0, il = entOctane.length; i < il; ++i) {
+			var entry = createObject(entOctane[i]);
+
+			if (entry !== null) {
+				setProperties(entry, entOctane[i]);
+				entries.push(entry);
+			}
+		}
+
+		hemi.dispatch.loadEntries(entries);
+
+		if (entPatch.nextId > hemi.dispatch.checkNextId()) {
+			hemi.dispatch.setNextId(entPatch.nextId);
+		}
+
+		for (var i = 0, il = added.length; i < il; ++i) {
+			setProperties(added[i], addedOctane[i]);
+		}
+
+		for (var i = 0, il = citPatch.changed.length; i < il; ++i) {
+			var change = citPatch.changed[i],
+				citizen = getCitizen(change, 'id', change.id);
+
+			if (citizen !== null) {
+				setProperties(citizen, change);
+
+				for (var j = 0, jl = change.removed.length; j < jl; ++j) {
+					citizen[change.removed[j]] = null;
+				}
+			}
+		}
+
+		return added;
+	}
+
+	/*
+	 * Record a problem with the Octane being loaded. If the load is not in best-effort mode, an
+	 * error is thrown to stop the load.
+	 * 
+	 * @param {string} kind the diagnostics array to add the problem to
+	 * @param {Object} problem description of the problem
+	 * @param {string} msg message to log and use for the error
+	 */
+	function addProblem(kind, problem, msg) {
+		console.log(msg);
+		diagnostics[kind].push(problem);
+
+		if (!diagnostics.bestEffort) {
+			var err = new Error(msg);
+			err.octaneProblem = true;
+			throw err;
+		}
+	}
+
+	/*
+	 * Get the Citizen with the given id for a property of the given Octane. Missing Citizens are
+	 * recorded but do not stop the load.
+	 * 
+	 * @param {Object} octane the structure containing the property
+	 * @param {string} prop the name of the property
+	 * @param {number} id the world id of the Citizen
+	 * @return {hemi.world.Citizen} the Citizen or null
+	 */
+	function getCitizen(octane, prop, id) {
+		var citizen = hemi.world.getCitizenById(id);
+
+		if (citizen === null) {
+			diagnostics.unresolvedIds.push({
+				type: octane.type,
+				id: octane.id,
+				prop: prop,
+				ref: id
+			});
+		}
+
+		return citizen;
+	}
+
+	/*
+	 * Add the given MessageSpec to the dispatch. If a MessageSpec for the same source, Message type
+	 * and source filter already exists, its MessageTargets are moved to the existing MessageSpec
+	 * instead of replacing it.
+	 * 
+	 * @param {hemi.dispatch.MessageSpec} entry the MessageSpec to add
+	 */
+	function addEntry(entry) {
+		var spec = hemi.dispatch.getSpec(entry.src, entry.msg, entry.filter);
+
+		if (spec !== null) {
+			for (var i = 0, il = entry.targets.length; i < il; ++i) {
+				spec.addTarget(entry.targets[i]);
+			}
+		} else {
+			hemi.dispatch.loadEntries([entry]);
+		}
+	}
+
+	/*
+	 * Rewrite the world ids, dispatch ids and names in the given Octane (and any Octane nested in
+	 * it) for importing into the current World. Only the names of Citizens and MessageTargets get
+	 * the prefix. Other nested Octane like StateNodes and StateTransitions are referred to by name
+	 * within their Citizen, so those names are kept.
+	 * 
+	 * @param {Object} octane the Octane structure to rewrite
+	 * @param {Object} result import result with the idMap and unresolved array
+	 * @param {string} opt_prefix optional prefix for names
+	 */
+	function remapOctane(octane, result, opt_prefix) {
+		var isSpec = octane.type === 'hemi.dispatch.MessageSpec',
+			isTarget = octane.type === 'hemi.dispatch.MessageTarget',
+			hasArgs = isTarget || octane.type === 'hemi.StateAction',
+			hasCondition = octane.type === 'hemi.ValueCheck' ||
+				octane.type === 'hemi.StateTransition',
+			hasPrefix = opt_prefix && (isTarget || octane.id !== undefined);
+
+		if (octane.id !== undefined) {
+			octane.id = remapId(octane.id, result);
+		}
+
+		for (var i = 0, il = octane.props.length; i < il; ++i) {
+			var prop = octane.props[i];
+
+			if (prop.oct !== undefined) {
+				var octs = hemi.utils.isArray(prop.oct) ? prop.oct : [prop.oct];
+
+				for (var j = 0, jl = octs.length; j < jl; ++j) {
+					remapOctane(octs[j], result, opt_prefix);
+				}
+			} else if (prop.id !== undefined) {
+				if (hemi.utils.isArray(prop.id)) {
+					for (var j = 0, jl = prop.id.length; j < jl; ++j) {
+						prop.id[j] = remapId(prop.id[j], result);
+					}
+				} else {
+					prop.id = remapId(prop.id, result);
+				}
+			} else if (prop.arg !== undefined) {
+				remapArgs(prop.arg, result);
+			} else if (isSpec && prop.name === 'src' && prop.val !== hemi.dispatch.WILDCARD) {
+				prop.val = remapId(prop.val, result);
+			} else if (isTarget && prop.name === '_dispatchId') {
+				prop.val = hemi.dispatch.getNextId();
+			} else if (hasArgs && prop.name === 'args' && prop.val) {
+				remapArgs(prop.val, result);
+			} else if (hasCondition && prop.name === 'condition' && prop.val) {
+				remapCondition(prop.val, result);
+			} else if (prop.name === 'name' && hasPrefix && typeof prop.val === 'string' &&
+					prop.val.length > 0) {
+				prop.val = opt_prefix + prop.val;
+			}
+		}
+	}
+
+	/*
+	 * Rewrite 'id:' arguments in the given array to the new world ids.
+	 */
+	function remapArgs(args, result) {
+		for (var i = 0, il = args.length; i < il; ++i) {
+			var arg = args[i];
+
+			if (typeof arg === 'string' && arg.substring(0, 3) === hemi.dispatch.ID_ARG) {
+				args[i] = hemi.dispatch.ID_ARG + remapId(parseInt(arg.substring(3), 10), result);
+			}
+		}
+	}
+
+	/*
+	 * Rewrite 'id:' operands (which may have a property path) in the given condition to the new
+	 * world ids.
+	 */
+	function remapCondition(condition, result) {
+		var remap = function(operand) {
+				if (typeof operand === 'string' &&
+						operand.substring(0, 3) === hemi.dispatch.ID_ARG) {
+					var ndx = operand.indexOf('.'),
+						path = ndx === -1 ? '' : operand.substring(ndx);
+
+					operand = hemi.dispatch.ID_ARG + remapId(parseInt(operand.substring(3), 10),
+						result) + path;
+				}
+
+				return operand;
+			},
+			children = condition.and || condition.or || (condition.not ? [condition.not] : null);
+
+		if (children !== null) {
+			for (var i = 0, il = children.length; i < il; ++i) {
+				remapCondition(children[i], result);
+			}
+		} else {
+			condition.left = remap(condition.left);
+
+			if (hemi.utils.isArray(condition.right)) {
+				for (var i = 0, il = condition.right.length; i < il; ++i) {
+					condition.right[i] = remap(condition.right[i]);
+				}
+			} else {
+				condition.right = remap(condition.right);
+			}
+		}
+	}
+
+	/*
+	 * Get the new world id for the given imported id or the same id if it was not imported.
+	 */
+	function remapId(id, result) {
+		var newId = result.idMap[id];
+
+		if (newId === undefined) {
+			if (result.unresolved.indexOf(id) === -1) {
+				result.unresolved.push(id);
+			}
+
+			newId = id;
+		}
+
+		return newId;
+	}
+
+	/*
+	 * Run the given loader function while collecting diagnostics for it. When loading finishes,
+	 * the diagnostics are sent with a hemi.msg.loadReport Message. If the load was stopped by a
+	 * problem, the problem is passed to hemi.error after the Message is sent. Loads started while
+	 * another load is running share its diagnostics.
+	 * 
+	 * @param {Object} opt_config optional configuration parameters (see hemi.fromOctane)
+	 * @param {function():Object} loader function that loads the Octane
+	 * @return {Object} the value returned by the loader
+	 */
+	function load(opt_config, loader) {
+		if (diagnostics !== null) {
+			return loader();
+		}
+
+		var report = diagnostics = {
+				ok: true,
+				aborted: false,
+				bestEffort: !!(opt_config && opt_config.bestEffort),
+				missingTypes: [],
+				unresolvedIds: [],
+				failedProps: [],
+				missingMethods: []
+			},
+			result = null,
+			error = null,
+			worldId = hemi.world.checkNextId(),
+			dispatchId = hemi.dispatch.checkNextId();
+
+		try {
+			result = loader();
+		} catch (err) {
+			report.aborted = true;
+			error = err;
+			restoreNextIds(worldId, dispatchId);
+		}
+
+		diagnostics = null;
+		lastDiagnostics = report;
+		report.ok = !report.aborted && report.missingTypes.length === 0 &&
+			report.unresolvedIds.length === 0 && report.failedProps.length === 0 &&
+			report.missingMethods.length === 0;
+		hemi.send(hemi.msg.loadReport, report);
+
+		if (error !== null) {
+			hemi.error(error.message);
+		}
+
+		return result;
+	}
+
+	/*
+	 * Make sure that a stopped load did not leave the World or the dispatch giving out temporary
+	 * or already used ids.
+	 * 
+	 * @param {number} worldId the World's next id before the load
+	 * @param {number} dispatchId the dispatch's next id before the load
+	 */
+	function restoreNextIds(worldId, dispatchId) {
+		var citizens = hemi.world.getCitizens(),
+			nextId = Math.max(worldId, hemi.world.checkNextId());
+
+		for (var i = 0, il = citizens.length; i < il; ++i) {
+			nextId = Math.max(nextId, citizens[i]._getId() + 1);
+		}
+
+		hemi.world.setNextId(nextId);
+		hemi.dispatch.setNextId(Math.max(dispatchId, hemi.dispatch.checkNextId()));
+	}
+
+	/*
+	 * Apply the migrations for the given Octane's class and any Octane nested in its properties.
+	 * 
+	 * @param {Object} octane the Octane structure to migrate
+	 * @param {number} from the Octane format version the structure was written in
+	 * @param {Object} report the migration report to add upgraded structures to
+	 * @return {Object} the migrated Octane structure
+	 */
+	function migrateObject(octane, from, report) {
+		var list = migrations[octane.type] || [],
+			version = from;
+
+		for (var i = 0, il = list.length; i < il; ++i) {
+			var migration = list[i];
+
+			if (migration.version > version && migration.version <= hemi.octaneVersion) {
+				var id = octane.id;
+				octane = migration.migrate(octane) || octane;
+				report.upgraded.push({
+					type: octane.type,
+					id: id,
+					from: version,
+					to: migration.version
+				});
+				version = migration.version;
+			}
+		}
+
+		for (var i = 0, il = octane.props ? octane.props.length : 0; i < il; ++i) {
+			var oct = octane.props[i].oct;
+
+			if (hemi.utils.isArray(oct)) {
+				for (var j = 0, jl = oct.length; j < jl; ++j) {
+					oct[j] = migrateObject(oct[j], from, report);
+				}
+			} else if (oct) {
+				octane.props[i].oct = migrateObject(oct, from, report);
+			}
+		}
+
+		return octane;
+	}
+
 	/**
 	 * Use the given list of property names to parse Octane properties from the given object.
 	 * 
@@ -241,49 +1333,84 @@
 	 * @param {Object} octane the structure containing information about the given object
 	 */
 	function setProperties(object, octane) {
+		if (object === null) {
+			return;
+		}
+
 		for (var i = 0, il = octane.props.length; i < il; ++i) {
-			var property = octane.props[i],
-				name = property.name;
+			try {
+				setProperty(object, octane, octane.props[i]);
+			} catch (err) {
+				if (err.octaneProblem) {
+					throw err;
+				}
 
-			if (property.oct !== undefined) {
-				if (hemi.utils.isArray(property.oct)) {
-					value = [];
+				addProblem('failedProps', {
+					type: octane.type,
+					id: octane.id,
+					prop: octane.props[i].name,
+					error: err.message
+				}, 'Unable to set property ' + octane.props[i].name + ' for ' + octane.type + ': ' +
+					err.message);
+			}
+		}
+	}
 
-					for (var j = 0, jl = property.oct.length; j < jl; ++j) {
-						var child = createObject(property.oct[j]);
-						setProperties(child, property.oct[j]);
-						value.push(child);
-					}
-				} else {
-					value = createObject(property.oct);
-					setProperties(value, property.oct);
-				}
+	/*
+	 * Set the given Octane property on the given object.
+	 * 
+	 * @param {Object} object the object created from the given Octane
+	 * @param {Object} octane the structure containing information about the given object
+	 * @param {Object} property the Octane property to set
+	 */
+	function setProperty(object, octane, property) {
+		var name = property.name,
+			value;
 
-				object[name] = value;
-			} else if (property.val !== undefined) {
-				object[name] = property.val;
-			} else if (property.id !== undefined) {
-				var value;
+		if (property.oct !== undefined) {
+			if (hemi.utils.isArray(property.oct)) {
+				value = [];
 
-				if (hemi.utils.isArray(property.id)) {
-					value = [];
+				for (var j = 0, jl = property.oct.length; j < jl; ++j) {
+					var child = createObject(property.oct[j]);
+					setProperties(child, property.oct[j]);
+					value.push(child);
+				}
+			} else {
+				value = createObject(property.oct);
+				setProperties(value, property.oct);
+			}
 
-					for (var j = 0, jl = property.id.length; j < jl; ++j) {
-						value.push(hemi.world.getCitizenById(property.id[j]));
-					}
-				} else {
-					value = hemi.world.getCitizenById(property.id);
+			object[name] = value;
+		} else if (property.val !== undefined) {
+			object[name] = property.val;
+		} else if (property.id !== undefined) {
+			if (hemi.utils.isArray(property.id)) {
+				value = [];
+
+				for (var j = 0, jl = property.id.length; j < jl; ++j) {
+					value.push(getCitizen(octane, name, property.id[j]));
 				}
+			} else {
+				value = getCitizen(octane, name, property.id);
+			}
 
-				object[name] = value;
-			} else if (property.arg !== undefined) {
-				var func = object[name],
-					args = hemi.dispatch.getArguments(null, property.arg);
+			object[name] = value;
+		} else if (property.arg !== undefined) {
+			var func = object[name];
 
-				func.apply(object, args);
+			if (typeof func === 'function') {
+				func.apply(object, hemi.dispatch.getArguments(null, property.arg));
 			} else {
-				alert('Unable to process octane for ' + octane.id + ': missing property value');
+				addProblem('missingMethods', {
+					type: octane.type,
+					id: octane.id,
+					prop: name
+				}, 'Unable to process octane for ' + octane.id + ': ' + octane.type +
+					' has no function ' + name);
 			}
+		} else {
+			throw new Error('missing property value');
 		}
 	}
 
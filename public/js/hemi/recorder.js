@@ -0,0 +1,672 @@
+/*
+ * Licensed under the MIT license: http://www.opensource.org/licenses/mit-license.php
+ * The MIT License (MIT)
+ * 
+ * Copyright (c) 2011 SRI International
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated  documentation files (the "Software"), to deal in the Software without restriction,
+ * including without limitation the rights to use, copy, modify, merge, publish, distribute,
+ * sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the  Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+ * NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+ * DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function() {
+
+	/*
+	 * The version of the recording log format.
+	 * @type number
+	 */
+	var LOG_VERSION = 1,
+		/*
+		 * Map of the hemi.input functions that are recorded to the listener functions that receive
+		 * their events.
+		 * @type Object
+		 */
+		INPUT_FUNCS = {
+			keyDown: 'onKeyDown',
+			keyPress: 'onKeyPress',
+			keyUp: 'onKeyUp',
+			mouseDown: 'onMouseDown',
+			mouseMove: 'onMouseMove',
+			mouseUp: 'onMouseUp',
+			scroll: 'onScroll'
+		},
+		/*
+		 * The event properties saved for input events.
+		 * @type string[]
+		 */
+		INPUT_PROPS = ['altKey', 'button', 'charCode', 'ctrlKey', 'deltaY', 'keyCode', 'metaKey',
+			'shiftKey', 'which', 'x', 'y'],
+		/*
+		 * The hemi load functions whose callbacks (at argument index 1) are part of the World.
+		 * @type string[]
+		 */
+		LOAD_FUNCS = ['loadBinary', 'loadCollada', 'loadHtml', 'loadImage', 'loadJson',
+			'loadOctane', 'loadTexture', 'loadTextureSync', 'loadUTF8'],
+		/*
+		 * The Recorders that are currently recording.
+		 * @type hemi.Recorder[]
+		 */
+		recorders = [],
+		/*
+		 * The original hemi.dispatch and hemi.input functions while Recorders are recording.
+		 * @type Object
+		 */
+		originals = null,
+		/*
+		 * How many Messages are currently being posted inside each other.
+		 * @type number
+		 */
+		postDepth = 0,
+		/*
+		 * How many input events are currently being handled.
+		 * @type number
+		 */
+		inputDepth = 0,
+		/*
+		 * The name of the hemi.input function handling the current input event.
+		 * @type string
+		 */
+		inputFunc = null,
+		/*
+		 * How many load callbacks are currently running.
+		 * @type number
+		 */
+		loadDepth = 0,
+		/*
+		 * Flag indicating if a Player is currently replaying log entries.
+		 * @type boolean
+		 */
+		replaying = false,
+		/*
+		 * Input listener that records input events with their coordinates relative to the canvas.
+		 * @type Object
+		 */
+		inputListener = {};
+
+	for (var func in INPUT_FUNCS) {
+		inputListener[INPUT_FUNCS[func]] = recordInput;
+	}
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Recorder class
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @class A Recorder captures every Message posted through hemi.dispatch and every mouse and
+	 * key input event into a JSON log that a Player can replay. Each entry records the render frame
+	 * and time (in seconds) since recording started. The log has the structure:
+	 * <pre>
+	 * {
+	 *     version: the log format version
+	 *     fps: the frames per second enforced by Hemi while recording
+	 *     entries: [
+	 *         { type: 'msg', frame, time, depth, src, msg, data, delay }
+	 *         { type: 'input', frame, time, func, event }
+	 *     ]
+	 * }
+	 * </pre>
+	 * The src of a Message entry is the world id of its originator (or hemi.dispatch.WILDCARD for
+	 * hemi.send). Citizens in Message data are saved as 'id:' arguments. The depth of a Message
+	 * entry is 0 if it started a behavior chain from outside of the World and greater than 0 if it
+	 * was posted while handling another Message, an input event or a delayed delivery or by the
+	 * World itself while rendering or loading. The delay is only included for Messages posted with
+	 * a delay.
+	 */
+	var Recorder = function() {
+		/*
+		 * The entries recorded so far.
+		 * @type Object[]
+		 */
+		this._entries = [];
+		/*
+		 * The number of render frames since recording started.
+		 * @type number
+		 */
+		this._frame = 0;
+		/*
+		 * The time in seconds since recording started.
+		 * @type number
+		 */
+		this._time = 0;
+	};
+
+	/**
+	 * Get the log of everything recorded so far.
+	 * 
+	 * @return {Object} the recording log
+	 */
+	Recorder.prototype.getLog = function() {
+		return {
+			version: LOG_VERSION,
+			fps: hemi.getFPS(),
+			entries: this._entries.slice(0)
+		};
+	};
+
+	/**
+	 * Check if the Recorder is currently recording.
+	 * 
+	 * @return {boolean} true if the Recorder is recording
+	 */
+	Recorder.prototype.isRecording = function() {
+		return recorders.indexOf(this) !== -1;
+	};
+
+	/**
+	 * Count the render frames while recording. This is called by Hemi's render loop.
+	 * 
+	 * @param {Object} event the render event
+	 */
+	Recorder.prototype.onRender = function(event) {
+		++this._frame;
+		this._time += event.elapsedTime;
+	};
+
+	/**
+	 * Start a new recording, discarding anything recorded before.
+	 */
+	Recorder.prototype.start = function() {
+		if (!this.isRecording()) {
+			this._entries = [];
+			this._frame = 0;
+			this._time = 0;
+
+			if (recorders.length === 0) {
+				install();
+			}
+
+			recorders.push(this);
+			hemi.addRenderListener(this);
+		}
+	};
+
+	/**
+	 * Stop recording.
+	 * 
+	 * @return {Object} the recording log
+	 */
+	Recorder.prototype.stop = function() {
+		var ndx = recorders.indexOf(this);
+
+		if (ndx !== -1) {
+			recorders.splice(ndx, 1);
+			hemi.removeRenderListener(this);
+
+			if (recorders.length === 0) {
+				uninstall();
+			}
+		}
+
+		return this.getLog();
+	};
+
+	hemi.Recorder = Recorder;
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Player class
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @class A Player replays a log made by a Recorder into the current World, which should be
+	 * freshly loaded from the same Octane as the recorded World. Input events and the Messages sent
+	 * from outside of the World (depth 0) are replayed at their recorded render frames. The other
+	 * Messages are expected to be posted again by the World's behaviors, render listeners and load
+	 * callbacks. If verify is set, the
+	 * replay is recorded and compared to the log so that differences in behavior can be found.
+	 * 
+	 * @param {Object} log the recording log to replay
+	 * @param {Object} opt_config optional configuration parameters:
+	 *     verify - true to compare the Messages posted during the replay with the log
+	 */
+	var Player = function(log, opt_config) {
+		var config = opt_config || {};
+
+		/**
+		 * The recording log being replayed.
+		 * @type Object
+		 */
+		this.log = log;
+		/**
+		 * Flag indicating if the replay is compared with the log.
+		 * @type boolean
+		 */
+		this.verify = !!config.verify;
+
+		/*
+		 * Function to pass the results to when the replay finishes.
+		 * @type function(Object):void
+		 */
+		this._callback = null;
+		/*
+		 * The number of render frames since the replay started.
+		 * @type number
+		 */
+		this._frame = 0;
+		/*
+		 * The index of the next log entry to replay.
+		 * @type number
+		 */
+		this._ndx = 0;
+		/*
+		 * The frames per second enforced before the replay started.
+		 * @type number
+		 */
+		this._oldFps = null;
+		/*
+		 * Recorder used to verify the replay.
+		 * @type hemi.Recorder
+		 */
+		this._recorder = null;
+	};
+
+	/**
+	 * Check if the Player is currently replaying its log.
+	 * 
+	 * @return {boolean} true if the Player is replaying
+	 */
+	Player.prototype.isPlaying = function() {
+		return this._oldFps !== null;
+	};
+
+	/**
+	 * Replay the log entries for the next render frame. This is called by Hemi's render loop.
+	 */
+	Player.prototype.onRender = function() {
+		++this._frame;
+		replayFrame.call(this);
+	};
+
+	/**
+	 * Start replaying the log. The entries for frame 0 are replayed immediately.
+	 * 
+	 * @param {function(Object):void} opt_callback optional function to receive the results when
+	 *     the replay finishes. The results have the structure:
+	 *     {
+	 *         played: the number of log entries replayed
+	 *         mismatches: array of { index, expected, actual } for each Message entry that was
+	 *             different during the replay (only if verify is set)
+	 *     }
+	 */
+	Player.prototype.play = function(opt_callback) {
+		if (this.isPlaying()) {
+			return;
+		}
+
+		this._callback = opt_callback || null;
+		this._frame = 0;
+		this._ndx = 0;
+		this._oldFps = hemi.getFPS();
+		// Replay with the same fixed time step as the recording
+		hemi.setFPS(this.log.fps);
+
+		if (this.verify) {
+			this._recorder = new Recorder();
+			this._recorder.start();
+		}
+
+		hemi.addRenderListener(this);
+		replayFrame.call(this);
+	};
+
+	/**
+	 * Stop replaying the log.
+	 * 
+	 * @return {Object} the results of the replay (see play)
+	 */
+	Player.prototype.stop = function() {
+		if (!this.isPlaying()) {
+			return null;
+		}
+
+		var results = {
+				played: this._ndx
+			};
+
+		hemi.removeRenderListener(this);
+		hemi.setFPS(this._oldFps);
+		this._oldFps = null;
+
+		if (this._recorder !== null) {
+			results.mismatches = hemi.compareRecordings(this.log, this._recorder.stop());
+			this._recorder = null;
+		}
+
+		if (this._callback) {
+			this._callback(results);
+		}
+
+		return results;
+	};
+
+	hemi.Player = Player;
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Global functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * Compare the Message entries of two recording logs, such as a log attached to a bug report
+	 * and a log recorded while replaying it. Input events are not compared.
+	 * 
+	 * @param {Object} expected the expected recording log
+	 * @param {Object} actual the actual recording log
+	 * @return {Object[]} array of { index, expected, actual } for each Message entry that differs
+	 *     in frame, source, type or data (a missing entry is null)
+	 */
+	hemi.compareRecordings = function(expected, actual) {
+		var expEntries = getMessageEntries(expected),
+			actEntries = getMessageEntries(actual),
+			mismatches = [];
+
+		for (var i = 0, il = Math.max(expEntries.length, actEntries.length); i < il; ++i) {
+			var exp = expEntries[i] || null,
+				act = actEntries[i] || null;
+
+			if (exp === null || act === null || exp.frame !== act.frame || exp.src !== act.src ||
+					exp.msg !== act.msg || JSON.stringify(exp.data) !== JSON.stringify(act.data)) {
+				mismatches.push({
+					index: i,
+					expected: exp,
+					actual: act
+				});
+			}
+		}
+
+		return mismatches;
+	};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Add the given entry to every Recorder that is recording.
+	 * 
+	 * @param {Object} entry the log entry without its frame and time
+	 */
+	function addEntry(entry) {
+		for (var i = 0, il = recorders.length; i < il; ++i) {
+			var recorder = recorders[i],
+				copy = hemi.utils.clone(entry, false);
+
+			copy.frame = recorder._frame;
+			copy.time = recorder._time;
+			recorder._entries.push(copy);
+		}
+	}
+
+	/*
+	 * Convert the given recorded data back into Message data. 'id:' arguments are replaced by the
+	 * Citizens with those world ids.
+	 * 
+	 * @param {Object} value the recorded data
+	 * @return {Object} the Message data
+	 */
+	function fromRecordData(value) {
+		if (typeof value === 'string') {
+			if (value.substring(0, 3) === hemi.dispatch.ID_ARG) {
+				value = hemi.world.getCitizenById(parseInt(value.substring(3), 10));
+			}
+		} else if (hemi.utils.isArray(value)) {
+			value = value.slice(0);
+
+			for (var i = 0, il = value.length; i < il; ++i) {
+				value[i] = fromRecordData(value[i]);
+			}
+		} else if (value !== null && typeof value === 'object') {
+			var data = {};
+
+			for (var key in value) {
+				data[key] = fromRecordData(value[key]);
+			}
+
+			value = data;
+		}
+
+		return value;
+	}
+
+	/*
+	 * Get the Message entries from the given recording log.
+	 */
+	function getMessageEntries(log) {
+		var entries = [];
+
+		for (var i = 0, il = log.entries.length; i < il; ++i) {
+			if (log.entries[i].type === 'msg') {
+				entries.push(log.entries[i]);
+			}
+		}
+
+		return entries;
+	}
+
+	/*
+	 * Replace hemi.dispatch.postMessage and the hemi.input event functions with versions that pass
+	 * what happens to the recording Recorders.
+	 */
+	function install() {
+		var postMessage = hemi.dispatch.postMessage,
+			deliverPending = hemi.dispatch.deliverPending;
+
+		originals = {
+			deliverPending: deliverPending,
+			postMessage: postMessage
+		};
+
+		hemi.dispatch.postMessage = function(src, msg, data, opt_delay) {
+			// Messages replayed by a Player were sent from outside of the World when recorded
+			var fromWorld = !replaying && (hemi.isRendering() || loadDepth > 0),
+				entry = {
+					type: 'msg',
+					depth: postDepth + (inputDepth > 0 || fromWorld ? 1 : 0),
+					src: src._getId(),
+					msg: msg,
+					data: hemi.dispatch.toArguments(data)
+				};
+
+			if (opt_delay > 0) {
+				entry.delay = opt_delay;
+			}
+
+			addEntry(entry);
+			++postDepth;
+
+			try {
+				postMessage.call(hemi.dispatch, src, msg, data, opt_delay);
+			} finally {
+				--postDepth;
+			}
+		};
+		// Delayed deliveries are part of the behavior chain that posted them
+		hemi.dispatch.deliverPending = function(elapsed) {
+			++postDepth;
+
+			try {
+				deliverPending.call(hemi.dispatch, elapsed);
+			} finally {
+				--postDepth;
+			}
+		};
+
+		for (var func in INPUT_FUNCS) {
+			originals[func] = hemi.input[func];
+			hemi.input[func] = wrapInput(func, hemi.input[func]);
+		}
+
+		for (var i = 0, il = LOAD_FUNCS.length; i < il; ++i) {
+			var name = LOAD_FUNCS[i];
+
+			originals[name] = hemi[name];
+			hemi[name] = wrapLoad(hemi[name]);
+		}
+
+		// Listen for the input events to get their coordinates relative to the canvas
+		hemi.input.addKeyDownListener(inputListener);
+		hemi.input.addKeyPressListener(inputListener);
+		hemi.input.addKeyUpListener(inputListener);
+		hemi.input.addMouseDownListener(inputListener);
+		hemi.input.addMouseMoveListener(inputListener);
+		hemi.input.addMouseUpListener(inputListener);
+		hemi.input.addMouseWheelListener(inputListener);
+	}
+
+	/*
+	 * Record the given input event from hemi.input.
+	 * 
+	 * @param {Object} event the input event with coordinates relative to the canvas
+	 */
+	function recordInput(event) {
+		var saved = {};
+
+		for (var i = 0, il = INPUT_PROPS.length; i < il; ++i) {
+			var prop = INPUT_PROPS[i];
+
+			if (event[prop] !== undefined) {
+				saved[prop] = event[prop];
+			}
+		}
+
+		addEntry({
+			type: 'input',
+			func: inputFunc,
+			event: saved
+		});
+	}
+
+	/*
+	 * Replay the given log entry if it is an input event or a Message sent from outside of the
+	 * World. The World posts the other Messages again by itself.
+	 * 
+	 * @param {Object} entry the log entry to replay
+	 */
+	function replayEntry(entry) {
+		if (entry.type === 'input') {
+			var event = hemi.utils.clone(entry.event, false);
+
+			// Without a target, the recorded canvas coordinates are used as they are
+			event.pageX = event.x;
+			event.pageY = event.y;
+			event.wheelDelta = event.deltaY;
+			hemi.input[entry.func](event);
+		} else if (entry.depth === 0) {
+			var src = entry.src === hemi.dispatch.WILDCARD ? null :
+					hemi.world.getCitizenById(entry.src),
+				data = fromRecordData(entry.data);
+
+			if (src !== null) {
+				hemi.dispatch.postMessage(src, entry.msg, data, entry.delay);
+			} else if (entry.src === hemi.dispatch.WILDCARD) {
+				hemi.send(entry.msg, data, entry.delay);
+			}
+		}
+	}
+
+	/*
+	 * Replay the log entries up to the Player's current frame and stop if the log is finished.
+	 */
+	function replayFrame() {
+		var entries = this.log.entries,
+			lastFrame = entries.length > 0 ? entries[entries.length - 1].frame : 0;
+
+		replaying = true;
+
+		try {
+			while (this._ndx < entries.length && entries[this._ndx].frame <= this._frame) {
+				replayEntry(entries[this._ndx++]);
+			}
+		} finally {
+			replaying = false;
+		}
+
+		if (this._frame >= lastFrame && this._ndx >= entries.length) {
+			this.stop();
+		}
+	}
+
+	/*
+	 * Restore the original hemi.dispatch and hemi.input functions.
+	 */
+	function uninstall() {
+		hemi.dispatch.deliverPending = originals.deliverPending;
+		hemi.dispatch.postMessage = originals.postMessage;
+
+		for (var func in INPUT_FUNCS) {
+			hemi.input[func] = originals[func];
+		}
+
+		for (var i = 0, il = LOAD_FUNCS.length; i < il; ++i) {
+			hemi[LOAD_FUNCS[i]] = originals[LOAD_FUNCS[i]];
+		}
+
+		hemi.input.removeKeyDownListener(inputListener);
+		hemi.input.removeKeyPressListener(inputListener);
+		hemi.input.removeKeyUpListener(inputListener);
+		hemi.input.removeMouseDownListener(inputListener);
+		hemi.input.removeMouseMoveListener(inputListener);
+		hemi.input.removeMouseUpListener(inputListener);
+		hemi.input.removeMouseWheelListener(inputListener);
+		originals = null;
+	}
+
+	/*
+	 * Wrap the given hemi load function so that Messages posted by its callback are recorded as
+	 * posted by the World.
+	 * 
+	 * @param {function(string, function):Object} func the hemi load function
+	 * @return {function(string, function):Object} the wrapped function
+	 */
+	function wrapLoad(func) {
+		return function() {
+			var args = Array.prototype.slice.call(arguments),
+				callback = args[1];
+
+			if (typeof callback === 'function') {
+				args[1] = function() {
+					++loadDepth;
+
+					try {
+						return callback.apply(this, arguments);
+					} finally {
+						--loadDepth;
+					}
+				};
+			}
+
+			return func.apply(hemi, args);
+		};
+	}
+
+	/*
+	 * Wrap the given hemi.input function so that Messages posted while it handles an input event
+	 * are recorded as part of the behavior chain the event started.
+	 * 
+	 * @param {string} name the name of the hemi.input function
+	 * @param {function(Object):void} func the hemi.input function
+	 * @return {function(Object):void} the wrapped function
+	 */
+	function wrapInput(name, func) {
+		return function(event) {
+			++inputDepth;
+			inputFunc = name;
+
+			try {
+				func.call(hemi.input, event);
+			} finally {
+				--inputDepth;
+			}
+		};
+	}
+
+})();
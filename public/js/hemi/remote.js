@@ -0,0 +1,319 @@
+/*
+ * Licensed under the MIT license: http://www.opensource.org/licenses/mit-license.php
+ * The MIT License (MIT)
+ * 
+ * Copyright (c) 2011 SRI International
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated  documentation files (the "Software"), to deal in the Software without restriction,
+ * including without limitation the rights to use, copy, modify, merge, publish, distribute,
+ * sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the  Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+ * NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+ * DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function() {
+
+	/*
+	 * The WebSocket protocol of the Kuda server that relays remote control commands.
+	 * @type string
+	 */
+	var PROTOCOL = 'kuda-remote';
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// RemoteBridge class
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @class A RemoteBridge connects a running World to a channel on the Kuda server so that it can
+	 * be driven by a remote console. A bridge with the 'world' role executes the commands it
+	 * receives and forwards selected Messages to the consoles on the channel. A bridge with the
+	 * 'console' role sends commands and receives the forwarded Messages.
+	 * <p>
+	 * Commands are JSON objects with one of the following forms:
+	 * <pre>
+	 * { type: 'send', msg: 'hemi.start', data: {} }
+	 *     - calls hemi.send with the given Message type and data
+	 * { type: 'call', citizen: 12, method: 'moveToView', args: ['id:14', 2] }
+	 *     - calls the method on the Citizen with the given world id (or name)
+	 * </pre>
+	 * Arguments use the same format as MessageTargets, so 'id:14' is replaced by the Citizen with
+	 * world id 14. A command may include an id that is returned with its result.
+	 * 
+	 * @param {Object} opt_config optional configuration parameters:
+	 *     url - WebSocket url of the server (default is the server that served the page)
+	 *     channel - name of the channel to join (default is 'default')
+	 *     token - secret shared by the worlds and consoles on the channel (required)
+	 *     role - 'world' or 'console' (default is 'world')
+	 *     forward - array of Message types to forward to consoles (default is none)
+	 *     methods - map of Citizen types to arrays of method names that commands may call. If not
+	 *         set, no methods may be called.
+	 */
+	var RemoteBridge = function(opt_config) {
+		var config = opt_config || {};
+
+		/**
+		 * The name of the channel the RemoteBridge has joined.
+		 * @type string
+		 */
+		this.channel = config.channel || 'default';
+		/**
+		 * Array of Message types forwarded to remote consoles.
+		 * @type string[]
+		 */
+		this.forward = config.forward || [];
+		/**
+		 * Map of Citizen types to the method names that commands are allowed to call.
+		 * @type Object
+		 */
+		this.methods = config.methods || {};
+		/**
+		 * The role of the RemoteBridge, either 'world' or 'console'.
+		 * @type string
+		 */
+		this.role = config.role || 'world';
+		/**
+		 * The secret that the server checks before letting the RemoteBridge join its channel.
+		 * The first client to join a channel sets its token.
+		 * @type string
+		 */
+		this.token = config.token || null;
+		/**
+		 * The WebSocket url of the server.
+		 * @type string
+		 */
+		this.url = config.url || 'ws://' + window.location.host;
+
+		/*
+		 * Array of functions to call with Messages from the remote channel.
+		 * @type function(Object):void[]
+		 */
+		this._listeners = [];
+		/*
+		 * The id of the next command sent by a console.
+		 * @type number
+		 */
+		this._nextCmdId = 1;
+		/*
+		 * The open WebSocket connection.
+		 * @type WebSocket
+		 */
+		this._socket = null;
+		/*
+		 * MessageTargets created for forwarding Messages.
+		 * @type hemi.dispatch.MessageTarget[]
+		 */
+		this._targets = [];
+	};
+
+	/**
+	 * Add a listener to receive Messages from the remote channel. For a world, these are the
+	 * results of commands. For a console, these are also the Messages forwarded by worlds.
+	 * 
+	 * @param {function(Object):void} listener function that receives each remote Message
+	 */
+	RemoteBridge.prototype.addListener = function(listener) {
+		if (this._listeners.indexOf(listener) === -1) {
+			this._listeners.push(listener);
+		}
+	};
+
+	/**
+	 * Connect to the server and join the RemoteBridge's channel.
+	 */
+	RemoteBridge.prototype.connect = function() {
+		var that = this,
+			socket = new WebSocket(this.url, PROTOCOL);
+
+		socket.onopen = function() {
+			that._socket = socket;
+			sendRemote.call(that, 'join', {
+				channel: that.channel,
+				role: that.role,
+				token: that.token
+			});
+
+			if (that.role === 'world') {
+				for (var i = 0, il = that.forward.length; i < il; ++i) {
+					that._targets.push(hemi.subscribe(that.forward[i], that, 'forwardMessage'));
+				}
+			}
+		};
+		socket.onclose = function() {
+			that._socket = null;
+			removeTargets.call(that);
+		};
+		socket.onmessage = function(evt) {
+			var remote = JSON.parse(evt.data);
+
+			if (remote.msg === 'command' && that.role === 'world') {
+				that.execute(remote.data);
+			} else {
+				for (var i = 0, il = that._listeners.length; i < il; ++i) {
+					that._listeners[i](remote);
+				}
+			}
+		};
+	};
+
+	/**
+	 * Close the connection to the server.
+	 */
+	RemoteBridge.prototype.disconnect = function() {
+		if (this._socket !== null) {
+			this._socket.close();
+			this._socket = null;
+		}
+
+		removeTargets.call(this);
+	};
+
+	/**
+	 * Execute the given remote command and send its result back to the channel.
+	 * 
+	 * @param {Object} command the command to execute
+	 * @return {Object} the result of the command with either a result or an error property
+	 */
+	RemoteBridge.prototype.execute = function(command) {
+		var result = {
+				id: command.id
+			};
+
+		try {
+			switch (command.type) {
+				case 'send':
+					hemi.send(command.msg, command.data || {});
+					result.result = true;
+					break;
+				case 'call':
+					result.result = hemi.dispatch.toArguments(callMethod.call(this, command));
+					break;
+				default:
+					throw new Error('Unknown command type ' + command.type);
+			}
+		} catch (e) {
+			result.error = e.message;
+		}
+
+		sendRemote.call(this, 'result', result);
+		return result;
+	};
+
+	/**
+	 * Forward the given Message to the consoles on the channel. This is called for each Message
+	 * type in the forward list.
+	 * 
+	 * @param {hemi.dispatch.Message} message the Message to forward
+	 */
+	RemoteBridge.prototype.forwardMessage = function(message) {
+		var src = message.src;
+
+		sendRemote.call(this, 'message', {
+			msg: message.msg,
+			src: src && src._getId ? src._getId() : null,
+			data: hemi.dispatch.toArguments(message.data)
+		});
+	};
+
+	/**
+	 * Remove the given listener from the RemoteBridge.
+	 * 
+	 * @param {function(Object):void} listener the listener to remove
+	 * @return {function(Object):void} the removed listener or null
+	 */
+	RemoteBridge.prototype.removeListener = function(listener) {
+		var ndx = this._listeners.indexOf(listener);
+		return ndx === -1 ? null : this._listeners.splice(ndx, 1)[0];
+	};
+
+	/**
+	 * Send a command to the worlds on the channel. This is meant to be used by a console.
+	 * 
+	 * @param {Object} command the command to send
+	 * @return {number} the id of the command, which is included with its results
+	 */
+	RemoteBridge.prototype.sendCommand = function(command) {
+		if (command.id === undefined) {
+			command.id = this._nextCmdId++;
+		}
+
+		sendRemote.call(this, 'command', command);
+		return command.id;
+	};
+
+	hemi.RemoteBridge = RemoteBridge;
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Call the Citizen method specified by the given command.
+	 * 
+	 * @param {Object} command command with the citizen, method and args to call
+	 * @return {Object} the value returned by the method
+	 */
+	function callMethod(command) {
+		var citizen = typeof command.citizen === 'number' ?
+				hemi.world.getCitizens({ _worldId: command.citizen })[0] :
+				hemi.world.getCitizens({ name: command.citizen })[0],
+			method = command.method;
+
+		if (!citizen) {
+			throw new Error('No Citizen found for ' + command.citizen);
+		} else if (typeof method !== 'string' || typeof citizen[method] !== 'function' ||
+				!isAllowed.call(this, citizen, method)) {
+			throw new Error('Method ' + method + ' may not be called on ' + command.citizen);
+		}
+
+		return citizen[method].apply(citizen, hemi.dispatch.getArguments(null, command.args || []));
+	}
+
+	/*
+	 * Check if commands may call the given method of the Citizen.
+	 * 
+	 * @param {Object} citizen the Citizen to check
+	 * @param {string} method name of the method
+	 * @return {boolean} true if the method may be called
+	 */
+	function isAllowed(citizen, method) {
+		var type = citizen._octaneType;
+
+		return this.methods.hasOwnProperty(type) && this.methods[type].indexOf(method) !== -1;
+	}
+
+	/*
+	 * Remove the MessageTargets created for forwarding Messages.
+	 */
+	function removeTargets() {
+		for (var i = 0, il = this._targets.length; i < il; ++i) {
+			hemi.unsubscribe(this._targets[i]);
+		}
+
+		this._targets = [];
+	}
+
+	/*
+	 * Send a message to the server if the RemoteBridge is connected.
+	 * 
+	 * @param {string} msg type of message
+	 * @param {Object} data message data
+	 */
+	function sendRemote(msg, data) {
+		if (this._socket !== null) {
+			this._socket.send(JSON.stringify({
+				msg: msg,
+				data: data
+			}));
+		}
+	}
+
+})();
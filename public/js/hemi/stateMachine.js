@@ -0,0 +1,718 @@
+/*
+ * Licensed under the MIT license: http://www.opensource.org/licenses/mit-license.php
+ * The MIT License (MIT)
+ * 
+ * Copyright (c) 2011 SRI International
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated  documentation files (the "Software"), to deal in the Software without restriction,
+ * including without limitation the rights to use, copy, modify, merge, publish, distribute,
+ * sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all copies or
+ * substantial portions of the  Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+ * NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+ * DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function() {
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// StateAction class
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @class A StateAction calls a function of a Citizen when a StateMachine enters or exits a
+	 * StateNode or takes a StateTransition.
+	 */
+	var StateAction = function() {
+		/**
+		 * The Citizen to call the function on.
+		 * @type hemi.world.Citizen
+		 */
+		this.handler = null;
+		/**
+		 * The name of the function to call.
+		 * @type string
+		 */
+		this.func = null;
+		/**
+		 * Optional array of arguments to pass to the function, in the same format as MessageTarget
+		 * arguments. Otherwise the Message that caused the action is passed.
+		 * @type string[]
+		 */
+		this.args = null;
+	};
+
+	/*
+	 * Octane properties for StateAction.
+	 * @type string[]
+	 */
+	StateAction.prototype._octane = ['handler', 'func', 'args'];
+
+	/**
+	 * Call the StateAction's function with the given Message.
+	 * 
+	 * @param {hemi.dispatch.Message} message the Message that caused the action
+	 */
+	StateAction.prototype.execute = function(message) {
+		var args = this.args !== null ? hemi.dispatch.getArguments(message, this.args) : [message];
+		this.handler[this.func].apply(this.handler, args);
+	};
+
+	hemi.StateAction = StateAction;
+	hemi.makeOctanable(hemi.StateAction, 'hemi.StateAction', hemi.StateAction.prototype._octane);
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// StateNode class
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @class A StateNode is a named state in a StateMachine. It may load and unload a State as it
+	 * is entered and exited (which sends the State's load and unload Messages) and it may have
+	 * sub-states, of which one is active whenever the StateNode is active.
+	 */
+	var StateNode = function() {
+		/**
+		 * The name of the StateNode, which must be unique within its StateMachine.
+		 * @type string
+		 * @default ''
+		 */
+		this.name = '';
+		/**
+		 * The State to load when the StateNode is entered and unload when it is exited.
+		 * @type hemi.State
+		 */
+		this.state = null;
+		/**
+		 * The name of the StateNode that this StateNode is a sub-state of (or null if it is at the
+		 * top level).
+		 * @type string
+		 */
+		this.parent = null;
+		/**
+		 * The name of the sub-state to enter when the StateNode is entered. If not set, the first
+		 * sub-state is entered.
+		 * @type string
+		 */
+		this.initial = null;
+		/**
+		 * Flag indicating if the StateNode should return to the sub-state that was last active
+		 * instead of the initial one when it is entered again.
+		 * @type boolean
+		 * @default false
+		 */
+		this.history = false;
+		/**
+		 * The StateActions to execute when the StateNode is entered.
+		 * @type hemi.StateAction[]
+		 */
+		this.entry = [];
+		/**
+		 * The StateActions to execute when the StateNode is exited.
+		 * @type hemi.StateAction[]
+		 */
+		this.exit = [];
+	};
+
+	/*
+	 * Octane properties for StateNode.
+	 * @type string[]
+	 */
+	StateNode.prototype._octane = ['state', 'parent', 'initial', 'history', 'entry', 'exit'];
+
+	hemi.StateNode = StateNode;
+	hemi.makeOctanable(hemi.StateNode, 'hemi.StateNode', hemi.StateNode.prototype._octane);
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// StateTransition class
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @class A StateTransition moves a StateMachine from one StateNode to another. It is taken
+	 * when its Message is received (or when it is fired by name) while its from StateNode is
+	 * active and its guard condition is true.
+	 */
+	var StateTransition = function() {
+		/**
+		 * The name of the StateTransition, used to fire it directly.
+		 * @type string
+		 * @default ''
+		 */
+		this.name = '';
+		/**
+		 * The name of the StateNode the StateTransition starts from.
+		 * @type string
+		 */
+		this.from = null;
+		/**
+		 * The name of the StateNode the StateTransition goes to.
+		 * @type string
+		 */
+		this.to = null;
+		/**
+		 * The Citizen that must send the triggering Message (or null for any source).
+		 * @type hemi.world.Citizen
+		 */
+		this.source = null;
+		/**
+		 * The type of Message that triggers the StateTransition (or null if it is only fired by
+		 * name).
+		 * @type string
+		 */
+		this.msg = null;
+		/**
+		 * Optional guard condition that must be true for the StateTransition to be taken. See
+		 * hemi.checkCondition for the format.
+		 * @type Object
+		 */
+		this.condition = null;
+		/**
+		 * The StateActions to execute when the StateTransition is taken.
+		 * @type hemi.StateAction[]
+		 */
+		this.actions = [];
+	};
+
+	/*
+	 * Octane properties for StateTransition.
+	 * @type string[]
+	 */
+	StateTransition.prototype._octane = ['from', 'to', 'source', 'msg', 'condition', 'actions'];
+
+	/**
+	 * Check if the StateTransition should be taken for the given Message.
+	 * 
+	 * @param {hemi.dispatch.Message} message the Message to check
+	 * @return {boolean} true if the StateTransition's trigger and condition match
+	 */
+	StateTransition.prototype.matches = function(message) {
+		return this.msg === message.msg &&
+			(this.source === null || this.source === message.src) &&
+			(this.condition === null || hemi.checkCondition(this.condition, message));
+	};
+
+	hemi.StateTransition = StateTransition;
+	hemi.makeOctanable(hemi.StateTransition, 'hemi.StateTransition',
+		hemi.StateTransition.prototype._octane);
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// StateMachine class
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @class A StateMachine is a graph of StateNodes connected by named StateTransitions. Unlike a
+	 * chain of States, it can branch on Messages and guard conditions, run entry and exit actions,
+	 * and nest sub-states that may remember their last active sub-state (history). Transitions of
+	 * inner StateNodes are checked before those of the StateNodes that contain them.
+	 */
+	var StateMachine = function() {
+		/**
+		 * The StateNodes of the StateMachine.
+		 * @type hemi.StateNode[]
+		 */
+		this.nodes = [];
+		/**
+		 * The StateTransitions of the StateMachine.
+		 * @type hemi.StateTransition[]
+		 */
+		this.transitions = [];
+		/**
+		 * The name of the top level StateNode to enter when the StateMachine starts. If not set,
+		 * the first top level StateNode is entered.
+		 * @type string
+		 */
+		this.initial = null;
+
+		/*
+		 * The active StateNodes from the top level down to the current StateNode.
+		 * @type hemi.StateNode[]
+		 */
+		this._active = [];
+		/*
+		 * The name of the last active sub-state by the name of its parent StateNode.
+		 * @type Object
+		 */
+		this._history = {};
+		/*
+		 * The MessageTargets that receive the Messages that trigger StateTransitions, with the
+		 * source id and Message type they were registered for.
+		 * @type Object[]
+		 */
+		this._targets = [];
+	};
+
+	/*
+	 * Remove all references in the StateMachine.
+	 */
+	StateMachine.prototype._clean = function() {
+		removeTargets.call(this);
+		this._active = [];
+		this._history = {};
+		this.nodes = [];
+		this.transitions = [];
+	};
+
+	/*
+	 * Array of Hemi Messages that StateMachine is known to send.
+	 * @type string[]
+	 */
+	StateMachine.prototype._msgSent = [hemi.msg.start, hemi.msg.stop, hemi.msg.transition];
+
+	/*
+	 * Octane properties for StateMachine.
+	 * @type string[]
+	 */
+	StateMachine.prototype._octane = ['nodes', 'transitions', 'initial'];
+
+	/**
+	 * Add a StateNode with the given name to the StateMachine.
+	 * 
+	 * @param {string} name unique name for the StateNode
+	 * @param {Object} opt_config optional StateNode properties: state, parent, initial, history,
+	 *     entry and exit
+	 * @return {hemi.StateNode} the new StateNode
+	 */
+	StateMachine.prototype.addNode = function(name, opt_config) {
+		var node = new hemi.StateNode();
+		hemi.utils.join(node, opt_config || {}, false);
+		node.name = name;
+		this.nodes.push(node);
+		return node;
+	};
+
+	/**
+	 * Add a StateTransition with the given name between the given StateNodes.
+	 * 
+	 * @param {string} name name of the StateTransition
+	 * @param {string} from name of the StateNode to start from
+	 * @param {string} to name of the StateNode to go to
+	 * @param {Object} opt_config optional StateTransition properties: source, msg, condition and
+	 *     actions
+	 * @return {hemi.StateTransition} the new StateTransition
+	 */
+	StateMachine.prototype.addTransition = function(name, from, to, opt_config) {
+		var transition = new hemi.StateTransition();
+		hemi.utils.join(transition, opt_config || {}, false);
+		transition.name = name;
+		transition.from = from;
+		transition.to = to;
+		this.transitions.push(transition);
+
+		if (this.isRunning()) {
+			addTargets.call(this);
+		}
+
+		return transition;
+	};
+
+	/**
+	 * Take the StateTransition with the given name if it starts from an active StateNode and its
+	 * guard condition is true. The condition is checked against a Message from the StateMachine
+	 * with the given data.
+	 * 
+	 * @param {string} name name of the StateTransition
+	 * @param {Object} opt_data optional data for the guard condition and actions
+	 * @return {boolean} true if a StateTransition was taken
+	 */
+	StateMachine.prototype.fire = function(name, opt_data) {
+		var message = new hemi.dispatch.Message();
+		message.src = this;
+		message.msg = name;
+		message.data = opt_data || {};
+
+		return takeFirst.call(this, message, function(transition) {
+			return transition.name === name && (transition.condition === null ||
+				hemi.checkCondition(transition.condition, message));
+		});
+	};
+
+	/**
+	 * Get the name of the innermost active StateNode.
+	 * 
+	 * @return {string} the name of the current StateNode or null if the StateMachine is stopped
+	 */
+	StateMachine.prototype.getCurrent = function() {
+		var active = this._active;
+		return active.length > 0 ? active[active.length - 1].name : null;
+	};
+
+	/**
+	 * Get the StateNode with the given name.
+	 * 
+	 * @param {string} name name of the StateNode
+	 * @return {hemi.StateNode} the matching StateNode or null
+	 */
+	StateMachine.prototype.getNode = function(name) {
+		for (var i = 0, il = this.nodes.length; i < il; ++i) {
+			if (this.nodes[i].name === name) {
+				return this.nodes[i];
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * Handle a Message that may trigger a StateTransition. The StateMachine registers for the
+	 * Messages of its StateTransitions while it is running.
+	 * 
+	 * @param {hemi.dispatch.Message} message the Message to handle
+	 */
+	StateMachine.prototype.handleMessage = function(message) {
+		takeFirst.call(this, message, function(transition) {
+			return transition.matches(message);
+		});
+	};
+
+	/**
+	 * Build the StateMachine from a chain of States linked by next and prev. Each State gets a
+	 * StateNode with StateTransitions named 'next' and 'prev', so nextState and previousState
+	 * become fire('next') and fire('prev'). If a State in the chain is loaded, the StateMachine
+	 * starts there without loading it again.
+	 * 
+	 * @param {hemi.State} state any State in the chain
+	 */
+	StateMachine.prototype.importChain = function(state) {
+		var first = state,
+			cur = state,
+			loaded = null,
+			names = [];
+
+		while (first.prev !== null && first.prev !== state) {
+			first = first.prev;
+		}
+
+		cur = first;
+
+		do {
+			var node = this.addNode(cur.name || 'state' + cur._getId(), {
+					state: cur
+				});
+
+			if (cur.isLoaded) {
+				loaded = node;
+			}
+
+			names.push(node.name);
+			cur = cur.next;
+		} while (cur !== null && cur !== first);
+
+		// A chain that loops back to its first State keeps the loop
+		if (cur === first && names.length > 1) {
+			names.push(names[0]);
+		}
+
+		for (var i = 1, il = names.length; i < il; ++i) {
+			this.addTransition('next', names[i - 1], names[i]);
+			this.addTransition('prev', names[i], names[i - 1]);
+		}
+
+		if (this.initial === null) {
+			this.initial = names[0];
+		}
+
+		if (loaded !== null && !this.isRunning()) {
+			this._active = [loaded];
+			addTargets.call(this);
+		}
+	};
+
+	/**
+	 * Check if the StateNode with the given name is active (it is the current StateNode or
+	 * contains it).
+	 * 
+	 * @param {string} name name of the StateNode
+	 * @return {boolean} true if the StateNode is active
+	 */
+	StateMachine.prototype.isActive = function(name) {
+		for (var i = 0, il = this._active.length; i < il; ++i) {
+			if (this._active[i].name === name) {
+				return true;
+			}
+		}
+
+		return false;
+	};
+
+	/**
+	 * Check if the StateMachine has been started.
+	 * 
+	 * @return {boolean} true if the StateMachine is running
+	 */
+	StateMachine.prototype.isRunning = function() {
+		return this._active.length > 0;
+	};
+
+	/**
+	 * Start the StateMachine by entering its initial StateNode. If it is already running, it is
+	 * stopped first.
+	 */
+	StateMachine.prototype.start = function() {
+		var message = this._createMessage(hemi.msg.start),
+			node = this.initial !== null ? this.getNode(this.initial) : getChildren.call(this,
+				null)[0];
+
+		if (!node) {
+			hemi.error('StateMachine ' + this.name + ' has no initial StateNode');
+			return;
+		}
+
+		this.stop();
+		this._history = {};
+		addTargets.call(this);
+		this.send(hemi.msg.start, {});
+		enter.call(this, [node], message);
+	};
+
+	/**
+	 * Stop the StateMachine by exiting all of its active StateNodes.
+	 */
+	StateMachine.prototype.stop = function() {
+		if (this.isRunning()) {
+			exitTo.call(this, 0, this._createMessage(hemi.msg.stop));
+			removeTargets.call(this);
+			this.send(hemi.msg.stop, {});
+		}
+	};
+
+	/*
+	 * Create a Message from the StateMachine to pass to actions that were not caused by a Message.
+	 * 
+	 * @param {string} msg type of Message
+	 * @return {hemi.dispatch.Message} the new Message
+	 */
+	StateMachine.prototype._createMessage = function(msg) {
+		var message = new hemi.dispatch.Message();
+		message.src = this;
+		message.msg = msg;
+		return message;
+	};
+
+	hemi.makeCitizen(StateMachine, 'hemi.StateMachine', {
+		cleanup: StateMachine.prototype._clean,
+		toOctane: StateMachine.prototype._octane
+	});
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Register for the Messages that trigger the StateMachine's StateTransitions. The handler is a
+	 * function so that the MessageTargets are not saved with the World's Octane.
+	 */
+	function addTargets() {
+		var that = this,
+			handler = function(message) {
+				that.handleMessage(message);
+			},
+			added = {};
+
+		removeTargets.call(this);
+
+		for (var i = 0, il = this.transitions.length; i < il; ++i) {
+			var transition = this.transitions[i],
+				src = transition.source === null ? hemi.dispatch.WILDCARD :
+					transition.source._getId(),
+				key = src + transition.msg;
+
+			if (transition.msg !== null && !added[key]) {
+				added[key] = true;
+				this._targets.push({
+					target: hemi.dispatch.registerTarget(src, transition.msg, handler),
+					src: src,
+					msg: transition.msg
+				});
+			}
+		}
+	}
+
+	/*
+	 * Enter the given StateNodes in order and then the sub-states of the last one until the
+	 * innermost StateNode is reached.
+	 * 
+	 * @param {hemi.StateNode[]} nodes StateNodes to enter from outermost to innermost
+	 * @param {hemi.dispatch.Message} message the Message that caused the StateNodes to be entered
+	 */
+	function enter(nodes, message) {
+		var node = nodes[nodes.length - 1],
+			children = getChildren.call(this, node.name);
+
+		while (children.length > 0) {
+			var name = node.history && this._history[node.name] !== undefined ?
+					this._history[node.name] : node.initial;
+
+			node = name !== null ? this.getNode(name) : children[0];
+			nodes.push(node);
+			children = getChildren.call(this, node.name);
+		}
+
+		for (var i = 0, il = nodes.length; i < il; ++i) {
+			node = nodes[i];
+			this._active.push(node);
+
+			if (node.state !== null) {
+				node.state.load();
+			}
+
+			executeActions(node.entry, message);
+		}
+	}
+
+	/*
+	 * Execute the given StateActions.
+	 * 
+	 * @param {hemi.StateAction[]} actions the StateActions to execute
+	 * @param {hemi.dispatch.Message} message the Message that caused the actions
+	 */
+	function executeActions(actions, message) {
+		for (var i = 0, il = actions.length; i < il; ++i) {
+			actions[i].execute(message);
+		}
+	}
+
+	/*
+	 * Exit active StateNodes from the innermost out until only the given number remain active.
+	 * 
+	 * @param {number} depth the number of StateNodes to leave active
+	 * @param {hemi.dispatch.Message} message the Message that caused the StateNodes to be exited
+	 */
+	function exitTo(depth, message) {
+		while (this._active.length > depth) {
+			var node = this._active.pop();
+
+			if (node.parent !== null) {
+				this._history[node.parent] = node.name;
+			}
+
+			executeActions(node.exit, message);
+
+			if (node.state !== null) {
+				node.state.unload();
+			}
+		}
+	}
+
+	/*
+	 * Get the StateNodes that are sub-states of the StateNode with the given name.
+	 * 
+	 * @param {string} name name of the parent StateNode or null for the top level
+	 * @return {hemi.StateNode[]} array of sub-states
+	 */
+	function getChildren(name) {
+		var children = [];
+
+		for (var i = 0, il = this.nodes.length; i < il; ++i) {
+			if (this.nodes[i].parent === name) {
+				children.push(this.nodes[i]);
+			}
+		}
+
+		return children;
+	}
+
+	/*
+	 * Get the StateNodes from the top level down to the given StateNode.
+	 * 
+	 * @param {hemi.StateNode} node the StateNode to get the path to
+	 * @return {hemi.StateNode[]} array of StateNodes ending with the given one
+	 */
+	function getPath(node) {
+		var path = [node];
+
+		while (node.parent !== null) {
+			node = this.getNode(node.parent);
+			path.unshift(node);
+		}
+
+		return path;
+	}
+
+	/*
+	 * Remove the MessageTargets created for the StateMachine's StateTransitions.
+	 */
+	function removeTargets() {
+		for (var i = 0, il = this._targets.length; i < il; ++i) {
+			var entry = this._targets[i];
+
+			hemi.dispatch.removeTarget(entry.target, {
+				src: entry.src,
+				msg: entry.msg
+			});
+		}
+
+		this._targets = [];
+	}
+
+	/*
+	 * Take the first StateTransition from the active StateNodes (innermost first) that passes the
+	 * given check.
+	 * 
+	 * @param {hemi.dispatch.Message} message the Message causing the StateTransition
+	 * @param {function(hemi.StateTransition):boolean} check function to choose the StateTransition
+	 * @return {boolean} true if a StateTransition was taken
+	 */
+	function takeFirst(message, check) {
+		for (var i = this._active.length - 1; i >= 0; --i) {
+			var from = this._active[i].name;
+
+			for (var j = 0, jl = this.transitions.length; j < jl; ++j) {
+				var transition = this.transitions[j];
+
+				if (transition.from === from && check(transition)) {
+					takeTransition.call(this, transition, i, message);
+					return true;
+				}
+			}
+		}
+
+		return false;
+	}
+
+	/*
+	 * Exit the StateNodes that the given StateTransition leaves, execute its actions and enter the
+	 * StateNodes it goes to. A StateTransition to the StateNode it starts from (or one containing
+	 * it) exits and enters that StateNode again.
+	 * 
+	 * @param {hemi.StateTransition} transition the StateTransition to take
+	 * @param {number} fromNdx index of the StateTransition's from StateNode in the active StateNodes
+	 * @param {hemi.dispatch.Message} message the Message causing the StateTransition
+	 */
+	function takeTransition(transition, fromNdx, message) {
+		var to = this.getNode(transition.to),
+			from = this.getCurrent();
+
+		if (to === null) {
+			hemi.error('StateMachine ' + this.name + ' has no StateNode ' + transition.to);
+			return;
+		}
+
+		var path = getPath.call(this, to),
+			common = 0;
+
+		while (common <= fromNdx && common < path.length && this._active[common] === path[common]) {
+			++common;
+		}
+
+		if (common === path.length) {
+			--common;
+		}
+
+		exitTo.call(this, common, message);
+		executeActions(transition.actions, message);
+		enter.call(this, path.slice(common), message);
+
+		this.send(hemi.msg.transition, {
+			transition: transition.name,
+			from: from,
+			to: this.getCurrent()
+		});
+	}
+
+})();
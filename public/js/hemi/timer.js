@@ -28,65 +28,176 @@
 
 	/**
 	 * @class A Timer is a simple countdown timer that can be used to script behavior and sequence
-	 * events.
+	 * events. It counts world time, so it pauses and scales with the world clock like animations.
+	 * A Timer can repeat its count down with an interval between repetitions and can send tick
+	 * Messages with the remaining time for countdown displays.
 	 */
 	var Timer = function() {
 		/*
-		 * The epoch time that this Timer was last started (or resumed).
-		 * @type number
+		 * Flag indicating if the Timer has been started and not stopped.
+		 * @type boolean
 		 */
-		this._started = null;
+		this._started = false;
 		/*
-		 * The elapsed time (not including any currently running JS timer).
+		 * The elapsed world time in milliseconds of the current count down (or interval).
 		 * @type number
 		 */
 		this._time = 0;
 		/*
-		 * The id of the current JS timer.
+		 * Flag indicating if the Timer is counting down (started and not paused).
+		 * @type boolean
+		 */
+		this._running = false;
+		/*
+		 * The number of the current count down, starting at 1.
+		 * @type number
+		 */
+		this._iteration = 0;
+		/*
+		 * The elapsed time of the next tick Message.
+		 * @type number
+		 */
+		this._nextTick = 0;
+		/*
+		 * Flag indicating if the Timer is waiting for the interval between count downs.
+		 * @type boolean
+		 */
+		this._waiting = false;
+		/**
+		 * The time to wait between repeated count downs (milliseconds).
 		 * @type number
+		 * @default 0
 		 */
-		this._timeId = null;
+		this.interval = 0;
+		/**
+		 * The number of times the Timer counts down when started, or -1 to repeat until it is
+		 * stopped.
+		 * @type number
+		 * @default 1
+		 */
+		this.repeat = 1;
 		/**
 		 * The time the timer will start counting down from (milliseconds).
 		 * @type number
 		 * @default 1000
 		 */
 		this.startTime = 1000;
+		/**
+		 * The time between tick Messages while counting down (milliseconds), or 0 to not send
+		 * tick Messages.
+		 * @type number
+		 * @default 0
+		 */
+		this.tick = 0;
 	};
 
 	/*
 	 * Remove all references in the Timer.
 	 */
 	Timer.prototype._clean = function() {
-		if (this._timeId !== null) {
-			clearTimeout(this._timeId);
-			this._timeId = null;
-			this._started = null;
-		}
+		hemi.removeRenderListener(this);
+		this._running = false;
+		this._started = false;
 	};
 
 	/*
 	 * Array of Hemi Messages that Timer is known to send.
 	 * @type string[]
 	 */
-	Timer.prototype._msgSent = [hemi.msg.start, hemi.msg.stop];
+	Timer.prototype._msgSent = [hemi.msg.start, hemi.msg.stop, hemi.msg.tick];
 
 	/*
 	 * Octane properties for Timer.
 	 * @type string[]
 	 */
-	Timer.prototype._octane = ['startTime'];
+	Timer.prototype._octane = function() {
+		var options = ['repeat', 'interval', 'tick'],
+			defaults = [1, 0, 0],
+			props = [
+				{
+					name: 'startTime',
+					val: this.startTime
+				}
+			];
+
+		// Only save options that differ from their defaults so older Octane stays the same
+		for (var i = 0, il = options.length; i < il; ++i) {
+			var name = options[i];
+
+			if (this[name] !== defaults[i]) {
+				props.push({
+					name: name,
+					val: this[name]
+				});
+			}
+		}
+
+		return props;
+	};
+
+	/**
+	 * Count down by the world time that elapsed since the last render. The Timer is only a render
+	 * listener while it is running.
+	 * 
+	 * @param {Object} event the render event
+	 */
+	Timer.prototype.onRender = function(event) {
+		this._time += event.elapsedTime * 1000;
+
+		if (this._waiting) {
+			if (this._time < this.interval) {
+				return;
+			}
+
+			this._time -= this.interval;
+			this._waiting = false;
+			startCountDown.call(this, this._iteration + 1);
+		}
+
+		while (this.tick > 0 && this._nextTick < this.startTime && this._time >= this._nextTick) {
+			this.send(hemi.msg.tick, {
+				time: this._nextTick,
+				remaining: this.startTime - this._nextTick,
+				iteration: this._iteration
+			});
+			this._nextTick += this.tick;
+		}
+
+		if (this._started && this._time >= this.startTime) {
+			var iteration = this._iteration,
+				done = this.repeat >= 0 && iteration >= this.repeat;
+
+			if (done) {
+				this.reset();
+			} else {
+				this._time -= this.startTime;
+				this._waiting = true;
+			}
+
+			this.send(hemi.msg.stop, {
+				time: this.startTime,
+				iteration: iteration,
+				done: done
+			});
+		}
+	};
+
+	/**
+	 * Get the time left in the current count down.
+	 * 
+	 * @return {number} the remaining time in milliseconds (0 if the Timer is not counting down)
+	 */
+	Timer.prototype.getRemaining = function() {
+		return this._started && !this._waiting ? Math.max(this.startTime - this._time, 0) : 0;
+	};
 
 	/**
 	 * Pause the Timer if it is currently running.
 	 */
 	Timer.prototype.pause = function() {
-		if (this._timeId !== null) {
-			clearTimeout(this._timeId);
-			this._timeId = null;
-
-			var stopped = (new Date()).getTime();
-			this._time += (stopped - this._started);
+		if (this._running) {
+			hemi.removeRenderListener(this);
+			this._running = false;
 		}
 	};
 
@@ -94,36 +205,35 @@
 	 * Reset the Timer so it is ready to count down again.
 	 */
 	Timer.prototype.reset = function() {
-		this._started = null;
+		hemi.removeRenderListener(this);
+		this._started = false;
 		this._time = 0;
-		this._timeId = null;
+		this._running = false;
+		this._iteration = 0;
+		this._waiting = false;
 	};
 
 	/**
 	 * Resume the Timer's count down if it is currently paused.
 	 */
 	Timer.prototype.resume = function() {
-		if (this._timeId === null && this._started !== null) {
-			this._timeId = setTimeout(handleTimeout, this.startTime - this._time, this);
-			this._started = (new Date()).getTime();
+		if (!this._running && this._started) {
+			hemi.addRenderListener(this);
+			this._running = true;
 		}
 	};
 
 	/**
 	 * Start the Timer's count down. If it is currently running, restart the Timer from its initial
-	 * count down value.
+	 * count down value and first repetition.
 	 */
 	Timer.prototype.start = function() {
-		if (this._timeId !== null) {
-			clearTimeout(this._timeId);
-		}
-
 		this._time = 0;
-		this.send(hemi.msg.start, {
-			time: this.startTime
-		});
-		this._timeId = setTimeout(handleTimeout, this.startTime, this);
-		this._started = (new Date()).getTime();
+		this._waiting = false;
+		this._started = true;
+		this._running = true;
+		hemi.addRenderListener(this);
+		startCountDown.call(this, 1);
 	};
 
 	/**
@@ -131,17 +241,15 @@
 	 * on the Timer.
 	 */
 	Timer.prototype.stop = function() {
-		if (this._timeId !== null) {
-			clearTimeout(this._timeId);
-			var stopped = (new Date()).getTime();
-			this._time += (stopped - this._started);
-		}
+		if (this._started) {
+			var elapsed = this._waiting ? this.startTime : this._time,
+				iteration = this._iteration;
 
-		if (this._started !== null) {
-			var elapsed = this._time;
 			this.reset();
 			this.send(hemi.msg.stop, {
-				time: elapsed
+				time: elapsed,
+				iteration: iteration,
+				done: true
 			});
 		}
 	};
@@ -152,16 +260,229 @@
 	});
 
 ////////////////////////////////////////////////////////////////////////////////////////////////////
-// Utility functions
+// Scheduler class
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 
+	/**
+	 * @class A Scheduler fires named cues at fixed offsets of world time after it is started, which
+	 * makes it easy to sequence the events of a scenario from a single Citizen.
+	 */
+	var Scheduler = function() {
+		/*
+		 * Flag indicating if the Scheduler has been started and not stopped.
+		 * @type boolean
+		 */
+		this._started = false;
+		/*
+		 * The elapsed world time in milliseconds.
+		 * @type number
+		 */
+		this._time = 0;
+		/*
+		 * Flag indicating if the Scheduler is running (started and not paused).
+		 * @type boolean
+		 */
+		this._running = false;
+		/*
+		 * The index of the next cue to fire in the sorted cues.
+		 * @type number
+		 */
+		this._next = 0;
+		/**
+		 * The cues to fire, each with a name and a time offset (milliseconds). They are sorted by
+		 * time when the Scheduler starts.
+		 * @type Object[]
+		 */
+		this.cues = [];
+	};
+
 	/*
-	 * Utility to handle the Timer naturally finishing its countdown.
+	 * Remove all references in the Scheduler.
 	 */
-	function handleTimeout(timer) {
-		timer.reset();
-		timer.send(hemi.msg.stop, {
-			time: timer.startTime
+	Scheduler.prototype._clean = function() {
+		this.reset();
+		this.cues = [];
+	};
+
+	/*
+	 * Array of Hemi Messages that Scheduler is known to send.
+	 * @type string[]
+	 */
+	Scheduler.prototype._msgSent = [hemi.msg.start, hemi.msg.cue, hemi.msg.stop];
+
+	/*
+	 * Octane properties for Scheduler.
+	 * @type string[]
+	 */
+	Scheduler.prototype._octane = ['cues'];
+
+	/**
+	 * Add a cue to fire at the given time. If a cue with the given name already exists, its time
+	 * is changed instead.
+	 * 
+	 * @param {string} name name of the cue
+	 * @param {number} time time after the Scheduler starts to fire the cue (milliseconds)
+	 */
+	Scheduler.prototype.addCue = function(name, time) {
+		var cue = getCue.call(this, name);
+
+		if (cue === null) {
+			this.cues.push({
+				name: name,
+				time: time
+			});
+		} else {
+			cue.time = time;
+		}
+	};
+
+	/**
+	 * Fire any cues that are due for the world time that elapsed since the last render. The
+	 * Scheduler is only a render listener while it is running.
+	 * 
+	 * @param {Object} event the render event
+	 */
+	Scheduler.prototype.onRender = function(event) {
+		this._time += event.elapsedTime * 1000;
+
+		while (this._started && this._next < this.cues.length &&
+				this.cues[this._next].time <= this._time) {
+			var cue = this.cues[this._next++];
+
+			this.send(hemi.msg.cue, {
+				name: cue.name,
+				time: cue.time
+			});
+		}
+
+		if (this._started && this._next >= this.cues.length) {
+			var elapsed = this._time;
+			this.reset();
+			this.send(hemi.msg.stop, {
+				time: elapsed
+			});
+		}
+	};
+
+	/**
+	 * Pause the Scheduler if it is currently running.
+	 */
+	Scheduler.prototype.pause = function() {
+		if (this._running) {
+			hemi.removeRenderListener(this);
+			this._running = false;
+		}
+	};
+
+	/**
+	 * Remove the cue with the given name.
+	 * 
+	 * @param {string} name name of the cue
+	 * @return {Object} the removed cue or null
+	 */
+	Scheduler.prototype.removeCue = function(name) {
+		var cue = getCue.call(this, name);
+
+		if (cue !== null) {
+			var ndx = this.cues.indexOf(cue);
+			this.cues.splice(ndx, 1);
+
+			if (ndx < this._next) {
+				--this._next;
+			}
+		}
+
+		return cue;
+	};
+
+	/**
+	 * Reset the Scheduler so it is ready to start again.
+	 */
+	Scheduler.prototype.reset = function() {
+		hemi.removeRenderListener(this);
+		this._started = false;
+		this._time = 0;
+		this._running = false;
+		this._next = 0;
+	};
+
+	/**
+	 * Resume the Scheduler if it is currently paused.
+	 */
+	Scheduler.prototype.resume = function() {
+		if (!this._running && this._started) {
+			hemi.addRenderListener(this);
+			this._running = true;
+		}
+	};
+
+	/**
+	 * Start the Scheduler from the beginning. Cues at time 0 fire on the next render.
+	 */
+	Scheduler.prototype.start = function() {
+		this.cues.sort(function(a, b) {
+			return a.time - b.time;
+		});
+
+		this.reset();
+		this.send(hemi.msg.start, {
+			time: this.cues.length > 0 ? this.cues[this.cues.length - 1].time : 0
+		});
+		this._started = true;
+		this._running = true;
+		hemi.addRenderListener(this);
+	};
+
+	/**
+	 * Stop the Scheduler if it is currently running or paused. Cues that have not fired yet are
+	 * skipped.
+	 */
+	Scheduler.prototype.stop = function() {
+		if (this._started) {
+			var elapsed = this._time;
+			this.reset();
+			this.send(hemi.msg.stop, {
+				time: elapsed
+			});
+		}
+	};
+
+	hemi.makeCitizen(Scheduler, 'hemi.Scheduler', {
+		cleanup: Scheduler.prototype._clean,
+		toOctane: Scheduler.prototype._octane
+	});
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Private functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Get the Scheduler's cue with the given name.
+	 * 
+	 * @param {string} name name of the cue
+	 * @return {Object} the matching cue or null
+	 */
+	function getCue(name) {
+		for (var i = 0, il = this.cues.length; i < il; ++i) {
+			if (this.cues[i].name === name) {
+				return this.cues[i];
+			}
+		}
+
+		return null;
+	}
+
+	/*
+	 * Start the given count down of the Timer.
+	 * 
+	 * @param {number} iteration the number of the count down, starting at 1
+	 */
+	function startCountDown(iteration) {
+		this._iteration = iteration;
+		this._nextTick = this.tick;
+		this.send(hemi.msg.start, {
+			time: this.startTime,
+			iteration: iteration
 		});
 	}
 
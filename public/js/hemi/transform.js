@@ -164,6 +164,29 @@
 		}
 	};
 
+	/*
+	 * Finish setting up the Transform after it was cloned from the given Transform by hemi.clone.
+	 * The cloned children are attached and the Transform is added to the same parent as the
+	 * original if it does not have a parent yet.
+	 * 
+	 * @param {hemi.Transform} source the Transform that was cloned
+	 */
+	Transform.prototype._initClone = function(source) {
+		var children = this.children;
+		this.children = [];
+
+		for (var i = 0, il = children.length; i < il; ++i) {
+			this.add(children[i]);
+		}
+
+		if (!this.parent && source.parent) {
+			source.parent.add(this);
+		}
+
+		this.updateMatrix();
+		this.updateMatrixWorld();
+	};
+
 	/*
 	 * Array of Hemi Messages that Transform is known to send.
 	 * @type string[]
@@ -633,6 +656,34 @@
 		Transform.prototype._init.call(this, obj, toConvert, model);
 	};
 
+	/*
+	 * Finish setting up the Mesh after it was cloned from the given Mesh by hemi.clone. The clone
+	 * shares the geometry of the original.
+	 * 
+	 * @param {hemi.Mesh} source the Mesh that was cloned
+	 */
+	Mesh.prototype._initClone = function(source) {
+		this.geometry = source.geometry;
+		this.material = source.material;
+		this.boundRadius = source.boundRadius;
+
+		if (this.geometry.morphTargets.length) {
+			this.morphTargetBase = source.morphTargetBase;
+			this.morphTargetForcedOrder = source.morphTargetForcedOrder;
+			// The clone's morph animations must not move the original
+			this.morphTargetInfluences = source.morphTargetInfluences.slice(0);
+			this.morphTargetDictionary = source.morphTargetDictionary;
+		}
+
+		if (this._opacity !== null) {
+			var opacity = this._opacity;
+			this._opacity = null; // Necessary for the function to clone the material
+			hemi.fx.setOpacity(this, opacity);
+		}
+
+		Transform.prototype._initClone.call(this, source);
+	};
+
 	/*
 	 * Array of Hemi Messages that Mesh is known to send.
 	 * @type string[]
@@ -22,13 +22,32 @@
 
 (function() {
 
+		/*
+		 * Compiled regular expressions for 'matches' conditions by flags and source.
+		 * @type Object
+		 */
+	var regexCache = {};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Constants
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * The comparison operators that a ValueCheck condition can use. 'between' checks that the left
+	 * value is within an inclusive [min, max] range and 'matches' checks the left value against a
+	 * regular expression string.
+	 * @type string[]
+	 */
+	hemi.CONDITION_OPS = ['==', '!=', '<', '<=', '>', '>=', 'between', 'matches'];
+
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // ValueCheck class
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 
 	/**
 	 * @class A ValueCheck handler checks a set of values against a specified set of values from the
-	 * Message to handle. If the values all match, the Message is passed to the actual handler.
+	 * Message to handle. If the values all match (and the optional condition is true), the Message
+	 * is passed to the actual handler.
 	 */
 	var ValueCheck = function() {
 		/**
@@ -62,6 +81,12 @@
 		 * @type string[]
 		 */
 		this.args = [];
+		/**
+		 * Optional condition that must also be true for the Message to be passed to the handler.
+		 * See hemi.checkCondition for the format.
+		 * @type Object
+		 */
+		this.condition = null;
 	};
 
 	/*
@@ -72,6 +97,7 @@
 		this.values = [];
 		this.handler = null;
 		this.args = [];
+		this.condition = null;
 	};
 
 	/*
@@ -104,6 +130,13 @@
 			});
 		}
 
+		if (this.condition !== null) {
+			props.push({
+				name: 'condition',
+				val: this.condition
+			});
+		}
+
 		return props;
 	};
 
@@ -127,6 +160,10 @@
 			}
 		}
 
+		if (match && this.condition !== null) {
+			match = hemi.checkCondition(this.condition, message);
+		}
+
 		if (match) {
 			var args = hemi.dispatch.getArguments(message, this.args);
 			this.handler[this.func].apply(this.handler, args);
@@ -163,6 +200,77 @@
 // Global functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 
+	/**
+	 * Check if the given condition is true for the given Message. A condition is one of:
+	 * <ul>
+	 * <li>{ and: [condition, ...] } true if every condition is true</li>
+	 * <li>{ or: [condition, ...] } true if any condition is true</li>
+	 * <li>{ not: condition } true if the condition is false</li>
+	 * <li>{ left: operand, op: operator, right: operand } a comparison using one of
+	 *     hemi.CONDITION_OPS</li>
+	 * </ul>
+	 * Operands are literal values or strings like Message target arguments: 'msg:data.reading'
+	 * gets a value from the Message and 'id:12.reading' gets the current value of a property of the
+	 * Citizen with world id 12. Citizen values are compared by their world id. For 'between' the
+	 * right operand is an array of [min, max] operands and for 'matches' it is a regular expression
+	 * string, with optional flags in the comparison's flags property.
+	 * 
+	 * @param {Object} condition the condition to check
+	 * @param {hemi.dispatch.Message} message the Message to get operand values from
+	 * @return {boolean} true if the condition is true
+	 */
+	hemi.checkCondition = function(condition, message) {
+		var result;
+
+		if (condition.and !== undefined) {
+			result = true;
+
+			for (var i = 0, il = condition.and.length; result && i < il; ++i) {
+				result = hemi.checkCondition(condition.and[i], message);
+			}
+		} else if (condition.or !== undefined) {
+			result = false;
+
+			for (var i = 0, il = condition.or.length; !result && i < il; ++i) {
+				result = hemi.checkCondition(condition.or[i], message);
+			}
+		} else if (condition.not !== undefined) {
+			result = !hemi.checkCondition(condition.not, message);
+		} else {
+			result = compare(condition, message);
+		}
+
+		return result;
+	};
+
+	/**
+	 * Create a ValueCheck handler that will pass Messages from the given source to the handler
+	 * only when the given condition is true.
+	 * 
+	 * @param {hemi.world.Citizen} src the Citizen to receive Messages from or
+	 *     hemi.dispatch.WILDCARD for any source
+	 * @param {string} type type of Message to check
+	 * @param {Object} condition the condition to check (see hemi.checkCondition)
+	 * @param {Object} handler handler object for the Message.
+	 * @param {string} func name of the object function to pass the Message to
+	 * @param {string[]} opt_args optional array to specify arguments to pass to the handler.
+	 *     Otherwise just pass it the Message.
+	 * @return {hemi.dispatch.MessageTarget} the created MessageTarget
+	 */
+	hemi.handleCondition = function(src, type, condition, handler, func, opt_args) {
+		var valCheck = new hemi.ValueCheck();
+		valCheck.condition = condition;
+		valCheck.handler = handler;
+		valCheck.func = func;
+
+		if (opt_args) {
+			valCheck.args = opt_args;
+		}
+
+		return src === hemi.dispatch.WILDCARD ? hemi.subscribe(type, valCheck, 'handleMessage') :
+			src.subscribe(type, valCheck, 'handleMessage');
+	};
+
 	/**
 	 * Create a ValueCheck handler that will check pick Messages for the given shape name.
 	 * 
@@ -241,4 +349,108 @@
 		return hemi.subscribe(eventType, valCheck, 'handleKeyMessage');
 	};
 
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Utility functions
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+	 * Check the given comparison for the given Message.
+	 * 
+	 * @param {Object} comparison the comparison with left, op and right properties
+	 * @param {hemi.dispatch.Message} message the Message to get operand values from
+	 * @return {boolean} the result of the comparison
+	 */
+	function compare(comparison, message) {
+		var left = getOperand(comparison.left, message),
+			right = comparison.right,
+			result = false;
+
+		switch (comparison.op) {
+			case '==':
+				result = left === getOperand(right, message);
+				break;
+			case '!=':
+				result = left !== getOperand(right, message);
+				break;
+			case '<':
+				result = left < getOperand(right, message);
+				break;
+			case '<=':
+				result = left <= getOperand(right, message);
+				break;
+			case '>':
+				result = left > getOperand(right, message);
+				break;
+			case '>=':
+				result = left >= getOperand(right, message);
+				break;
+			case 'between':
+				if (hemi.utils.isArray(right) && right.length === 2) {
+					result = left >= getOperand(right[0], message) &&
+						left <= getOperand(right[1], message);
+				} else {
+					hemi.error('ValueCheck between condition needs a [min, max] right operand');
+				}
+				break;
+			case 'matches':
+				result = left != null && getRegex(right, comparison.flags).test(String(left));
+				break;
+			default:
+				hemi.error('Unknown ValueCheck condition operator ' + comparison.op);
+				break;
+		}
+
+		return result;
+	}
+
+	/*
+	 * Get the value of the given condition operand. Citizens are returned as their world id.
+	 * 
+	 * @param {Object} operand a literal value, Message argument or Citizen property reference
+	 * @param {hemi.dispatch.Message} message the Message to get the value from
+	 * @return {Object} the value of the operand
+	 */
+	function getOperand(operand, message) {
+		var value = operand;
+
+		if (typeof operand === 'string' && operand.substring(0, 3) === hemi.dispatch.ID_ARG) {
+			var tokens = operand.substring(3).split('.');
+
+			value = hemi.world.getCitizenById(parseInt(tokens[0], 10));
+
+			for (var i = 1, il = tokens.length; value != null && i < il; ++i) {
+				value = value[tokens[i]];
+			}
+		} else if (typeof operand === 'string') {
+			value = hemi.dispatch.getArguments(message, [operand])[0];
+		}
+
+		if (value && value._getId !== undefined) {
+			value = value._getId();
+		}
+
+		return value;
+	}
+
+	/*
+	 * Get the compiled regular expression for the given source and flags. The global and sticky
+	 * flags are ignored since they would make the cached expression remember where its last match
+	 * ended.
+	 * 
+	 * @param {string} source the regular expression source
+	 * @param {string} opt_flags optional regular expression flags
+	 * @return {RegExp} the compiled regular expression
+	 */
+	function getRegex(source, opt_flags) {
+		var flags = (opt_flags || '').replace(/[gy]/g, ''),
+			key = flags + '/' + source,
+			regex = regexCache[key];
+
+		if (regex === undefined) {
+			regex = regexCache[key] = new RegExp(source, flags);
+		}
+
+		return regex;
+	}
+
 })();
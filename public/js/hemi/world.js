@@ -65,14 +65,52 @@
 		}
 	}
 
+	/*
+	 * Add the given tag to the Citizen if it does not already have it.
+	 * 
+	 * @param {string} tag the tag to add
+	 */
+	function addTag(tag) {
+		if (this.tags.indexOf(tag) === -1) {
+			this.tags.push(tag);
+		}
+	}
+
+	/*
+	 * Check if the Citizen has the given tag.
+	 * 
+	 * @param {string} tag the tag to check for
+	 * @return {boolean} true if the Citizen has the tag
+	 */
+	function hasTag(tag) {
+		return this.tags.indexOf(tag) !== -1;
+	}
+
+	/*
+	 * Remove the given tag from the Citizen.
+	 * 
+	 * @param {string} tag the tag to remove
+	 * @return {boolean} true if the Citizen had the tag
+	 */
+	function removeTag(tag) {
+		var ndx = this.tags.indexOf(tag);
+
+		if (ndx !== -1) {
+			this.tags.splice(ndx, 1);
+		}
+
+		return ndx !== -1;
+	}
+
 	/*
 	 * Send a Message with the given attributes from the Citizen to any registered MessageTargets.
 	 * 
 	 * @param {string} type type of Message
 	 * @param {Object} data container for any and all information relevant to the Message
+	 * @param {number} opt_delay optional milliseconds of world time to wait before sending
 	 */
-	function send(type, data) {
-		hemi.dispatch.postMessage(this, type, data);
+	function send(type, data, opt_delay) {
+		hemi.dispatch.postMessage(this, type, data, opt_delay);
 	}
 
 	/*
@@ -177,6 +215,11 @@
 			 * @default ''
 			 */
 			this.name = this.name || '';
+			/*
+			 * Free-form tags for grouping and querying Citizens (see hemi.world.query).
+			 * @type string[]
+			 */
+			this.tags = this.tags || [];
 			/* The unique identifier for any Citizen of the World */
 			this._worldId = null;
 			hemi.world.addCitizen(this);
@@ -207,6 +250,9 @@
 
         Citizen.prototype._getId = _getId;
         Citizen.prototype._setId = _setId;
+        Citizen.prototype.addTag = addTag;
+        Citizen.prototype.hasTag = hasTag;
+        Citizen.prototype.removeTag = removeTag;
         Citizen.prototype.send = send;
         Citizen.prototype.subscribe = subscribe;
         Citizen.prototype.subscribeAll = subscribeAll;
@@ -271,6 +317,7 @@
 	hemi.world.cleanup = function() {
 		hemi.resetLoadTasks();
 		hemi.send(hemi.msg.worldCleanup, {});
+		hemi.history.clear();
 
 		citizens.each(function(key, value) {
 			value.cleanup();
@@ -449,6 +496,21 @@
 		return retVal; 
 	};
 
+	/**
+	 * Get any Schedulers with the given attributes. If no attributes are given, all Schedulers
+	 * will be returned.
+	 * 
+	 * @param {Object} attributes optional structure with the attributes to search for
+	 * @param {function(hemi.Scheduler): boolean} opt_filter optional filter function that takes a
+	 *     Scheduler and returns true if the Scheduler should be included in the returned array
+	 * @return {hemi.Scheduler[]} an array of Schedulers with matching attributes
+	 */
+	hemi.world.getSchedulers = function(attributes, opt_filter) {
+		attributes = attributes || {};
+		attributes._octaneType = hemi.Scheduler.prototype._octaneType;
+		return this.getCitizens(attributes, opt_filter);
+	};
+
 	/**
 	 * Get any Shapes with the given attributes. If no attributes are given, all Shapes will be
 	 * returned.
@@ -479,6 +541,22 @@
 		return this.getCitizens(attributes, opt_filter);
 	};
 
+	/**
+	 * Get any StateMachines with the given attributes. If no attributes are given, all
+	 * StateMachines will be returned.
+	 * 
+	 * @param {Object} attributes optional structure with the attributes to search for
+	 * @param {function(hemi.StateMachine): boolean} opt_filter optional filter function that takes
+	 *     a StateMachine and returns true if the StateMachine should be included in the returned
+	 *     array
+	 * @return {hemi.StateMachine[]} an array of StateMachines with matching attributes
+	 */
+	hemi.world.getStateMachines = function(attributes, opt_filter) {
+		attributes = attributes || {};
+		attributes._octaneType = hemi.StateMachine.prototype._octaneType;
+		return this.getCitizens(attributes, opt_filter);
+	};
+
 	/**
 	 * Get any Timers with the given attributes. If no attributes are given, all Timers will be
 	 * returned.
@@ -538,6 +616,77 @@
 		attributes._octaneType = hemi.Light.prototype._octaneType;
 		return this.getCitizens(attributes, opt_filter);
 	};
+
+	/**
+	 * Get any Citizens that match the given query. Every part of the query is optional and all of
+	 * the given parts must match. The query may contain:
+	 * <pre>
+	 * {
+	 *     type: (string|function|Array) class name (such as 'hemi.Mesh') or Citizen class, or an
+	 *         array of them. Citizens of subclasses (such as hemi.ParticleBurst for
+	 *         hemi.ParticleEmitter) also match.
+	 *     name: (string|RegExp) exact name, name pattern with * wildcards (such as 'door*') or
+	 *         regular expression
+	 *     tags: (string|string[]) tag or tags that the Citizen must all have
+	 *     where: (Object) map of property names or dotted property paths (such as
+	 *         'material.opacity') to the value to match or a predicate function that takes the
+	 *         property value and the Citizen and returns true if the Citizen matches
+	 * }
+	 * </pre>
+	 * 
+	 * @example
+	 * hemi.world.query({
+	 *     type: hemi.Transform,
+	 *     name: 'door*',
+	 *     tags: ['interactive'],
+	 *     where: {
+	 *         visible: true,
+	 *         'position.y': function(y) { return y > 0; }
+	 *     }
+	 * });
+	 * 
+	 * @param {Object} query structure describing the Citizens to get
+	 * @param {function(Citizen): boolean} opt_filter optional filter function that takes a Citizen
+	 *     and returns true if the Citizen should be included in the returned array
+	 * @return {Citizen[]} an array of matching Citizens
+	 */
+	hemi.world.query = function(query, opt_filter) {
+		var types = getTypes(query.type),
+			name = getNamePattern(query.name),
+			tags = query.tags === undefined ? [] : [].concat(query.tags),
+			where = query.where || {};
+
+		return this.getCitizens({}, function(citizen) {
+			var match = types === null;
+
+			for (var i = 0, il = match ? 0 : types.length; i < il && !match; ++i) {
+				match = citizen instanceof types[i];
+			}
+
+			if (match && name !== null) {
+				match = name.test(citizen.name);
+			}
+
+			for (var j = 0, jl = tags.length; j < jl && match; ++j) {
+				match = citizen.hasTag(tags[j]);
+			}
+
+			for (var path in where) {
+				if (!match) {
+					break;
+				}
+
+				var value = getProperty(citizen, path),
+					expected = where[path];
+
+				match = hemi.utils.isFunction(expected) ? !!expected(value, citizen) :
+					value === expected;
+			}
+
+			return match && (!opt_filter || opt_filter(citizen));
+		});
+	};
+
 	/**
 	 * Remove the given Citizen from the World.
 	 * 
@@ -574,6 +723,7 @@
 	hemi.world.toOctane = function(opt_filter) {
 		var octane = {
 			version: hemi.version,
+			octaneVersion: hemi.octaneVersion,
 			nextId: nextId,
 			citizens: []
 		};
@@ -600,6 +750,70 @@
 // Utility functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 
+	/*
+	 * Get the regular expression to test Citizen names with for the given name query.
+	 * 
+	 * @param {string|RegExp} name exact name, name pattern with * wildcards or regular expression
+	 * @return {RegExp} the regular expression or null if no name was given
+	 */
+	function getNamePattern(name) {
+		var pattern = null;
+
+		if (name instanceof RegExp) {
+			pattern = name;
+		} else if (name !== undefined) {
+			var source = String(name).replace(/[\-\[\]\/{}()+?.\\^$|]/g, '\\$&');
+			pattern = new RegExp('^' + source.replace(/\*/g, '.*') + '$');
+		}
+
+		return pattern;
+	}
+
+	/*
+	 * Get the value at the given property path of the given object.
+	 * 
+	 * @param {Object} obj the object to get the value from
+	 * @param {string} path property name or dotted property path
+	 * @return {Object} the value or undefined if the path does not exist
+	 */
+	function getProperty(obj, path) {
+		var names = path.split('.'),
+			value = obj;
+
+		for (var i = 0, il = names.length; value != null && i < il; ++i) {
+			value = value[names[i]];
+		}
+
+		return value;
+	}
+
+	/*
+	 * Get the Citizen classes for the given type query.
+	 * 
+	 * @param {string|function|Array} type class name or class, or an array of them
+	 * @return {function[]} array of class constructors or null if no type was given
+	 */
+	function getTypes(type) {
+		if (type === undefined) {
+			return null;
+		}
+
+		var types = [].concat(type),
+			classes = [];
+
+		for (var i = 0, il = types.length; i < il; ++i) {
+			var cls = hemi.utils.isFunction(types[i]) ? types[i] : baseClasses[types[i]];
+
+			if (cls) {
+				classes.push(cls);
+			} else {
+				hemi.error('Unknown Citizen type: ' + types[i]);
+			}
+		}
+
+		return classes;
+	}
+
 	/*
 	 * Set the given class constructor function to the given namespace. For example:
 	 * createClass(myClass, 'my.new.Class');